@@ -4,7 +4,8 @@
  */
 
 import fetch from 'node-fetch';
-import { API_ENDPOINTS, API_CONFIG, CURRENT_SEASON } from './constants.js';
+import { API_ENDPOINTS, API_CONFIG, CURRENT_SEASON, SEASON_TYPES, SEASON_TYPE_WEEKS } from './constants.js';
+import { archive } from './archive.js';
 import { logger } from '../utils/logger.js';
 
 class APIClient {
@@ -12,6 +13,36 @@ class APIClient {
     this.requestCache = new Map();
     this.requestQueue = [];
     this.activeRequests = 0;
+    // offline: serve ESPN data only from the archive, never the network
+    // recording: write raw ESPN responses to the archive
+    this.offline = false;
+    this.recording = false;
+  }
+
+  /**
+   * Serve ESPN data exclusively from the local archive
+   */
+  setOffline(enabled = true) {
+    this.offline = enabled;
+    logger.info(`API client ${enabled ? 'offline (archive only)' : 'online'}`);
+  }
+
+  /**
+   * Write raw scoreboard and summary responses to the archive
+   */
+  setRecording(enabled = true) {
+    this.recording = enabled;
+  }
+
+  /**
+   * Archive a summary; failures are logged, never thrown
+   */
+  async archiveSummary(summary) {
+    try {
+      await archive.saveSummary(summary);
+    } catch (error) {
+      logger.warn('Failed to archive game summary', { eventId: summary?.header?.id, error: error.message });
+    }
   }
 
   /**
@@ -56,6 +87,10 @@ class APIClient {
   async cachedFetch(url, options = {}) {
     const cacheKey = url;
 
+    if (this.offline) {
+      throw new Error(`Network access disabled in offline mode: ${url}`);
+    }
+
     if (this.requestCache.has(cacheKey)) {
       logger.debug('Returning cached response', { url });
       return this.requestCache.get(cacheKey);
@@ -96,9 +131,9 @@ class APIClient {
   /**
    * ESPN API - Get scoreboard (games for a specific week)
    */
-  async getScoreboard(week = null, seasonType = 2) {
+  async getScoreboard(week = null, seasonType = 2, season = CURRENT_SEASON) {
     const params = new URLSearchParams({
-      dates: CURRENT_SEASON.toString(),
+      dates: season.toString(),
       seasontype: seasonType.toString(),
       limit: '100'
     });
@@ -110,10 +145,26 @@ class APIClient {
     const url = `${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SCOREBOARD}?${params}`;
 
     try {
+      if (this.offline) {
+        const archived = await archive.readScoreboard(season, seasonType, week);
+        if (!archived) {
+          logger.warn('Scoreboard not in archive', { season, seasonType, week });
+        }
+        return archived?.events || [];
+      }
+
       const data = await this.cachedFetch(url);
+
+      if (this.recording) {
+        const archiveWeek = week ?? data.week?.number ?? data.events?.[0]?.week?.number;
+        await archive.saveScoreboard(season, seasonType, archiveWeek, data).catch(error => {
+          logger.warn('Failed to archive scoreboard', { season, week: archiveWeek, error: error.message });
+        });
+      }
+
       return data.events || [];
     } catch (error) {
-      logger.error('Failed to fetch scoreboard', { week, error: error.message });
+      logger.error('Failed to fetch scoreboard', { season, week, error: error.message });
       return [];
     }
   }
@@ -125,7 +176,21 @@ class APIClient {
     const url = `${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SUMMARY}?event=${eventId}`;
 
     try {
-      return await this.cachedFetch(url);
+      if (this.offline) {
+        const archived = await archive.readSummary(eventId);
+        if (!archived) {
+          logger.warn('Game summary not in archive', { eventId });
+        }
+        return archived;
+      }
+
+      const summary = await this.cachedFetch(url);
+
+      if (this.recording) {
+        await this.archiveSummary(summary);
+      }
+
+      return summary;
     } catch (error) {
       logger.error('Failed to fetch game summary', { eventId, error: error.message });
       return null;
@@ -136,29 +201,42 @@ class APIClient {
    * ESPN API - Get multiple game summaries in parallel
    */
   async getGameSummaries(eventIds) {
+    if (this.offline) {
+      logger.info(`Reading ${eventIds.length} game summaries from archive`);
+      return Promise.all(eventIds.map(id => this.getGameSummary(id)));
+    }
+
     const urls = eventIds.map(id =>
       `${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SUMMARY}?event=${id}`
     );
 
     logger.info(`Fetching ${eventIds.length} game summaries in parallel`);
-    return await this.parallelFetch(urls);
+    const summaries = await this.parallelFetch(urls);
+
+    if (this.recording) {
+      for (const summary of summaries.filter(Boolean)) {
+        await this.archiveSummary(summary);
+      }
+    }
+
+    return summaries;
   }
 
   /**
    * ESPN API - Get all games for a week range
    */
-  async getWeekRange(startWeek, endWeek, seasonType = 2) {
+  async getWeekRange(startWeek, endWeek, seasonType = 2, season = CURRENT_SEASON) {
     const weeks = [];
     for (let week = startWeek; week <= endWeek; week++) {
       weeks.push(week);
     }
 
-    const weekPromises = weeks.map(week => this.getScoreboard(week, seasonType));
+    const weekPromises = weeks.map(week => this.getScoreboard(week, seasonType, season));
     const weekResults = await Promise.all(weekPromises);
 
     // Flatten all games from all weeks
     const allGames = weekResults.flat();
-    logger.info(`Fetched ${allGames.length} games from weeks ${startWeek}-${endWeek}`);
+    logger.info(`Fetched ${allGames.length} games from ${season} weeks ${startWeek}-${endWeek}`);
 
     return allGames;
   }
@@ -166,11 +244,11 @@ class APIClient {
   /**
    * ESPN API - Get all boxscores for completed games
    */
-  async getAllBoxscores(startWeek = 1, endWeek = 18) {
-    logger.info(`Fetching all boxscores for weeks ${startWeek}-${endWeek}`);
+  async getAllBoxscores(startWeek = 1, endWeek = 18, season = CURRENT_SEASON, seasonType = SEASON_TYPES.REGULAR) {
+    logger.info(`Fetching all boxscores for ${season} weeks ${startWeek}-${endWeek}`, { seasonType });
 
     // Get all games first
-    const games = await this.getWeekRange(startWeek, endWeek);
+    const games = await this.getWeekRange(startWeek, endWeek, seasonType, season);
 
     // Filter to completed games only
     const completedGames = games.filter(game => {
@@ -194,6 +272,32 @@ class APIClient {
     return validSummaries;
   }
 
+  /**
+   * ESPN API - Get all boxscores for a season (regular season + postseason)
+   * Preseason games are never included
+   */
+  async getSeasonBoxscores(season = CURRENT_SEASON) {
+    const regular = await this.getAllBoxscores(1, SEASON_TYPE_WEEKS[SEASON_TYPES.REGULAR], season, SEASON_TYPES.REGULAR);
+    const postseason = await this.getAllBoxscores(1, SEASON_TYPE_WEEKS[SEASON_TYPES.POSTSEASON], season, SEASON_TYPES.POSTSEASON);
+
+    return [...regular, ...postseason];
+  }
+
+  /**
+   * ESPN API - Get current-week games for regular season and postseason
+   */
+  async getCurrentGames(season = CURRENT_SEASON) {
+    const [regular, postseason] = await Promise.all([
+      this.getScoreboard(null, SEASON_TYPES.REGULAR, season),
+      this.getScoreboard(null, SEASON_TYPES.POSTSEASON, season)
+    ]);
+
+    // De-duplicate by event id
+    const games = new Map();
+    [...regular, ...postseason].forEach(game => games.set(game.id, game));
+    return Array.from(games.values());
+  }
+
   /**
    * Sleeper API - Get all NFL players with injury data
    */
@@ -210,7 +314,9 @@ class APIClient {
           name: `${player.first_name} ${player.last_name}`,
           team: player.team,
           position: player.position,
+          espnId: player.espn_id ? String(player.espn_id) : null,
           depthChartPosition: player.depth_chart_position,
+          depthChartOrder: player.depth_chart_order,
           injuryStatus: player.injury_status,
           injuryBodyPart: player.injury_body_part,
           injuryNotes: player.injury_notes
@@ -224,6 +330,27 @@ class APIClient {
     }
   }
 
+  /**
+   * Sleeper API - Map ESPN athlete ids to Sleeper player ids
+   * Shares the cached players request with getInjuryData
+   */
+  async getPlayerIdMap() {
+    try {
+      const data = await this.cachedFetch(API_ENDPOINTS.SLEEPER_PLAYERS);
+      const ids = {};
+
+      Object.entries(data).forEach(([id, player]) => {
+        if (player.espn_id) ids[String(player.espn_id)] = id;
+      });
+
+      logger.info(`Mapped ${Object.keys(ids).length} Sleeper players to ESPN ids`);
+      return ids;
+    } catch (error) {
+      logger.error('Failed to fetch Sleeper player ids', { error: error.message });
+      return {};
+    }
+  }
+
   /**
    * Clear the request cache (call between update cycles)
    */
@@ -0,0 +1,202 @@
+/**
+ * NFLv2 - Boxscore Archive
+ * Persists raw ESPN scoreboard and summary responses for offline replay
+ *
+ * Layout (under DATA_PATHS.ARCHIVE):
+ *   {season}/{seasonType}/week-{week}/scoreboard.json
+ *   {season}/{seasonType}/week-{week}/{eventId}.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS } from './constants.js';
+import { logger } from '../utils/logger.js';
+
+const SCOREBOARD_FILE = 'scoreboard.json';
+
+class BoxscoreArchive {
+  constructor(rootPath = DATA_PATHS.ARCHIVE) {
+    this.rootPath = rootPath;
+    this.summaryIndex = null;
+  }
+
+  /**
+   * Directory for a season/week slot
+   */
+  weekDir(season, seasonType, week) {
+    return path.join(this.rootPath, String(season), String(seasonType), `week-${week}`);
+  }
+
+  /**
+   * Path of an archived scoreboard
+   */
+  scoreboardPath(season, seasonType, week) {
+    return path.join(this.weekDir(season, seasonType, week), SCOREBOARD_FILE);
+  }
+
+  /**
+   * Path of an archived game summary
+   */
+  summaryPath(season, seasonType, week, eventId) {
+    return path.join(this.weekDir(season, seasonType, week), `${eventId}.json`);
+  }
+
+  /**
+   * Save a raw scoreboard response (replaces any earlier copy)
+   */
+  async saveScoreboard(season, seasonType, week, data) {
+    if (!week) {
+      logger.warn('Cannot archive scoreboard without a week', { season, seasonType });
+      return false;
+    }
+
+    return dataManager.writeJSON(this.scoreboardPath(season, seasonType, week), data, false);
+  }
+
+  /**
+   * Save a raw summary response, keyed by the season/week in its header
+   * Completed games are archived once so later ESPN edits don't change replays
+   */
+  async saveSummary(summary, { overwrite = false } = {}) {
+    const header = summary?.header;
+    const eventId = header?.id;
+    const season = header?.season?.year;
+    const seasonType = header?.season?.type;
+    const week = typeof header?.week === 'object' ? header.week?.number : header?.week;
+
+    if (!eventId || !season || !seasonType || !week) {
+      logger.warn('Cannot archive summary without event id, season and week', { eventId });
+      return false;
+    }
+
+    const filePath = this.summaryPath(season, seasonType, week, eventId);
+    const completed = header.competitions?.[0]?.status?.type?.completed === true;
+
+    if (!overwrite && completed && await this.exists(filePath)) {
+      return false;
+    }
+
+    await dataManager.writeJSON(filePath, summary, false);
+    this.summaryIndex?.set(String(eventId), filePath);
+    return true;
+  }
+
+  /**
+   * Read an archived scoreboard
+   * Without a week, returns the latest archived week for the season type
+   */
+  async readScoreboard(season, seasonType, week = null) {
+    const targetWeek = week ?? (await this.listWeeks(season, seasonType)).pop();
+    if (!targetWeek) return null;
+
+    const filePath = this.scoreboardPath(season, seasonType, targetWeek);
+    if (!await this.exists(filePath)) return null;
+
+    return dataManager.readJSON(filePath);
+  }
+
+  /**
+   * Read an archived summary by event id
+   */
+  async readSummary(eventId) {
+    const index = await this.getSummaryIndex();
+    const filePath = index.get(String(eventId));
+
+    return filePath ? dataManager.readJSON(filePath) : null;
+  }
+
+  /**
+   * List archived weeks for a season type (ascending)
+   */
+  async listWeeks(season, seasonType) {
+    const entries = await this.readDir(path.join(this.rootPath, String(season), String(seasonType)));
+
+    return entries
+      .map(name => name.match(/^week-(\d+)$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * List archived seasons (ascending)
+   */
+  async listSeasons() {
+    return (await this.readDir(this.rootPath))
+      .filter(name => /^\d{4}$/.test(name))
+      .map(Number)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * List a season's archived summaries as [eventId, path] pairs
+   */
+  async listSummaries(season) {
+    const seasonDir = path.join(this.rootPath, String(season));
+    const summaries = [];
+
+    for (const seasonType of await this.readDir(seasonDir)) {
+      const typeDir = path.join(seasonDir, seasonType);
+
+      for (const week of await this.readDir(typeDir)) {
+        const weekDir = path.join(typeDir, week);
+
+        (await this.readDir(weekDir))
+          .filter(file => file.endsWith('.json') && file !== SCOREBOARD_FILE)
+          .forEach(file => summaries.push([path.basename(file, '.json'), path.join(weekDir, file)]));
+      }
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Map event id -> summary path for every archived summary
+   */
+  async getSummaryIndex() {
+    if (this.summaryIndex) {
+      return this.summaryIndex;
+    }
+
+    const index = new Map();
+
+    for (const season of await this.listSeasons()) {
+      (await this.listSummaries(season)).forEach(([eventId, filePath]) => index.set(eventId, filePath));
+    }
+
+    logger.debug('Indexed archived summaries', { count: index.size });
+    this.summaryIndex = index;
+    return index;
+  }
+
+  /**
+   * Check whether an archive file exists
+   */
+  async exists(filePath) {
+    try {
+      await fs.access(dataManager.resolvePath(filePath));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List a directory (empty if missing)
+   */
+  async readDir(dirPath) {
+    try {
+      return await fs.readdir(dataManager.resolvePath(dirPath));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+// Singleton instance
+export const archive = new BoxscoreArchive();
+export default archive;
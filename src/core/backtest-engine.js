@@ -0,0 +1,310 @@
+/**
+ * NFLv2 - Backtest Engine
+ * Replays a season week by week with point-in-time data
+ *
+ * Every boxscore is fetched once up front. Weeks are then streamed in order:
+ * predictions for a week are made from a snapshot of team aggregates, Elo and
+ * QB starters built only from earlier weeks, and the week's games are applied
+ * afterwards.
+ */
+
+import { apiClient } from './api-client.js';
+import { CURRENT_SEASON, SEASON_TYPES, SEASON_TYPE_WEEKS, PRO_BOWL_WEEK } from './constants.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { loadEloHistory, getPreviousSeason } from './elo-history.js';
+import { fitArchivedExpectedPoints } from './expected-points-store.js';
+import { predictGames, checkPrediction } from '../models/predictor.js';
+import { fitCalibration } from '../models/calibration.js';
+import { summarizeGameEpa } from '../models/expected-points.js';
+import { initializeRatings, updateGameRatings } from '../models/elo.js';
+import { calculateQbAdjustments } from '../models/quarterbacks.js';
+import { calculateLeagueAverages } from '../models/efficiency.js';
+import {
+  createTeamAggregates,
+  addGameToAggregates,
+  finalizeAggregates,
+  calculateRankings,
+  parseGameRecord,
+  getGameContext,
+  extractLines
+} from '../utils/stats-parser.js';
+import { parsePlays } from '../utils/play-parser.js';
+import { parsePlayerStats, aggregatePlayerStats } from '../utils/player-parser.js';
+import { isValidTeam } from '../utils/validator.js';
+import { round } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Build the ordered list of week slots for a season
+ * Postseason skips the Pro Bowl
+ */
+export function getSeasonSlots(endWeek = SEASON_TYPE_WEEKS[SEASON_TYPES.REGULAR], includePostseason = false) {
+  const slots = [];
+
+  for (let week = 1; week <= endWeek; week++) {
+    slots.push({ seasonType: SEASON_TYPES.REGULAR, week, label: `week ${week}` });
+  }
+
+  if (includePostseason) {
+    for (let week = 1; week <= SEASON_TYPE_WEEKS[SEASON_TYPES.POSTSEASON]; week++) {
+      if (week === PRO_BOWL_WEEK) continue;
+      slots.push({ seasonType: SEASON_TYPES.POSTSEASON, week, label: `postseason week ${week}` });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Convert a completed scoreboard event into a backtest game
+ */
+function toBacktestGame(event, slot) {
+  const comp = event.competitions?.[0];
+  const homeTeam = comp?.competitors?.find(t => t.homeAway === 'home');
+  const awayTeam = comp?.competitors?.find(t => t.homeAway === 'away');
+
+  if (!homeTeam || !awayTeam) return null;
+  if (!isValidTeam(homeTeam.team.displayName) || !isValidTeam(awayTeam.team.displayName)) return null;
+
+  const context = getGameContext(event);
+
+  return {
+    id: event.id,
+    date: comp.date,
+    week: slot.week,
+    seasonType: slot.seasonType,
+    round: context.round,
+    neutralSite: context.neutralSite,
+    homeTeam: homeTeam.team.displayName,
+    awayTeam: awayTeam.team.displayName,
+    actualHomeScore: parseInt(homeTeam.score) || 0,
+    actualAwayScore: parseInt(awayTeam.score) || 0
+  };
+}
+
+/**
+ * Fetch every completed game of a season once
+ * Returns slots in play order: [{ seasonType, week, label, games: [{ ...game, record, lines, qbLines }] }]
+ * `record` is the parsed boxscore (null if the summary could not be fetched or parsed),
+ * `lines` the pregame betting lines from the summary's pickcenter and
+ * `qbLines` the player lines of everyone who threw a pass (for QB starter
+ * adjustments)
+ * EPA is valued with `expectedPoints`, by default a model fitted on the
+ * archived seasons before `season` (the saved model has seen this season)
+ */
+export async function loadSeasonGames(season = CURRENT_SEASON, { endWeek, includePostseason = false, expectedPoints = null } = {}) {
+  const slots = getSeasonSlots(endWeek, includePostseason);
+  const epModel = expectedPoints || await fitArchivedExpectedPoints({ beforeSeason: season });
+
+  const scoreboards = await Promise.all(
+    slots.map(slot => apiClient.getScoreboard(slot.week, slot.seasonType, season))
+  );
+
+  slots.forEach((slot, index) => {
+    slot.games = scoreboards[index]
+      .filter(event => event.status?.type?.state === 'post')
+      .map(event => toBacktestGame(event, slot))
+      .filter(Boolean);
+  });
+
+  const games = slots.flatMap(slot => slot.games);
+  const summaries = await apiClient.getGameSummaries(games.map(game => game.id));
+
+  const records = new Map();
+  const lines = new Map();
+  const qbLines = new Map();
+  summaries.forEach(summary => {
+    if (!summary) return;
+
+    const plays = parsePlays(summary);
+    const record = parseGameRecord(summary, { plays, epa: summarizeGameEpa(plays, epModel) });
+    if (record) records.set(record.id, record);
+    lines.set(summary.header?.id, extractLines(summary));
+    qbLines.set(summary.header?.id, parsePlayerStats(summary).filter(line => line.stats.passingAttempts > 0));
+  });
+
+  games.forEach(game => {
+    game.record = records.get(game.id) || null;
+    game.lines = lines.get(game.id) || null;
+    game.qbLines = qbLines.get(game.id) || [];
+  });
+
+  const missing = games.filter(game => !game.record).length;
+  if (missing > 0) {
+    logger.warn('Some boxscores could not be parsed; their stats are skipped', { missing });
+  }
+
+  logger.info(`Loaded ${games.length} completed games for ${season}`, { boxscores: records.size });
+  return slots;
+}
+
+/**
+ * Load several seasons for replaySeasons
+ * previousRatings come from the Elo history (season before each one); each
+ * season's EPA uses a model fitted on the archived seasons before it
+ */
+export async function loadSeasons(seasons, { includePostseason = false } = {}) {
+  const eloHistory = await loadEloHistory();
+  const loaded = [];
+
+  for (const season of seasons) {
+    const previousSeason = getPreviousSeason(eloHistory, season);
+    loaded.push({
+      season,
+      slots: await loadSeasonGames(season, { includePostseason }),
+      previousRatings: previousSeason ? eloHistory.seasons[previousSeason].ratings : null
+    });
+  }
+
+  return loaded;
+}
+
+/**
+ * First of `games` whose stats are already in the aggregates (game logs)
+ */
+function findAggregatedGame(aggregates, games) {
+  const ids = new Set(games.map(game => game.id));
+  const line = Object.values(aggregates)
+    .flatMap(agg => agg.gameLog)
+    .find(entry => ids.has(entry.gameId));
+  return line ? games.find(game => game.id === line.gameId) : null;
+}
+
+/**
+ * Replay loaded slots in order
+ * Slots before startWeek (regular season) only warm up aggregates and Elo;
+ * later slots are predicted first and applied afterwards. priorResults
+ * (e.g. last season's) seed the win probability calibration and priorQbLines
+ * the QB starts behind each team's usual starter.
+ */
+export function runBacktest(slots, { startWeek = 1, config = DEFAULT_CONFIG, initialRatings = null, priorResults = [], priorQbLines = [] } = {}) {
+  const aggregates = createTeamAggregates();
+  let eloRatings = initialRatings || initializeRatings();
+  const qbLines = [...priorQbLines];
+
+  const predictions = [];
+  const results = [];
+  const weeks = [];
+
+  for (const slot of slots) {
+    const { seasonType, week } = slot;
+    const evaluate = seasonType !== SEASON_TYPES.REGULAR || week >= startWeek;
+
+    if (evaluate && slot.games.length > 0) {
+      // Team stats for a slot's predictions must not include its own games
+      const leaked = findAggregatedGame(aggregates, slot.games);
+      if (leaked) {
+        throw new Error(`Point-in-time violation: game ${leaked.id} is in team stats before ${slot.label} predictions`);
+      }
+
+      const teamStats = finalizeAggregates(aggregates, { recency: config.recency });
+      const context = {
+        eloRatings,
+        teamStats,
+        leagueAverage: calculateLeagueAverages(teamStats),
+        rankings: calculateRankings(teamStats),
+        // Starters from games played before this slot (no manual overrides)
+        qbAdjustments: calculateQbAdjustments([aggregatePlayerStats(qbLines)]),
+        config,
+        // Fitted only on games played before this slot
+        calibration: fitCalibration([...priorResults, ...results])
+      };
+
+      const slotPredictions = predictGames(slot.games, context);
+      let correct = 0;
+
+      slotPredictions.forEach(pred => {
+        const game = slot.games.find(g => g.id === pred.id);
+        if (!game) return;
+
+        const result = {
+          ...checkPrediction(pred, {
+            homeTeam: game.homeTeam,
+            awayTeam: game.awayTeam,
+            homeScore: game.actualHomeScore,
+            awayScore: game.actualAwayScore
+          }),
+          week,
+          seasonType,
+          // Pre-game ratings, for baselines
+          homeElo: round(eloRatings[game.homeTeam], 1),
+          awayElo: round(eloRatings[game.awayTeam], 1)
+        };
+
+        if (result.correct) correct++;
+        predictions.push(pred);
+        results.push(result);
+      });
+
+      weeks.push({ label: slot.label, seasonType, week, games: slotPredictions.length, correct });
+      logger.info(`${slot.label} complete`, { games: slotPredictions.length, correct });
+    } else if (slot.games.length === 0) {
+      logger.info(`No completed games in ${slot.label}`);
+    }
+
+    // Apply this slot's games only after its predictions are made
+    slot.games.forEach(game => {
+      if (game.record) {
+        addGameToAggregates(aggregates, game.record);
+      }
+      qbLines.push(...(game.qbLines || []));
+
+      eloRatings = updateGameRatings(eloRatings, {
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        homeScore: game.actualHomeScore,
+        awayScore: game.actualAwayScore,
+        neutralSite: game.neutralSite
+      });
+    });
+  }
+
+  return {
+    predictions,
+    results,
+    weeks,
+    eloRatings,
+    teamStats: finalizeAggregates(aggregates, { recency: config.recency })
+  };
+}
+
+/**
+ * Replay several loaded seasons in order
+ * seasons: [{ season, slots, previousRatings }] ascending. A season directly
+ * after another in the list starts from its final Elo (regressed) and seeds
+ * calibration and QB starts with its results; otherwise previousRatings are
+ * used.
+ * Returns [{ season, predictions, results, weeks, eloRatings, teamStats }]
+ */
+export function replaySeasons(seasons, { startWeek = 1, config = DEFAULT_CONFIG } = {}) {
+  const runs = [];
+  let previous = null;
+
+  let previousQbLines = [];
+
+  seasons.forEach(({ season, slots, previousRatings = null }) => {
+    const consecutive = previous?.season === season - 1;
+
+    const run = runBacktest(slots, {
+      startWeek,
+      config,
+      initialRatings: initializeRatings(consecutive ? previous.eloRatings : previousRatings),
+      priorResults: consecutive ? previous.results : [],
+      priorQbLines: consecutive ? previousQbLines : []
+    });
+
+    previous = { season, ...run };
+    previousQbLines = slots.flatMap(slot => slot.games.flatMap(game => game.qbLines || []));
+    runs.push(previous);
+  });
+
+  return runs;
+}
+
+export default {
+  getSeasonSlots,
+  loadSeasonGames,
+  loadSeasons,
+  runBacktest,
+  replaySeasons
+};
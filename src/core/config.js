@@ -0,0 +1,277 @@
+/**
+ * NFLv2 - Configuration Loader
+ * Loads settings.json, applies env/CLI overrides and validates the result
+ */
+
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS, MODEL_CONSTANTS, DEFAULT_RECENCY } from './constants.js';
+import { validateSettings } from '../utils/validator.js';
+import { getOption, isOverrideOption } from '../utils/cli.js';
+import { logger } from '../utils/logger.js';
+
+// Defaults used when settings.json is missing a section
+export const DEFAULT_CONFIG = {
+  models: {
+    elo: { enabled: true, weight: 0.6 },
+    // stats: 'season' (all games equally) or 'recent' (recency-weighted form)
+    efficiency: { enabled: true, weight: 0.4, stats: 'season' }
+  },
+  updates: {
+    autoUpdate: true,
+    updateInterval: 180,
+    checkResultsAfterHours: 4
+  },
+  archive: {
+    // update-data writes raw ESPN responses to data/archive (the scheduled
+    // update turns this on and commits the archive with the rest of data/)
+    record: false,
+    // Backtests read only from data/archive (also --offline)
+    offline: false
+  },
+  // Recency weighting for the `recent` team stats
+  recency: { ...DEFAULT_RECENCY },
+  betting: {
+    // Starting bankroll for stake sizes and simulated P&L
+    bankroll: 1000,
+    // Share of full Kelly to stake
+    kellyFraction: 0.25,
+    // Minimum expected value per unit staked to flag a side
+    minEdge: 0.02,
+    // Cap on a single stake (share of bankroll)
+    maxStakePct: 0.05
+  },
+  // Overrides for MODEL_CONSTANTS (e.g. written by the tune workflow)
+  modelConstants: {}
+};
+
+// Built-in MODEL_CONSTANTS, restored before overrides are applied
+const BASE_MODEL_CONSTANTS = { ...MODEL_CONSTANTS };
+
+const ENV_PREFIX = 'NFLV2_';
+const ENV_CONFIG_PATH = 'NFLV2_CONFIG';
+
+/**
+ * Deep merge plain objects (source wins)
+ */
+export function deepMerge(target, source) {
+  const result = { ...target };
+
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parse an override value ("true", "0.7", "text")
+ */
+export function parseOverrideValue(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+
+  const num = Number(raw);
+  return raw !== '' && !isNaN(num) ? num : raw;
+}
+
+/**
+ * Set a value at a path, matching existing keys case-insensitively
+ * Returns the resolved path
+ */
+export function setPath(config, pathSegments, value) {
+  let node = config;
+  const resolved = [];
+
+  pathSegments.forEach((segment, index) => {
+    const key = Object.keys(node).find(k => k.toLowerCase() === segment.toLowerCase()) || segment;
+    resolved.push(key);
+
+    if (index === pathSegments.length - 1) {
+      node[key] = value;
+      return;
+    }
+
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+
+  return resolved;
+}
+
+/**
+ * Collect overrides from environment (NFLV2_MODELS__ELO__WEIGHT=0.7)
+ */
+export function getEnvOverrides(env = process.env) {
+  return Object.entries(env)
+    .filter(([name]) => name.startsWith(ENV_PREFIX) && name !== ENV_CONFIG_PATH)
+    .map(([name, raw]) => ({
+      path: name.slice(ENV_PREFIX.length).split('__').filter(Boolean),
+      value: parseOverrideValue(raw),
+      source: `env:${name}`
+    }))
+    .filter(override => override.path.length > 0);
+}
+
+/**
+ * Collect overrides from CLI arguments (--models.elo.weight=0.7 or
+ * --models.elo.weight 0.7)
+ */
+export function getCliOverrides(argv = process.argv.slice(2)) {
+  const overrides = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!isOverrideOption(argv[i])) continue;
+
+    const separator = argv[i].indexOf('=');
+    const path = separator === -1 ? argv[i].slice(2) : argv[i].slice(2, separator);
+    let raw = separator === -1 ? null : argv[i].slice(separator + 1);
+
+    if (raw === null) {
+      raw = argv[i + 1];
+      if (raw === undefined || raw.startsWith('--')) {
+        throw new Error(`Missing value for --${path} (use --${path}=value)`);
+      }
+      i++;
+    }
+
+    overrides.push({
+      path: path.split('.'),
+      value: parseOverrideValue(raw),
+      source: `cli:--${path}`
+    });
+  }
+
+  return overrides;
+}
+
+/**
+ * Get config file path from CLI (--config path) or environment
+ */
+export function getConfigPath(argv = process.argv.slice(2), env = process.env) {
+  return getOption('config', argv) || env[ENV_CONFIG_PATH] || DATA_PATHS.SETTINGS;
+}
+
+/**
+ * Apply MODEL_CONSTANTS overrides in place
+ * Returns the previous values so callers can restore them
+ */
+export function applyModelConstants(overrides = {}) {
+  const previous = {};
+
+  Object.entries(overrides).forEach(([name, value]) => {
+    previous[name] = MODEL_CONSTANTS[name];
+    MODEL_CONSTANTS[name] = value;
+  });
+
+  return previous;
+}
+
+/**
+ * Normalize weights of enabled models so they sum to 1
+ */
+export function getModelWeights(config) {
+  const enabled = Object.entries(config.models || {})
+    .filter(([, model]) => model.enabled !== false);
+
+  const totalWeight = enabled.reduce((sum, [, model]) => sum + (model.weight || 0), 0);
+
+  return Object.fromEntries(
+    enabled.map(([name, model]) => [name, totalWeight > 0 ? (model.weight || 0) / totalWeight : 0])
+  );
+}
+
+/**
+ * Build the snapshot stamped into output files
+ */
+export function getEffectiveConfig(config) {
+  return {
+    source: config._meta?.source || null,
+    overrides: config._meta?.overrides || [],
+    models: config.models,
+    weights: getModelWeights(config),
+    modelConstants: config.modelConstants || {},
+    loadedAt: config._meta?.loadedAt || null
+  };
+}
+
+class ConfigLoader {
+  constructor() {
+    this.config = null;
+  }
+
+  /**
+   * Load, override and validate configuration
+   */
+  async load({ argv = process.argv.slice(2), env = process.env, reload = false } = {}) {
+    if (this.config && !reload) {
+      return this.config;
+    }
+
+    const source = getConfigPath(argv, env);
+    const settings = await dataManager.readJSON(source);
+
+    if (!settings) {
+      logger.warn('Settings file not found, using defaults', { source });
+    }
+
+    const config = deepMerge(structuredClone(DEFAULT_CONFIG), settings || {});
+
+    // Environment first, then CLI (CLI wins)
+    const overrides = [...getEnvOverrides(env), ...getCliOverrides(argv)];
+    overrides.forEach(override => {
+      override.path = setPath(config, override.path, override.value);
+    });
+
+    const result = validateSettings(config);
+    if (!result.valid) {
+      throw new Error(`Invalid configuration (${source}): ${result.errors.join('; ')}`);
+    }
+
+    Object.assign(MODEL_CONSTANTS, BASE_MODEL_CONSTANTS);
+    if (Object.keys(config.modelConstants).length > 0) {
+      applyModelConstants(config.modelConstants);
+      logger.info('Applied model constant overrides', { modelConstants: config.modelConstants });
+    }
+
+    config._meta = {
+      source,
+      overrides: overrides.map(o => ({ path: o.path.join('.'), value: o.value, source: o.source })),
+      loadedAt: new Date().toISOString()
+    };
+
+    if (overrides.length > 0) {
+      logger.info('Applied configuration overrides', { overrides: config._meta.overrides });
+    }
+
+    logger.debug('Configuration loaded', { source, weights: getModelWeights(config) });
+
+    this.config = config;
+    return config;
+  }
+
+  /**
+   * Get loaded configuration (defaults if not loaded yet)
+   */
+  get() {
+    return this.config || DEFAULT_CONFIG;
+  }
+
+  /**
+   * Reset loaded configuration
+   */
+  reset() {
+    this.config = null;
+  }
+}
+
+// Singleton instance
+export const configLoader = new ConfigLoader();
+export const loadConfig = (options) => configLoader.load(options);
+export default configLoader;
@@ -3,8 +3,41 @@
  * Single source of truth for all application constants
  */
 
+/**
+ * NFL season a date falls in (seasons start in September)
+ */
+export function getSeasonForDate(date = new Date()) {
+  return date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+}
+
 // Current NFL season (auto-detect based on date)
-export const CURRENT_SEASON = new Date().getMonth() >= 8 ? new Date().getFullYear() : new Date().getFullYear() - 1;
+export const CURRENT_SEASON = getSeasonForDate();
+
+// ESPN season types
+export const SEASON_TYPES = {
+  PRESEASON: 1,
+  REGULAR: 2,
+  POSTSEASON: 3
+};
+
+// Number of weeks in each season type
+export const SEASON_TYPE_WEEKS = {
+  [SEASON_TYPES.PRESEASON]: 4,
+  [SEASON_TYPES.REGULAR]: 18,
+  [SEASON_TYPES.POSTSEASON]: 5
+};
+
+// Postseason rounds by ESPN postseason week
+export const POSTSEASON_ROUNDS = {
+  1: 'Wild Card',
+  2: 'Divisional',
+  3: 'Conference Championship',
+  4: 'Pro Bowl',
+  5: 'Super Bowl'
+};
+
+export const PRO_BOWL_WEEK = 4;
+export const SUPER_BOWL_WEEK = 5;
 
 // NFL Team Data - Complete mapping
 export const NFL_TEAMS = {
@@ -64,8 +97,97 @@ export const MODEL_CONSTANTS = {
   ELO_BASE_RATING: 1500,                // Starting Elo rating
   ELO_MOV_MULTIPLIER: 1,                // Margin of victory adjustment
   CONFIDENCE_HIGH_THRESHOLD: 50,        // Was 100 - now more realistic
-  CONFIDENCE_MEDIUM_THRESHOLD: 25       // Was 50
+  CONFIDENCE_MEDIUM_THRESHOLD: 25,      // Was 50
+  ELO_POINTS_PER_SCORE_POINT: 25,       // ~25 Elo points = 1 score point
+  MARGIN_STD_DEV: 13.5,                 // Std dev of NFL final margin vs. spread
+  TOTAL_STD_DEV: 13.5,                  // Std dev of NFL total points vs. predicted total
+  CALIBRATION_MIN_SAMPLES: 64,          // Results needed before fitting sigma
+  CALIBRATION_MIN_SIGMA: 8,             // Bounds on the fitted margin std dev
+  CALIBRATION_MAX_SIGMA: 20,
+  SOS_PRIOR_GAMES: 2,                   // Games of league-average play added to opponent adjustments
+  SOS_MAX_ITERATIONS: 100,              // Iterations for opponent-adjusted ratings
+  SOS_TOLERANCE: 0.001,                 // Convergence threshold (per-game units)
+  CONFIDENCE_HIGH_PROB: 0.70,           // Winner probability for 'high'
+  CONFIDENCE_MEDIUM_PROB: 0.60,         // Winner probability for 'medium'
+  TIE_PROBABILITY: 0.003                // Share of regular-season games ending tied (season simulation)
+};
 
+// Recency weighting of team aggregates (settings.json "recency")
+export const DEFAULT_RECENCY = {
+  method: 'exponential',                // 'exponential', 'window' or 'none'
+  halfLife: 4,                          // Games for a game's weight to halve
+  window: 4                             // Games counted by 'window'
+};
+
+// Injury impact model constants
+export const INJURY_CONSTANTS = {
+  // Points lost when the starter at a position is unavailable
+  POSITION_VALUES: {
+    QB: 5.5,
+    RB: 0.8, FB: 0.2,
+    WR: 1.0, TE: 0.6,
+    OT: 0.6, T: 0.6, OG: 0.4, G: 0.4, C: 0.5, OL: 0.5,
+    DE: 0.6, DT: 0.5, NT: 0.4, DL: 0.5, EDGE: 0.7,
+    LB: 0.4, OLB: 0.5, ILB: 0.4, MLB: 0.4,
+    CB: 0.7, S: 0.4, FS: 0.4, SS: 0.4, DB: 0.4,
+    K: 0.4, P: 0.2, LS: 0.1
+  },
+  // Share of the starter's value by depth chart slot (1 = starter)
+  DEPTH_MULTIPLIERS: { 1: 1.0, 2: 0.3, 3: 0.1 },
+  DEPTH_MULTIPLIER_DEEP: 0.05,          // 4th string and below
+  DEPTH_MULTIPLIER_UNKNOWN: 0.5,        // No depth chart data
+  // Probability the player misses the game, by injury status
+  STATUS_WEIGHTS: {
+    'Out': 1.0,
+    'IR': 1.0,
+    'PUP': 1.0,
+    'Sus': 1.0,
+    'COV': 1.0,
+    'Doubtful': 0.75,
+    'Questionable': 0.25,
+    'Probable': 0.05
+  },
+  MAX_TEAM_ADJUSTMENT: 10               // Cap on points lost per team
+};
+
+// Quarterback adjustment constants (Elo)
+export const QB_CONSTANTS = {
+  // Per-game QB value: weight per stat (FiveThirtyEight's QB formula)
+  VALUE_WEIGHTS: {
+    passingAttempts: -2.2,
+    completions: 3.7,
+    passingYards: 0.2,
+    passingTouchdowns: 11.3,
+    interceptionsThrown: -14.1,
+    sacksTaken: -8,
+    rushingAttempts: -1.1,
+    rushingYards: 0.6,
+    rushingTouchdowns: 15.9
+  },
+  REPLACEMENT_VALUE: 25,                // Per-start value of a replacement-level QB
+  PRIOR_STARTS: 4,                      // Replacement-level starts added to each QB's average
+  USUAL_STARTER_GAMES: 8,               // Team games looked back on for the usual starter
+  ELO_PER_VALUE: 3.3,                   // Elo points per point of QB value
+  MAX_ELO_ADJUSTMENT: 150               // Cap on a team's QB adjustment (either way)
+};
+
+// Expected points (EP) model constants
+export const EP_CONSTANTS = {
+  // Value of the next score (from the scoring team's side)
+  SCORE_VALUES: { touchdown: 7, fieldGoal: 3, safety: 2 },
+  MIN_PLAYS_PER_DOWN: 400,              // Plays needed to fit a down's coefficients
+  MAX_DISTANCE: 20,                     // Yards to go are capped here
+  RIDGE: 1,                             // Penalty on non-intercept coefficients
+  EP_MIN: -7,
+  EP_MAX: 7,
+  // [intercept, yardsToGoal, yardsToGoal^2, distance] per down; a rough
+  // league-average curve used until a model is fitted on archived plays
+  DEFAULT_COEFFICIENTS: {
+    1: [6.3, -0.069, 0, -0.03],
+    2: [6.0, -0.068, 0, -0.06],
+    3: [5.6, -0.066, 0, -0.10],
+    4: [5.2, -0.065, 0, -0.12]
+  }
 };
 
 // API endpoints
@@ -99,47 +221,109 @@ export const DATA_PATHS = {
   RESULTS: './data/results.json',
   HISTORICAL_ELO: './data/historical-elo.json',
   MANUAL_INJURIES: './data/manual-injuries.json',
+  MANUAL_LINES: './data/manual-lines.json',
+  MANUAL_STARTERS: './data/manual-starters.json',
   TEST_PREDICTIONS: './data/test-predictions.json',
   TEST_RESULTS: './data/test-results.json',
-  SETTINGS: './src/config/settings.json'
-};
-
-// Stat name normalization mapping
-export const STAT_NAMES = {
-  // Passing stats
-  'passingyards': 'passingYards',
-  'netpassingyards': 'passingYards',
-  'passingYards': 'passingYards',
-  'completionAttempts': 'completionAttempts',
-  'passcompletions': 'completionAttempts',
-
-  // Rushing stats
-  'rushingyards': 'rushingYards',
-  'rushingYards': 'rushingYards',
-  'rushingAttempts': 'rushingAttempts',
-  'rushingattempts': 'rushingAttempts',
-
-  // Other offensive stats
-  'totalyards': 'totalYards',
-  'totalYards': 'totalYards',
-  'possessionTime': 'possessionTime',
-  'possessiontime': 'possessionTime',
-  'turnovers': 'turnovers',
-
-  // Efficiency stats
-  'thirddowneff': 'thirdDownEff',
-  'thirdDownEff': 'thirdDownEff',
-  'fourthdowneff': 'fourthDownEff',
-  'fourthDownEff': 'fourthDownEff',
-  'redZoneAttempts': 'redZoneAttempts',
-  'redzoneeff': 'redZoneEff',
-  'redZoneEff': 'redZoneEff',
-
-  // Defensive stats
-  'sacks': 'sacks',
-  'sacks-yardslost': 'sacks',
-  'sacksYardsLost': 'sacks',
-  'tacklesForLoss': 'tacklesForLoss'
+  SETTINGS: './src/config/settings.json',
+  ARCHIVE: './data/archive',
+  LATEST: './data/latest',
+  TUNING_RESULTS: './data/tuning-results.json',
+  VALIDATION_RESULTS: './data/validation-results.json',
+  SIMULATION: './data/simulation.json',
+  EXPECTED_POINTS: './data/expected-points.json',
+  PLAYER_STATS: './data/player-stats.json'
+};
+
+// Data files stored per season (dataManager.seasonPath)
+export const SEASON_DATA_PATHS = [
+  DATA_PATHS.CACHED_DATA,
+  DATA_PATHS.PREDICTIONS,
+  DATA_PATHS.RESULTS,
+  DATA_PATHS.TEST_RESULTS,
+  DATA_PATHS.SIMULATION,
+  DATA_PATHS.PLAYER_STATS
+];
+
+// Season data files the dashboard (public/index.html) reads; the current
+// season's copy is kept unsuffixed under DATA_PATHS.LATEST
+export const LATEST_DATA_PATHS = [
+  DATA_PATHS.CACHED_DATA,
+  DATA_PATHS.PREDICTIONS,
+  DATA_PATHS.RESULTS
+];
+
+// ESPN boxscore team stats (boxscore.teams[].statistics), keyed by ESPN stat name
+//   type:   number | ratio ("made-attempts" -> { made, attempts, percentage })
+//           | pair ("a-b" or "a/b" -> two fields) | time ("mm:ss" -> seconds)
+//   fields: output field(s) in extractTeamStats
+//   labels: display labels accepted when a stat has no name
+export const TEAM_STAT_SCHEMA = {
+  firstDowns: { type: 'number', fields: ['firstDowns'], labels: ['1st Downs'] },
+  thirdDownEff: { type: 'ratio', fields: ['thirdDownEff'], labels: ['3rd down efficiency'] },
+  fourthDownEff: { type: 'ratio', fields: ['fourthDownEff'], labels: ['4th down efficiency'] },
+  totalOffensivePlays: { type: 'number', fields: ['totalPlays'], labels: ['Total Plays'] },
+  totalYards: { type: 'number', fields: ['totalYards'], labels: ['Total Yards'] },
+  yardsPerPlay: { type: 'number', fields: ['yardsPerPlay'], labels: ['Yards per Play'] },
+  netPassingYards: { type: 'number', fields: ['passingYards'], labels: ['Passing'] },
+  completionAttempts: { type: 'pair', fields: ['completions', 'passingAttempts'], labels: ['Comp/Att', 'Comp-Att'] },
+  interceptions: { type: 'number', fields: ['interceptions'], labels: ['Interceptions thrown'] },
+  // Times the offense was sacked and yards lost
+  sacksYardsLost: { type: 'pair', fields: ['sacks', 'sackYards'], labels: ['Sacks-Yards Lost'] },
+  rushingYards: { type: 'number', fields: ['rushingYards'], labels: ['Rushing'] },
+  rushingAttempts: { type: 'number', fields: ['rushingAttempts'], labels: ['Rushing Attempts'] },
+  redZoneAttempts: { type: 'ratio', fields: ['redZoneEff'], labels: ['Red Zone (Made-Att)'] },
+  totalPenaltiesYards: { type: 'pair', fields: ['penalties', 'penaltyYards'], labels: ['Penalties'] },
+  turnovers: { type: 'number', fields: ['turnovers'], labels: ['Turnovers'] },
+  fumblesLost: { type: 'number', fields: ['fumblesLost'], labels: ['Fumbles lost'] },
+  possessionTime: { type: 'time', fields: ['possessionTime'], labels: ['Possession'] }
+};
+
+// ESPN boxscore player stats (boxscore.players[].statistics), by category and
+// ESPN stat key; types as in TEAM_STAT_SCHEMA. Rates (yards per attempt,
+// passer rating, ...) are left out and recomputed from season totals
+export const PLAYER_STAT_SCHEMA = {
+  passing: {
+    'completions/passingAttempts': { type: 'pair', fields: ['completions', 'passingAttempts'] },
+    passingYards: { type: 'number', fields: ['passingYards'] },
+    passingTouchdowns: { type: 'number', fields: ['passingTouchdowns'] },
+    interceptions: { type: 'number', fields: ['interceptionsThrown'] },
+    'sacks-sackYardsLost': { type: 'pair', fields: ['sacksTaken', 'sackYardsLost'] }
+  },
+  rushing: {
+    rushingAttempts: { type: 'number', fields: ['rushingAttempts'] },
+    rushingYards: { type: 'number', fields: ['rushingYards'] },
+    rushingTouchdowns: { type: 'number', fields: ['rushingTouchdowns'] }
+  },
+  receiving: {
+    receptions: { type: 'number', fields: ['receptions'] },
+    receivingTargets: { type: 'number', fields: ['targets'] },
+    receivingYards: { type: 'number', fields: ['receivingYards'] },
+    receivingTouchdowns: { type: 'number', fields: ['receivingTouchdowns'] }
+  },
+  fumbles: {
+    fumbles: { type: 'number', fields: ['fumbles'] },
+    fumblesLost: { type: 'number', fields: ['fumblesLost'] }
+  },
+  defensive: {
+    totalTackles: { type: 'number', fields: ['tackles'] },
+    soloTackles: { type: 'number', fields: ['soloTackles'] },
+    sacks: { type: 'number', fields: ['sacks'] },
+    tacklesForLoss: { type: 'number', fields: ['tacklesForLoss'] },
+    passesDefended: { type: 'number', fields: ['passesDefended'] },
+    QBHits: { type: 'number', fields: ['qbHits'] },
+    defensiveTouchdowns: { type: 'number', fields: ['defensiveTouchdowns'] }
+  },
+  interceptions: {
+    interceptions: { type: 'number', fields: ['interceptions'] },
+    interceptionYards: { type: 'number', fields: ['interceptionYards'] },
+    interceptionTouchdowns: { type: 'number', fields: ['interceptionTouchdowns'] }
+  },
+  kicking: {
+    'fieldGoalsMade/fieldGoalAttempts': { type: 'pair', fields: ['fieldGoalsMade', 'fieldGoalAttempts'] },
+    'extraPointsMade/extraPointAttempts': { type: 'pair', fields: ['extraPointsMade', 'extraPointAttempts'] },
+    totalKickingPoints: { type: 'number', fields: ['kickingPoints'] }
+  }
 };
 
 // Week schedule (for workflow timing)
@@ -151,15 +335,28 @@ export const WEEK_SCHEDULE = {
 };
 
 export default {
+  getSeasonForDate,
   CURRENT_SEASON,
+  SEASON_TYPES,
+  SEASON_TYPE_WEEKS,
+  POSTSEASON_ROUNDS,
+  PRO_BOWL_WEEK,
+  SUPER_BOWL_WEEK,
   NFL_TEAMS,
   ABBREV_TO_NAME,
   ABBREV_ALTERNATES,
   MODEL_CONSTANTS,
+  DEFAULT_RECENCY,
+  INJURY_CONSTANTS,
+  QB_CONSTANTS,
+  EP_CONSTANTS,
   API_ENDPOINTS,
   API_CONFIG,
   UPDATE_CONFIG,
   DATA_PATHS,
-  STAT_NAMES,
+  SEASON_DATA_PATHS,
+  LATEST_DATA_PATHS,
+  TEAM_STAT_SCHEMA,
+  PLAYER_STAT_SCHEMA,
   WEEK_SCHEDULE
 };
@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { CURRENT_SEASON, DATA_PATHS, SEASON_DATA_PATHS, LATEST_DATA_PATHS, getSeasonForDate } from './constants.js';
 import { logger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -13,15 +14,101 @@ const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '../..');
 
 class DataManager {
-  constructor() {
+  constructor(rootPath = PROJECT_ROOT) {
+    this.rootPath = rootPath;
     this.locks = new Map();
+    this.migration = null;
   }
 
   /**
    * Resolve path relative to project root
    */
   resolvePath(relativePath) {
-    return path.resolve(PROJECT_ROOT, relativePath);
+    return path.resolve(this.rootPath, relativePath);
+  }
+
+  /**
+   * Get the per-season variant of a data file path
+   * Every season gets a suffix, the current one included
+   * (e.g. ./data/predictions.json -> ./data/predictions-2025.json)
+   */
+  seasonPath(filePath, season = CURRENT_SEASON) {
+    const ext = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - ext.length)}-${season || CURRENT_SEASON}${ext}`;
+  }
+
+  /**
+   * Path of a dashboard file's current-season copy
+   * (e.g. ./data/predictions.json -> ./data/latest/predictions.json)
+   */
+  latestPath(filePath) {
+    return `${DATA_PATHS.LATEST}/${path.basename(filePath)}`;
+  }
+
+  /**
+   * Copy a written file to its latest path when it is the current season's
+   * copy of a LATEST_DATA_PATHS file, so the dashboard never needs to know
+   * the season
+   */
+  async updateLatest(fullPath) {
+    const filePath = LATEST_DATA_PATHS.find(p => this.resolvePath(this.seasonPath(p, CURRENT_SEASON)) === fullPath);
+    if (!filePath) return;
+
+    const latestPath = this.resolvePath(this.latestPath(filePath));
+    const tempPath = `${latestPath}.tmp`;
+    await this.ensureDir(path.dirname(latestPath));
+    await fs.copyFile(fullPath, tempPath);
+    await fs.rename(tempPath, latestPath);
+    logger.debug('Updated latest copy', { filePath: this.latestPath(filePath) });
+  }
+
+  /**
+   * Move a legacy unsuffixed season file to its season's path
+   * The season comes from the file's `season` field, else its lastUpdated
+   * date. An existing season file is never overwritten.
+   * Returns the new path, or null if nothing was moved
+   */
+  async migrateSeasonFile(filePath) {
+    const fullPath = this.resolvePath(filePath);
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(fullPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      logger.error('Failed to read legacy season file', { filePath, error: error.message });
+      return null;
+    }
+
+    const updated = data?.lastUpdated ? new Date(data.lastUpdated) : null;
+    const season = parseInt(data?.season)
+      || (updated && !isNaN(updated) ? getSeasonForDate(updated) : CURRENT_SEASON);
+    const target = this.seasonPath(filePath, season);
+
+    try {
+      await fs.access(this.resolvePath(target));
+      logger.warn('Legacy season file not migrated, season file already exists', { filePath, target });
+      return null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.rename(fullPath, this.resolvePath(target));
+    await this.updateLatest(this.resolvePath(target));
+    logger.info('Migrated legacy season file', { filePath, target, season });
+    return target;
+  }
+
+  /**
+   * Migrate every legacy season file (once per process)
+   */
+  async migrateSeasonFiles(filePaths = SEASON_DATA_PATHS) {
+    this.migration ||= (async () => {
+      for (const filePath of filePaths) {
+        await this.migrateSeasonFile(filePath);
+      }
+    })();
+    return this.migration;
   }
 
   /**
@@ -58,6 +145,7 @@ class DataManager {
 
   /**
    * Write JSON file atomically (write to temp, then rename)
+   * Current-season dashboard files also refresh their latest copy
    */
   async writeJSON(filePath, data, pretty = true) {
     const fullPath = this.resolvePath(filePath);
@@ -74,6 +162,7 @@ class DataManager {
 
       // Atomic rename (replaces existing file)
       await fs.rename(tempPath, fullPath);
+      await this.updateLatest(fullPath);
 
       logger.debug('Successfully wrote JSON file', { filePath, size: jsonString.length });
       return true;
@@ -0,0 +1,157 @@
+/**
+ * NFLv2 - Elo History
+ * Stores Elo ratings per season and rolls ratings over between seasons
+ *
+ * historical-elo.json layout:
+ *   {
+ *     lastUpdated,
+ *     seasons: {
+ *       "2024": { ratings, lastUpdated, carriedFrom },
+ *       "2025": { ... }
+ *     }
+ *   }
+ */
+
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS, CURRENT_SEASON } from './constants.js';
+import { initializeRatings } from '../models/elo.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Convert any stored format into the per-season layout
+ */
+export function normalizeHistory(raw) {
+  if (!raw) {
+    return { seasons: {}, lastUpdated: null };
+  }
+
+  if (raw.seasons) {
+    return raw;
+  }
+
+  // Legacy flat format: { season, ratings, lastUpdated }
+  // (season was not written before per-season storage, so assume the current one)
+  if (raw.ratings && Object.keys(raw.ratings).length > 0) {
+    const season = raw.season || CURRENT_SEASON;
+
+    logger.info('Migrating legacy Elo history to per-season format', { season });
+    return {
+      seasons: {
+        [season]: {
+          ratings: raw.ratings,
+          lastUpdated: raw.lastUpdated || null,
+          carriedFrom: null
+        }
+      },
+      lastUpdated: raw.lastUpdated || null
+    };
+  }
+
+  return { seasons: {}, lastUpdated: raw.lastUpdated || null };
+}
+
+/**
+ * Find the most recent season before `season` that has ratings
+ */
+export function getPreviousSeason(history, season) {
+  const earlier = Object.keys(history.seasons)
+    .map(Number)
+    .filter(s => s < season && history.seasons[s]?.ratings)
+    .sort((a, b) => b - a);
+
+  return earlier.length > 0 ? earlier[0] : null;
+}
+
+/**
+ * Get ratings for a season, rolling over from the previous season if needed
+ * Returns { ratings, created, carriedFrom }
+ */
+export function getSeasonRatings(history, season) {
+  const existing = history.seasons[season];
+  if (existing?.ratings) {
+    return { ratings: existing.ratings, created: false, carriedFrom: existing.carriedFrom || null };
+  }
+
+  const previousSeason = getPreviousSeason(history, season);
+  if (previousSeason) {
+    logger.info('Rolling Elo ratings over to new season', { from: previousSeason, to: season });
+    return {
+      ratings: initializeRatings(history.seasons[previousSeason].ratings),
+      created: true,
+      carriedFrom: previousSeason
+    };
+  }
+
+  logger.warn('No previous season Elo found, initializing fresh ratings', { season });
+  return { ratings: initializeRatings(), created: true, carriedFrom: null };
+}
+
+/**
+ * Return a copy of history with ratings stored for a season
+ */
+export function setSeasonRatings(history, season, ratings, carriedFrom = undefined) {
+  const now = new Date().toISOString();
+  const previous = history.seasons[season] || {};
+
+  return {
+    ...history,
+    lastUpdated: now,
+    seasons: {
+      ...history.seasons,
+      [season]: {
+        ...previous,
+        ratings,
+        lastUpdated: now,
+        carriedFrom: carriedFrom !== undefined ? carriedFrom : (previous.carriedFrom ?? null)
+      }
+    }
+  };
+}
+
+/**
+ * Load Elo history from disk
+ */
+export async function loadEloHistory() {
+  const raw = await dataManager.readJSON(DATA_PATHS.HISTORICAL_ELO);
+  return normalizeHistory(raw);
+}
+
+/**
+ * Save Elo history to disk
+ */
+export async function saveEloHistory(history) {
+  return dataManager.writeJSON(DATA_PATHS.HISTORICAL_ELO, history);
+}
+
+/**
+ * Load ratings for a season, persisting the rollover if one happened
+ */
+export async function loadSeasonRatings(season) {
+  const history = await loadEloHistory();
+  const { ratings, created, carriedFrom } = getSeasonRatings(history, season);
+
+  if (created) {
+    await saveEloHistory(setSeasonRatings(history, season, ratings, carriedFrom));
+  }
+
+  return ratings;
+}
+
+/**
+ * Save ratings for a season
+ */
+export async function saveSeasonRatings(season, ratings) {
+  const history = await loadEloHistory();
+  await saveEloHistory(setSeasonRatings(history, season, ratings));
+}
+
+export default {
+  normalizeHistory,
+  getPreviousSeason,
+  getSeasonRatings,
+  setSeasonRatings,
+  loadEloHistory,
+  saveEloHistory,
+  loadSeasonRatings,
+  saveSeasonRatings
+};
@@ -0,0 +1,79 @@
+/**
+ * NFLv2 - Expected Points Store
+ * Fits the expected points model on archived plays and persists it
+ *
+ * expected-points.json layout:
+ *   { coefficients: { 1: [...], ..., 4: [...] }, samples, fitted, games, lastUpdated }
+ *
+ * The saved model is fitted by `npm run fit-ep` and only loaded by the update
+ * workflow. Backtests fit their own model on the seasons before the one they
+ * replay, so no game is valued with a curve that has seen it.
+ */
+
+import { archive } from './archive.js';
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS } from './constants.js';
+import { fitExpectedPoints, getDefaultExpectedPoints } from '../models/expected-points.js';
+import { parsePlays } from '../utils/play-parser.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Add a summary's parsed plays to `games` (event id -> plays)
+ */
+export function addSummaryPlays(games, summary) {
+  const plays = parsePlays(summary);
+  if (plays.length > 0) games.set(String(summary.header.id), plays);
+  return games;
+}
+
+/**
+ * Fit the model on archived summaries plus `games` (event id -> plays, e.g.
+ * from summaries just fetched, which may not be archived). With beforeSeason
+ * only earlier archived seasons are used. Summaries are read one at a time
+ * and only their parsed plays are kept.
+ */
+export async function fitArchivedExpectedPoints({ games = new Map(), beforeSeason = null } = {}) {
+  const seasons = (await archive.listSeasons())
+    .filter(season => beforeSeason === null || season < beforeSeason);
+
+  for (const season of seasons) {
+    for (const [eventId, filePath] of await archive.listSummaries(season)) {
+      if (games.has(eventId)) continue;
+      addSummaryPlays(games, await dataManager.readJSON(filePath));
+    }
+  }
+
+  logger.info('Fitting expected points on archived plays', { games: games.size, seasons: seasons.join(',') || 'none' });
+
+  return {
+    ...fitExpectedPoints([...games.values()]),
+    games: games.size,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * Load the fitted model (default coefficients if none has been saved)
+ */
+export async function loadExpectedPoints() {
+  const saved = await dataManager.readJSON(DATA_PATHS.EXPECTED_POINTS);
+  if (!saved?.coefficients) {
+    logger.debug('No fitted expected points model, using defaults');
+    return getDefaultExpectedPoints();
+  }
+  return saved;
+}
+
+/**
+ * Save a fitted model
+ */
+export async function saveExpectedPoints(model) {
+  return dataManager.writeJSON(DATA_PATHS.EXPECTED_POINTS, model);
+}
+
+export default {
+  addSummaryPlays,
+  fitArchivedExpectedPoints,
+  loadExpectedPoints,
+  saveExpectedPoints
+};
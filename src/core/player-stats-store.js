@@ -0,0 +1,49 @@
+/**
+ * NFLv2 - Player Stats Store
+ * Aggregates per-player boxscore lines and persists them by season
+ *
+ * player-stats-YYYY.json layout:
+ *   { lastUpdated, season, gameIds, players: { playerId: player } }
+ *
+ * gameIds are the final games the players were aggregated from. The file is
+ * only rewritten when that set changes, so game-day runs that find no newly
+ * final game leave it (and the data commit) untouched.
+ */
+
+import { apiClient } from './api-client.js';
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS } from './constants.js';
+import { aggregatePlayerStats } from '../utils/player-parser.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Aggregate and save a season's player stats unless the saved file already
+ * covers the same final games
+ * gameIds: ids of the season's final games, playerLines: their
+ * parsePlayerStats lines. Returns { players, updated }
+ */
+export async function updatePlayerStats(season, gameIds, playerLines) {
+  const filePath = dataManager.seasonPath(DATA_PATHS.PLAYER_STATS, season);
+  const ids = gameIds.map(String).sort();
+  const saved = await dataManager.readJSON(filePath);
+
+  if (saved?.players && saved.gameIds?.join(',') === ids.join(',')) {
+    logger.info('No new final games, keeping saved player statistics');
+    return { players: saved.players, updated: false };
+  }
+
+  logger.info('Aggregating player statistics...');
+  const players = aggregatePlayerStats(playerLines, { sleeperIds: await apiClient.getPlayerIdMap() });
+  await dataManager.writeJSON(filePath, {
+    lastUpdated: new Date().toISOString(),
+    season,
+    gameIds: ids,
+    players
+  });
+
+  return { players, updated: true };
+}
+
+export default {
+  updatePlayerStats
+};
@@ -0,0 +1,75 @@
+/**
+ * NFLv2 - Prediction Context
+ * Loads what predict() needs for a season: Elo ratings, the win probability
+ * calibration, team stats and league averages, injuries and QB adjustments
+ *
+ * Shared by the predictions and simulation workflows so simulated games are
+ * priced with the same blend as the published predictions.
+ */
+
+import { dataManager } from './data-manager.js';
+import { DATA_PATHS } from './constants.js';
+import { loadSeasonRatings } from './elo-history.js';
+import { fitCalibration } from '../models/calibration.js';
+import { calculateLeagueAverages } from '../models/efficiency.js';
+import { calculateQbAdjustments } from '../models/quarterbacks.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Read an optional manual overrides file ({} if missing)
+ */
+async function readManual(filePath) {
+  try {
+    return await dataManager.readJSON(filePath) || {};
+  } catch (error) {
+    logger.debug('No manual overrides file found', { file: filePath });
+    return {};
+  }
+}
+
+/**
+ * Build the predict() context for a season from its cached data
+ * (cached-data-YYYY.json, written by update-data)
+ */
+export async function loadPredictionContext(season, { cachedData, config }) {
+  // Elo ratings (rolls over from last season if needed)
+  logger.info('Loading Elo ratings...');
+  const eloRatings = await loadSeasonRatings(season);
+
+  // Win probability calibration on this and last season's results
+  logger.info('Fitting win probability calibration...');
+  const pastResults = [];
+  for (const resultsSeason of [season - 1, season]) {
+    const resultsData = await dataManager.readJSON(dataManager.seasonPath(DATA_PATHS.RESULTS, resultsSeason));
+    pastResults.push(...(resultsData?.results || []));
+  }
+  const calibration = fitCalibration(pastResults);
+
+  logger.info('Calculating league averages...');
+  const leagueAverage = calculateLeagueAverages(cachedData.teamStats);
+
+  // Quarterback adjustments (last and this season's boxscores + manual starters)
+  logger.info('Calculating quarterback adjustments...');
+  const playerSets = [];
+  for (const statsSeason of [season - 1, season]) {
+    const playerData = await dataManager.readJSON(dataManager.seasonPath(DATA_PATHS.PLAYER_STATS, statsSeason));
+    if (playerData?.players) playerSets.push(playerData.players);
+  }
+  const manualStarters = await readManual(DATA_PATHS.MANUAL_STARTERS);
+  const qbAdjustments = calculateQbAdjustments(playerSets, { overrides: manualStarters });
+
+  return {
+    eloRatings,
+    teamStats: cachedData.teamStats,
+    leagueAverage,
+    rankings: cachedData.rankings,
+    injuries: cachedData.injuries || {},
+    qbAdjustments,
+    config,
+    calibration
+  };
+}
+
+export default {
+  loadPredictionContext
+};
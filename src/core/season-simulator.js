@@ -0,0 +1,274 @@
+/**
+ * NFLv2 - Season Simulator
+ * Monte Carlo projection of the rest of the regular season and the playoffs
+ *
+ * Each matchup is priced once with predict() (the blended models, injuries
+ * and QB adjustments; the Elo spread without a predict() context). Each
+ * simulation plays the remaining regular-season games in order: a game's home
+ * margin is drawn from Normal(spread, calibration sigma), the spread moved by
+ * how far Elo has drifted in this simulation, and Elo is updated from the
+ * result before the next game. Regular-season games end tied with
+ * TIE_PROBABILITY. Seven teams per conference are then seeded with the NFL
+ * tiebreakers (standings.js) and the bracket is played out the same way
+ * (no ties).
+ */
+
+import { MODEL_CONSTANTS, NFL_TEAMS, SEASON_TYPES } from './constants.js';
+import {
+  CONFERENCES,
+  PLAYOFF_SEEDS,
+  buildTeamRecords,
+  getDivisionOrder,
+  seedConference,
+  formatRecord
+} from './standings.js';
+import { getDefaultCalibration } from '../models/calibration.js';
+import { initializeRatings, updateGameRatings } from '../models/elo.js';
+import { predict } from '../models/predictor.js';
+import { getGameContext } from '../utils/stats-parser.js';
+import { isValidTeam } from '../utils/validator.js';
+import { createRandom, randomNormal, round } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+// Wild card matchups by seed (seed 1 has a bye)
+const WILD_CARD_PAIRS = [[2, 7], [3, 6], [4, 5]];
+
+/**
+ * Parse a regular-season scoreboard event into a schedule game
+ * Completed games carry their final score
+ */
+export function parseScheduleGame(event) {
+  const comp = event.competitions?.[0];
+  const home = comp?.competitors?.find(t => t.homeAway === 'home');
+  const away = comp?.competitors?.find(t => t.homeAway === 'away');
+  if (!home || !away) return null;
+
+  const homeTeam = home.team?.displayName;
+  const awayTeam = away.team?.displayName;
+  if (!isValidTeam(homeTeam) || !isValidTeam(awayTeam)) return null;
+
+  const context = getGameContext(event);
+  if (context.seasonType !== SEASON_TYPES.REGULAR) return null;
+
+  const completed = event.status?.type?.state === 'post';
+
+  return {
+    id: event.id,
+    date: comp.date || event.date,
+    week: context.week,
+    neutralSite: context.neutralSite,
+    homeTeam,
+    awayTeam,
+    completed,
+    homeScore: completed ? parseInt(home.score) || 0 : null,
+    awayScore: completed ? parseInt(away.score) || 0 : null
+  };
+}
+
+/**
+ * Elo spread (home margin in points) of a game
+ */
+function getEloSpread(ratings, game) {
+  const homeAdvantage = game.neutralSite ? 0 : MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE;
+  return (ratings[game.homeTeam] - ratings[game.awayTeam]) / MODEL_CONSTANTS.ELO_POINTS_PER_SCORE_POINT + homeAdvantage;
+}
+
+/**
+ * Pregame spread of a matchup from predict(), computed once per matchup
+ * Falls back to the Elo spread without a context or when the models fail
+ */
+function createPricer(ratings, context) {
+  const spreads = new Map();
+
+  return (game) => {
+    const key = `${game.homeTeam}|${game.awayTeam}|${game.neutralSite ? 'neutral' : 'home'}`;
+    if (!spreads.has(key)) {
+      const prediction = context ? predict(game, { ...context, eloRatings: ratings }) : null;
+      spreads.set(key, prediction ? prediction.spread : getEloSpread(ratings, game));
+    }
+    return spreads.get(key);
+  };
+}
+
+/**
+ * Play one game: draw the home margin and update Elo
+ * sim: { ratings (at the start), price, sigma, random }; with allowTie the
+ * game can end tied, otherwise the margin is at least one point
+ * Returns { homeScore, awayScore, ratings }
+ */
+function playGame(ratings, game, sim, allowTie = false) {
+  const drift = getEloSpread(ratings, game) - getEloSpread(sim.ratings, game);
+  const spread = sim.price(game) + drift;
+
+  let margin = 0;
+  if (!allowTie || sim.random() >= MODEL_CONSTANTS.TIE_PROBABILITY) {
+    const draw = randomNormal(sim.random, spread, sim.sigma);
+    margin = Math.max(1, Math.round(Math.abs(draw))) * (draw >= 0 ? 1 : -1);
+  }
+
+  const result = {
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeScore: Math.max(margin, 0),
+    awayScore: Math.max(-margin, 0),
+    neutralSite: game.neutralSite
+  };
+
+  return { ...result, ratings: updateGameRatings(ratings, result) };
+}
+
+/**
+ * Play a knockout game; the higher seed (listed first) hosts
+ */
+function playKnockout(ratings, higher, lower, sim, neutralSite = false) {
+  const result = playGame(ratings, { homeTeam: higher, awayTeam: lower, neutralSite, seasonType: SEASON_TYPES.POSTSEASON }, sim);
+  return { winner: result.homeScore > result.awayScore ? higher : lower, ratings: result.ratings };
+}
+
+/**
+ * Play out a conference bracket from its seeds
+ * Returns { champion, ratings }
+ */
+function playConference(seeds, ratings, sim) {
+  let current = ratings;
+  const play = (higher, lower) => {
+    const { winner, ratings: updated } = playKnockout(current, higher, lower, sim);
+    current = updated;
+    return winner;
+  };
+
+  const seedOf = (team) => seeds.indexOf(team);
+
+  // Wild card round; seed 1 has a bye
+  const wildCardWinners = WILD_CARD_PAIRS.map(([a, b]) => play(seeds[a - 1], seeds[b - 1]));
+
+  // Divisional round: seed 1 hosts the lowest remaining seed
+  const remaining = [seeds[0], ...wildCardWinners].sort((a, b) => seedOf(a) - seedOf(b));
+  const divisional = [
+    play(remaining[0], remaining[3]),
+    play(remaining[1], remaining[2])
+  ].sort((a, b) => seedOf(a) - seedOf(b));
+
+  return { champion: play(divisional[0], divisional[1]), ratings: current };
+}
+
+/**
+ * Simulate the season
+ * schedule: regular-season games from parseScheduleGame (completed and remaining)
+ * ratings: current Elo ratings; calibration: supplies the margin sigma;
+ * context: predict() context pricing the games (prediction-context.js)
+ * Returns { iterations, seed, completedGames, remainingGames, teams: [...] }
+ */
+export function simulateSeason(schedule, {
+  ratings = initializeRatings(),
+  calibration = getDefaultCalibration(),
+  context = null,
+  iterations = 10000,
+  seed = Date.now()
+} = {}) {
+  const random = createRandom(seed);
+  const sigma = calibration?.sigma || MODEL_CONSTANTS.MARGIN_STD_DEV;
+  const sim = { ratings, price: createPricer(ratings, context && { ...context, calibration }), sigma, random };
+
+  const completed = schedule.filter(game => game.completed);
+  const remaining = schedule
+    .filter(game => !game.completed)
+    .sort((a, b) => (a.week - b.week) || (new Date(a.date) - new Date(b.date)));
+
+  // Price every remaining game before the first simulation
+  remaining.forEach(game => sim.price(game));
+
+  const currentRecords = buildTeamRecords(completed);
+
+  const tallies = {};
+  Object.keys(NFL_TEAMS).forEach(team => {
+    tallies[team] = {
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      division: 0,
+      playoffs: 0,
+      bye: 0,
+      conference: 0,
+      superBowl: 0,
+      seeds: Array(PLAYOFF_SEEDS).fill(0)
+    };
+  });
+
+  for (let i = 0; i < iterations; i++) {
+    let simRatings = { ...ratings };
+    const simulated = remaining.map(game => {
+      const result = playGame(simRatings, game, sim, true);
+      simRatings = result.ratings;
+      return result;
+    });
+
+    const records = buildTeamRecords([...completed, ...simulated]);
+    const divisionOrder = getDivisionOrder(records, random);
+    Object.entries(records).forEach(([team, record]) => {
+      tallies[team].wins += record.wins;
+      tallies[team].losses += record.losses;
+      tallies[team].ties += record.ties;
+    });
+
+    const champions = CONFERENCES.map(conference => {
+      const { seeds, divisionWinners } = seedConference(conference, records, { random, divisionOrder });
+
+      seeds.forEach((team, index) => {
+        tallies[team].playoffs++;
+        tallies[team].seeds[index]++;
+      });
+      divisionWinners.forEach(team => tallies[team].division++);
+      tallies[seeds[0]].bye++;
+
+      const { champion, ratings: updated } = playConference(seeds, simRatings, sim);
+      simRatings = updated;
+      tallies[champion].conference++;
+      return champion;
+    });
+
+    const { winner } = playKnockout(simRatings, champions[0], champions[1], sim, true);
+    tallies[winner].superBowl++;
+  }
+
+  const pct = (count) => round((count / iterations) * 100, 1);
+
+  const teams = Object.keys(NFL_TEAMS).map(team => {
+    const current = currentRecords[team];
+    const tally = tallies[team];
+
+    return {
+      team,
+      abbrev: NFL_TEAMS[team].abbrev,
+      conference: NFL_TEAMS[team].conference,
+      division: NFL_TEAMS[team].division,
+      elo: round(ratings[team], 1),
+      record: formatRecord(current),
+      projectedWins: round(tally.wins / iterations, 1),
+      projectedLosses: round(tally.losses / iterations, 1),
+      projectedTies: round(tally.ties / iterations, 2),
+      divisionOdds: pct(tally.division),
+      playoffOdds: pct(tally.playoffs),
+      byeOdds: pct(tally.bye),
+      conferenceOdds: pct(tally.conference),
+      superBowlOdds: pct(tally.superBowl),
+      seedOdds: Object.fromEntries(tally.seeds.map((count, index) => [index + 1, pct(count)]))
+    };
+  }).sort((a, b) => (b.superBowlOdds - a.superBowlOdds) || (b.playoffOdds - a.playoffOdds));
+
+  logger.info(`Simulated season ${iterations} times`, { completed: completed.length, remaining: remaining.length });
+
+  return {
+    iterations,
+    seed,
+    sigma: round(sigma, 2),
+    completedGames: completed.length,
+    remainingGames: remaining.length,
+    teams
+  };
+}
+
+export default {
+  parseScheduleGame,
+  simulateSeason
+};
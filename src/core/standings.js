@@ -0,0 +1,507 @@
+/**
+ * NFLv2 - Standings & Tiebreakers
+ * Division, conference and league standings from regular-season results,
+ * with the NFL tiebreaking procedure and playoff seeds 1-7 per conference
+ *
+ * Ties in the standings are resolved one club at a time: the best club of a
+ * tied group is found by walking the tiebreaker steps, and whenever a step
+ * leaves fewer clubs than it started with, the survivors start over at step 1
+ * (two-club format when two remain). Wild card ties first reduce each
+ * division to its highest-ranked club. Steps that need data we don't have
+ * (net touchdowns when a game has no play-by-play) are skipped; a coin toss is last.
+ */
+
+import { NFL_TEAMS, SEASON_TYPES } from './constants.js';
+
+export const CONFERENCES = ['AFC', 'NFC'];
+
+// Division winners take seeds 1-4, wild cards 5-7
+export const DIVISION_SEEDS = 4;
+export const PLAYOFF_SEEDS = 7;
+
+// Common games only count toward wild card ties with at least this many
+const MIN_COMMON_GAMES = 4;
+
+/**
+ * Empty win/loss/tie record
+ */
+function createRecord() {
+  return { wins: 0, losses: 0, ties: 0 };
+}
+
+/**
+ * Win percentage with ties counted as half a win
+ */
+export function winPct(record) {
+  const games = record.wins + record.losses + record.ties;
+  return games > 0 ? (record.wins + record.ties / 2) / games : 0;
+}
+
+/**
+ * "W-L" or "W-L-T"
+ */
+export function formatRecord(record) {
+  return `${record.wins}-${record.losses}${record.ties > 0 ? `-${record.ties}` : ''}`;
+}
+
+/**
+ * Add a result to a record: 1 win, 0 loss, 0.5 tie
+ */
+function addResult(record, outcome) {
+  if (outcome === 1) record.wins++;
+  else if (outcome === 0) record.losses++;
+  else record.ties++;
+}
+
+/**
+ * Combined record of a list of team games
+ */
+function combine(games) {
+  const record = createRecord();
+  games.forEach(game => addResult(record, game.outcome));
+  return record;
+}
+
+/**
+ * Home/away scores of a game ({ scores } game records or { homeScore, awayScore })
+ */
+function getScores(game) {
+  if (game.scores) {
+    return [game.scores[game.homeTeam], game.scores[game.awayTeam]];
+  }
+  return [game.homeScore, game.awayScore];
+}
+
+/**
+ * Per-team game logs and records from completed regular-season games
+ * games: gameStats records or { homeTeam, awayTeam, homeScore, awayScore }
+ * Returns { team: { wins, losses, ties, pointsFor, pointsAgainst, touchdowns, games: [...] } }
+ */
+export function buildTeamRecords(games) {
+  const records = {};
+  Object.keys(NFL_TEAMS).forEach(team => {
+    records[team] = { ...createRecord(), pointsFor: 0, pointsAgainst: 0, touchdowns: 0, touchdownsAllowed: 0, games: [] };
+  });
+
+  games.forEach(game => {
+    if (game.seasonType !== undefined && game.seasonType !== SEASON_TYPES.REGULAR) return;
+    if (!records[game.homeTeam] || !records[game.awayTeam]) return;
+
+    const [homeScore, awayScore] = getScores(game);
+    if (typeof homeScore !== 'number' || typeof awayScore !== 'number') return;
+
+    const homeOutcome = homeScore > awayScore ? 1 : (homeScore < awayScore ? 0 : 0.5);
+    const sameConference = NFL_TEAMS[game.homeTeam].conference === NFL_TEAMS[game.awayTeam].conference;
+    const sameDivision = sameConference && NFL_TEAMS[game.homeTeam].division === NFL_TEAMS[game.awayTeam].division;
+
+    [
+      [game.homeTeam, game.awayTeam, homeOutcome, homeScore, awayScore],
+      [game.awayTeam, game.homeTeam, 1 - homeOutcome, awayScore, homeScore]
+    ].forEach(([team, opponent, outcome, pointsFor, pointsAgainst]) => {
+      const record = records[team];
+      addResult(record, outcome);
+      record.pointsFor += pointsFor;
+      record.pointsAgainst += pointsAgainst;
+
+      // Touchdowns (counted from play-by-play) only when every game has them;
+      // one game without plays or a simulated game leaves them null
+      const touchdowns = game.stats?.[team]?.touchdowns;
+      const touchdownsAllowed = game.stats?.[opponent]?.touchdowns;
+      if (typeof touchdowns === 'number' && typeof touchdownsAllowed === 'number' && record.touchdowns !== null) {
+        record.touchdowns += touchdowns;
+        record.touchdownsAllowed += touchdownsAllowed;
+      } else {
+        record.touchdowns = null;
+        record.touchdownsAllowed = null;
+      }
+
+      record.games.push({ opponent, outcome, pointsFor, pointsAgainst, conference: sameConference, division: sameDivision });
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Combined record of opponents in the given games (each game counted once)
+ */
+function opponentsRecord(records, games) {
+  const record = createRecord();
+  games.forEach(game => {
+    const opponent = records[game.opponent];
+    record.wins += opponent.wins;
+    record.losses += opponent.losses;
+    record.ties += opponent.ties;
+  });
+  return record;
+}
+
+/**
+ * Strength of victory: combined record of the teams beaten
+ */
+export function strengthOfVictory(records, team) {
+  return winPct(opponentsRecord(records, records[team].games.filter(game => game.outcome === 1)));
+}
+
+/**
+ * Strength of schedule: combined record of all opponents
+ */
+export function strengthOfSchedule(records, team) {
+  return winPct(opponentsRecord(records, records[team].games));
+}
+
+/**
+ * Opponents every team in the group has played (excluding the group)
+ */
+function getCommonOpponents(records, teams) {
+  const [first, ...rest] = teams.map(team => new Set(records[team].games.map(game => game.opponent)));
+  return new Set([...first].filter(opponent =>
+    !teams.includes(opponent) && rest.every(opponents => opponents.has(opponent))
+  ));
+}
+
+/**
+ * Standard competition rank of a team's value among a pool (1 = best)
+ */
+function rankAmong(value, values, higherIsBetter) {
+  return 1 + values.filter(other => (higherIsBetter ? other > value : other < value)).length;
+}
+
+/**
+ * Combined rank in points scored and points allowed among a pool of teams
+ */
+function pointsRanking(records, team, pool) {
+  const pointsFor = pool.map(t => records[t].pointsFor);
+  const pointsAgainst = pool.map(t => records[t].pointsAgainst);
+  return rankAmong(records[team].pointsFor, pointsFor, true) +
+    rankAmong(records[team].pointsAgainst, pointsAgainst, false);
+}
+
+/**
+ * Net points in a team's games matching a filter
+ */
+function netPoints(records, team, filter = () => true) {
+  return records[team].games.filter(filter).reduce((sum, game) => sum + game.pointsFor - game.pointsAgainst, 0);
+}
+
+/**
+ * Step that keeps the teams with the best value (null values = step not applicable)
+ */
+function byValue(getValue, higherIsBetter = true) {
+  return (teams, ctx) => {
+    const values = teams.map(team => getValue(team, teams, ctx));
+    if (values.some(value => value === null || value === undefined || isNaN(value))) return teams;
+
+    const best = higherIsBetter ? Math.max(...values) : Math.min(...values);
+    return teams.filter((team, index) => values[index] === best);
+  };
+}
+
+/**
+ * Head-to-head win percentage among the tied teams (null unless every team met another)
+ */
+const headToHead = byValue((team, teams, { records }) => {
+  const games = records[team].games.filter(game => teams.includes(game.opponent));
+  return games.length > 0 ? winPct(combine(games)) : null;
+});
+
+/**
+ * Wild card head-to-head: two clubs that met, or for three or more a sweep
+ * (one club beat each of the others, or one lost to each of the others)
+ */
+function headToHeadSweep(teams, ctx) {
+  if (teams.length === 2) return headToHead(teams, ctx);
+
+  const results = (team, other) => ctx.records[team].games.filter(game => game.opponent === other);
+  const sweeps = (team, outcome) => teams.every(other =>
+    other === team || (results(team, other).length > 0 && results(team, other).every(game => game.outcome === outcome))
+  );
+
+  const sweeper = teams.find(team => sweeps(team, 1));
+  if (sweeper) return [sweeper];
+
+  const swept = teams.filter(team => sweeps(team, 0));
+  return swept.length > 0 && swept.length < teams.length ? teams.filter(team => !swept.includes(team)) : teams;
+}
+
+const divisionRecord = byValue((team, teams, { records }) =>
+  winPct(combine(records[team].games.filter(game => game.division)))
+);
+
+const conferenceRecord = byValue((team, teams, { records }) =>
+  winPct(combine(records[team].games.filter(game => game.conference)))
+);
+
+/**
+ * Record in common games (wild card ties need at least four for each club)
+ */
+function commonGames(minGames) {
+  return byValue((team, teams, { records }) => {
+    const common = getCommonOpponents(records, teams);
+    const games = records[team].games.filter(game => common.has(game.opponent));
+    if (games.length === 0 || games.length < minGames) return null;
+    return winPct(combine(games));
+  });
+}
+
+/**
+ * Wild card common games are only applicable when every club has the minimum
+ */
+function wildCardCommonGames(teams, ctx) {
+  const common = getCommonOpponents(ctx.records, teams);
+  const enough = teams.every(team => ctx.records[team].games.filter(game => common.has(game.opponent)).length >= MIN_COMMON_GAMES);
+  return enough ? commonGames(MIN_COMMON_GAMES)(teams, ctx) : teams;
+}
+
+const victoryStrength = byValue((team, teams, { records }) => strengthOfVictory(records, team));
+const scheduleStrength = byValue((team, teams, { records }) => strengthOfSchedule(records, team));
+
+const conferencePointsRank = byValue((team, teams, { records }) => {
+  const pool = Object.keys(NFL_TEAMS).filter(t => NFL_TEAMS[t].conference === NFL_TEAMS[team].conference);
+  return pointsRanking(records, team, pool);
+}, false);
+
+const leaguePointsRank = byValue((team, teams, { records }) =>
+  pointsRanking(records, team, Object.keys(NFL_TEAMS)), false
+);
+
+const commonNetPoints = byValue((team, teams, { records }) => {
+  const common = getCommonOpponents(records, teams);
+  return common.size > 0 ? netPoints(records, team, game => common.has(game.opponent)) : null;
+});
+
+const conferenceNetPoints = byValue((team, teams, { records }) => netPoints(records, team, game => game.conference));
+const allNetPoints = byValue((team, teams, { records }) => netPoints(records, team));
+
+const netTouchdowns = byValue((team, teams, { records }) => {
+  const { touchdowns, touchdownsAllowed } = records[team];
+  return touchdowns === null ? null : touchdowns - touchdownsAllowed;
+});
+
+/**
+ * Coin toss: one club chosen at random
+ */
+function coinToss(teams, { random }) {
+  return [teams[Math.floor(random() * teams.length)]];
+}
+
+// Official steps for ties within a division
+export const DIVISION_TIEBREAKERS = [
+  headToHead,
+  divisionRecord,
+  commonGames(1),
+  conferenceRecord,
+  victoryStrength,
+  scheduleStrength,
+  conferencePointsRank,
+  leaguePointsRank,
+  commonNetPoints,
+  allNetPoints,
+  netTouchdowns,
+  coinToss
+];
+
+// Official steps for wild card and seeding ties (clubs from different divisions)
+export const WILD_CARD_TIEBREAKERS = [
+  headToHeadSweep,
+  conferenceRecord,
+  wildCardCommonGames,
+  victoryStrength,
+  scheduleStrength,
+  conferencePointsRank,
+  leaguePointsRank,
+  conferenceNetPoints,
+  allNetPoints,
+  netTouchdowns,
+  coinToss
+];
+
+/**
+ * Best club of a tied group
+ * Restarts at step 1 whenever a step eliminates some (but not all) clubs
+ */
+function selectBest(teams, steps, ctx) {
+  if (teams.length === 1) return teams[0];
+
+  for (const step of steps) {
+    const remaining = step(teams, ctx);
+    if (remaining.length > 0 && remaining.length < teams.length) {
+      return selectBest(remaining, steps, ctx);
+    }
+  }
+
+  return teams[0];
+}
+
+/**
+ * Order teams in the same division
+ */
+export function orderDivision(teams, records, random = Math.random) {
+  return orderTeams(teams, records, { random, division: true });
+}
+
+/**
+ * Order teams by win percentage, breaking ties one club at a time
+ * division: true for teams of one division; otherwise wild card rules, where
+ * only the highest-ranked tied club of each division is compared
+ */
+export function orderTeams(teams, records, { random = Math.random, division = false, divisionOrder = null } = {}) {
+  const ctx = { records, random };
+  const steps = division ? DIVISION_TIEBREAKERS : WILD_CARD_TIEBREAKERS;
+
+  const ordered = [];
+  let remaining = [...teams];
+
+  while (remaining.length > 0) {
+    const topPct = Math.max(...remaining.map(team => winPct(records[team])));
+    let tied = remaining.filter(team => winPct(records[team]) === topPct);
+
+    if (!division && tied.length > 1) {
+      // Division tiebreakers first: keep each division's best tied club
+      const byDivision = new Map();
+      tied.forEach(team => {
+        const key = `${NFL_TEAMS[team].conference} ${NFL_TEAMS[team].division}`;
+        if (!byDivision.has(key)) byDivision.set(key, []);
+        byDivision.get(key).push(team);
+      });
+
+      tied = Array.from(byDivision.values()).map(group => {
+        if (group.length === 1) return group[0];
+        const order = divisionOrder?.[`${NFL_TEAMS[group[0]].conference} ${NFL_TEAMS[group[0]].division}`];
+        return order
+          ? order.find(team => group.includes(team))
+          : selectBest(group, DIVISION_TIEBREAKERS, ctx);
+      });
+    }
+
+    const best = selectBest(tied, steps, ctx);
+    ordered.push(best);
+    remaining = remaining.filter(team => team !== best);
+  }
+
+  return ordered;
+}
+
+/**
+ * Teams of a conference or division
+ */
+function getTeams(conference, division = null) {
+  return Object.keys(NFL_TEAMS).filter(team =>
+    NFL_TEAMS[team].conference === conference && (division === null || NFL_TEAMS[team].division === division)
+  );
+}
+
+/**
+ * Division standings for every division: { 'AFC East': [team, ...] }
+ */
+export function getDivisionOrder(records, random = Math.random) {
+  const order = {};
+  CONFERENCES.forEach(conference => {
+    [...new Set(getTeams(conference).map(team => NFL_TEAMS[team].division))].forEach(division => {
+      order[`${conference} ${division}`] = orderDivision(getTeams(conference, division), records, random);
+    });
+  });
+  return order;
+}
+
+/**
+ * Seed a conference: division winners 1-4, wild cards 5-7, then the rest
+ * Returns { seeds: [team x7], divisionWinners: [team], order: [all teams] }
+ */
+export function seedConference(conference, records, { random = Math.random, divisionOrder = getDivisionOrder(records, random) } = {}) {
+  const divisionWinners = Object.entries(divisionOrder)
+    .filter(([key]) => key.startsWith(`${conference} `))
+    .map(([, order]) => order[0]);
+
+  const winners = orderTeams(divisionWinners, records, { random, divisionOrder });
+  const others = orderTeams(
+    getTeams(conference).filter(team => !divisionWinners.includes(team)),
+    records,
+    { random, divisionOrder }
+  );
+
+  return {
+    seeds: [...winners, ...others.slice(0, PLAYOFF_SEEDS - DIVISION_SEEDS)],
+    divisionWinners,
+    order: [...winners, ...others]
+  };
+}
+
+/**
+ * Full standings from completed regular-season games
+ * Returns { teams: { team: entry }, divisions: { 'AFC East': [team] },
+ * conferences: { AFC: [team] }, league: [team], seeds: { AFC: [team] } }
+ * (team lists in standings order)
+ */
+export function calculateStandings(games, { random = Math.random } = {}) {
+  const records = buildTeamRecords(games);
+  const divisionOrder = getDivisionOrder(records, random);
+
+  const teams = {};
+  Object.entries(records).forEach(([team, record]) => {
+    const divisionGames = combine(record.games.filter(game => game.division));
+    const conferenceGames = combine(record.games.filter(game => game.conference));
+
+    teams[team] = {
+      team,
+      abbrev: NFL_TEAMS[team].abbrev,
+      conference: NFL_TEAMS[team].conference,
+      division: NFL_TEAMS[team].division,
+      wins: record.wins,
+      losses: record.losses,
+      ties: record.ties,
+      winPct: parseFloat(winPct(record).toFixed(3)),
+      record: formatRecord(record),
+      divisionRecord: formatRecord(divisionGames),
+      conferenceRecord: formatRecord(conferenceGames),
+      pointsFor: record.pointsFor,
+      pointsAgainst: record.pointsAgainst,
+      netPoints: record.pointsFor - record.pointsAgainst,
+      strengthOfVictory: parseFloat(strengthOfVictory(records, team).toFixed(3)),
+      strengthOfSchedule: parseFloat(strengthOfSchedule(records, team).toFixed(3)),
+      divisionRank: null,
+      conferenceRank: null,
+      seed: null
+    };
+  });
+
+  const divisions = {};
+  Object.entries(divisionOrder).forEach(([key, order]) => {
+    divisions[key] = order;
+    order.forEach((team, index) => {
+      teams[team].divisionRank = index + 1;
+    });
+  });
+
+  const conferences = {};
+  const seeds = {};
+  CONFERENCES.forEach(conference => {
+    const seeding = seedConference(conference, records, { random, divisionOrder });
+    seeds[conference] = seeding.seeds;
+    conferences[conference] = seeding.order;
+    seeding.order.forEach((team, index) => {
+      teams[team].conferenceRank = index + 1;
+      if (index < PLAYOFF_SEEDS) teams[team].seed = index + 1;
+    });
+  });
+
+  // League table: win percentage, then strength of schedule, then net points
+  const league = Object.values(teams)
+    .sort((a, b) => (b.winPct - a.winPct) || (b.strengthOfSchedule - a.strengthOfSchedule) || (b.netPoints - a.netPoints))
+    .map(entry => entry.team);
+
+  return { teams, divisions, conferences, league, seeds };
+}
+
+export default {
+  winPct,
+  formatRecord,
+  buildTeamRecords,
+  strengthOfVictory,
+  strengthOfSchedule,
+  orderDivision,
+  orderTeams,
+  getDivisionOrder,
+  seedConference,
+  calculateStandings
+};
@@ -0,0 +1,250 @@
+/**
+ * NFLv2 - Parameter Tuner
+ * Searches MODEL_CONSTANTS and blend weights with the backtest engine
+ *
+ * A trial is { constants: { NAME: value }, weights: { model: weight } }.
+ * Each trial replays the loaded seasons point-in-time and is scored by the
+ * blend's Brier score or log loss (lower is better).
+ */
+
+import { MODEL_CONSTANTS } from './constants.js';
+import { deepMerge, applyModelConstants, getModelWeights } from './config.js';
+import { replaySeasons } from './backtest-engine.js';
+import { brierScore, logLoss, getHomeOutcome, getBlendForecast } from '../models/metrics.js';
+import { round, createRandom } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+// Constants that change predicted probabilities, with grid values and
+// random-search bounds. Confidence thresholds only relabel predictions, so
+// they cannot move Brier score or log loss and are not tuned. Neither is
+// MARGIN_STD_DEV: backtests replace it with the fitted calibration sigma
+// once CALIBRATION_MIN_SAMPLES results are in.
+export const TUNING_SPACE = {
+  ELO_K_FACTOR: { values: [15, 20, 25, 30], min: 10, max: 40, integer: true },
+  ELO_REGRESSION: { values: [0.25, 1 / 3, 0.5, 0.67], min: 0.1, max: 0.9 },
+  ELO_MOV_MULTIPLIER: { values: [0.5, 1, 1.5], min: 0.25, max: 2 },
+  HOME_FIELD_ADVANTAGE: { values: [1.5, 2, 2.5, 3], min: 0, max: 4 },
+  MATCHUP_WEIGHT: { values: [0.05, 0.15, 0.25], min: 0, max: 0.4 }
+};
+
+// Pseudo-parameter for the blend weights of the enabled models
+export const WEIGHTS_PARAM = 'weights';
+
+// Step between grid points on the blend weight simplex
+export const WEIGHT_GRID_STEP = 0.1;
+
+// Refuse grids larger than this (narrow with --params)
+export const MAX_GRID_TRIALS = 5000;
+
+export const METRICS = {
+  brier: brierScore,
+  logloss: logLoss
+};
+
+/**
+ * All weight vectors on the simplex for the given models
+ */
+export function getWeightGrid(modelNames, step = WEIGHT_GRID_STEP) {
+  const steps = Math.round(1 / step);
+
+  const build = (remainingModels, remainingSteps) => {
+    if (remainingModels.length === 1) {
+      return [{ [remainingModels[0]]: round(remainingSteps * step, 4) }];
+    }
+
+    const [first, ...rest] = remainingModels;
+    const vectors = [];
+    for (let i = 0; i <= remainingSteps; i++) {
+      build(rest, remainingSteps - i).forEach(tail => {
+        vectors.push({ [first]: round(i * step, 4), ...tail });
+      });
+    }
+    return vectors;
+  };
+
+  return modelNames.length > 0 ? build(modelNames, steps) : [{}];
+}
+
+/**
+ * Cartesian product of grid values for the chosen constants and weights
+ */
+export function buildGrid(paramNames, modelNames) {
+  let trials = [{ constants: {}, weights: null }];
+
+  paramNames.forEach(name => {
+    trials = trials.flatMap(trial =>
+      TUNING_SPACE[name].values.map(value => ({ ...trial, constants: { ...trial.constants, [name]: value } }))
+    );
+  });
+
+  if (modelNames.length > 1) {
+    const weightGrid = getWeightGrid(modelNames);
+    trials = trials.flatMap(trial => weightGrid.map(weights => ({ ...trial, weights })));
+  }
+
+  return trials;
+}
+
+/**
+ * Random samples within each constant's bounds; weights are uniform on the simplex
+ */
+export function sampleTrials(paramNames, modelNames, count, random = createRandom()) {
+  const trials = [];
+
+  for (let i = 0; i < count; i++) {
+    const constants = {};
+    paramNames.forEach(name => {
+      const { min, max, integer } = TUNING_SPACE[name];
+      const value = min + random() * (max - min);
+      constants[name] = integer ? Math.round(value) : round(value, 3);
+    });
+
+    let weights = null;
+    if (modelNames.length > 1) {
+      // Normalized exponentials give a uniform draw on the simplex
+      const draws = modelNames.map(() => -Math.log(1 - random()));
+      const total = draws.reduce((sum, d) => sum + d, 0);
+      weights = Object.fromEntries(modelNames.map((name, j) => [name, round(draws[j] / total, 3)]));
+    }
+
+    trials.push({ constants, weights });
+  }
+
+  return trials;
+}
+
+/**
+ * Config for a trial (blend weights replaced, everything else kept)
+ */
+export function getTrialConfig(baseConfig, weights) {
+  if (!weights) return baseConfig;
+
+  const models = Object.fromEntries(
+    Object.entries(weights).map(([name, weight]) => [name, { weight }])
+  );
+  return deepMerge(baseConfig, { models });
+}
+
+/**
+ * Score checked results with a probability metric (lower is better)
+ */
+export function scoreResults(results, metric = 'brier') {
+  const samples = results
+    .filter(r => r.actualScore)
+    .map(r => ({ probability: getBlendForecast(r).probability, outcome: getHomeOutcome(r) }))
+    .filter(s => typeof s.probability === 'number' && !isNaN(s.probability));
+
+  return samples.length > 0 ? METRICS[metric](samples) : null;
+}
+
+/**
+ * Replay seasons with one trial's constants and weights applied
+ * MODEL_CONSTANTS are restored afterwards
+ */
+export function replayTrial(seasons, trial, { config, startWeek = 1 } = {}) {
+  const previousConstants = applyModelConstants(trial.constants);
+
+  try {
+    const trialConfig = getTrialConfig(config, trial.weights);
+    return {
+      config: trialConfig,
+      runs: replaySeasons(seasons, { startWeek, config: trialConfig })
+    };
+  } finally {
+    applyModelConstants(previousConstants);
+  }
+}
+
+/**
+ * Score one trial over every season
+ * seasons: [{ season, slots, previousRatings }] in ascending order
+ */
+export function evaluateTrial(seasons, trial, { config, startWeek = 1, metric = 'brier' } = {}) {
+  const { config: trialConfig, runs } = replayTrial(seasons, trial, { config, startWeek });
+  const results = runs.flatMap(run => run.results);
+
+  return {
+    ...trial,
+    weights: getModelWeights(trialConfig),
+    games: results.length,
+    score: scoreResults(results, metric)
+  };
+}
+
+/**
+ * Run a search and return trials sorted best first
+ * onProgress(evaluated, total) is called after each trial
+ */
+export function tune(seasons, {
+  config,
+  search = 'random',
+  trials = 100,
+  params = [...Object.keys(TUNING_SPACE), WEIGHTS_PARAM],
+  metric = 'brier',
+  seed = Date.now(),
+  startWeek = 1,
+  onProgress = null
+} = {}) {
+  if (!METRICS[metric]) {
+    throw new Error(`Unknown metric: ${metric} (expected ${Object.keys(METRICS).join(' or ')})`);
+  }
+
+  const unknown = params.filter(name => !TUNING_SPACE[name] && name !== WEIGHTS_PARAM);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tuning parameters: ${unknown.join(', ')}`);
+  }
+
+  const constantNames = params.filter(name => name !== WEIGHTS_PARAM);
+  const modelNames = params.includes(WEIGHTS_PARAM) ? Object.keys(getModelWeights(config)) : [];
+  let candidates;
+
+  if (search === 'grid') {
+    candidates = buildGrid(constantNames, modelNames);
+    if (candidates.length > MAX_GRID_TRIALS) {
+      throw new Error(`Grid has ${candidates.length} trials (max ${MAX_GRID_TRIALS}); narrow it with --params`);
+    }
+  } else if (search === 'random') {
+    candidates = sampleTrials(constantNames, modelNames, trials, createRandom(seed));
+  } else {
+    throw new Error(`Unknown search: ${search} (expected grid or random)`);
+  }
+
+  // The current settings are always evaluated as the baseline
+  const baseline = {
+    constants: Object.fromEntries(constantNames.map(name => [name, MODEL_CONSTANTS[name]])),
+    weights: null,
+    baseline: true
+  };
+
+  logger.info(`Evaluating ${candidates.length} ${search} trials`, { metric, params });
+
+  const previousLevel = logger.currentLevel;
+  logger.setLevel('warn');
+
+  const evaluated = [];
+  try {
+    [baseline, ...candidates].forEach((trial, index) => {
+      evaluated.push(evaluateTrial(seasons, trial, { config, startWeek, metric }));
+      onProgress?.(index + 1, candidates.length + 1);
+    });
+  } finally {
+    logger.setLevel(previousLevel);
+  }
+
+  return evaluated
+    .filter(trial => trial.score !== null)
+    .sort((a, b) => a.score - b.score);
+}
+
+export default {
+  TUNING_SPACE,
+  WEIGHTS_PARAM,
+  getWeightGrid,
+  buildGrid,
+  sampleTrials,
+  getTrialConfig,
+  scoreResults,
+  replayTrial,
+  evaluateTrial,
+  tune
+};
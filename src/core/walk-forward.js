@@ -0,0 +1,188 @@
+/**
+ * NFLv2 - Walk-Forward Validation
+ * Trains on seasons 1..N-1 and tests on season N, for every N after the first
+ *
+ * "Training" carries Elo ratings and calibration forward from earlier seasons
+ * and, when tuning is enabled, picks model constants and blend weights by
+ * searching the training seasons only. Test seasons are scored against
+ * simple baselines computed from the same point-in-time data.
+ */
+
+import { replaySeasons } from './backtest-engine.js';
+import { tune, replayTrial } from './tuner.js';
+import { getModelWeights } from './config.js';
+import { calculateAccuracy } from '../models/predictor.js';
+import { calculateWinProbability } from '../models/elo.js';
+import {
+  calculateForecastMetrics,
+  getBlendForecast,
+  getHomeOutcome
+} from '../models/metrics.js';
+import { mean } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+// Home win rate used when there are no training results
+const DEFAULT_HOME_WIN_RATE = 0.55;
+
+/**
+ * Baseline forecasts for checked results
+ *   home: always pick the home team, at the training home win rate
+ *   elo:  pick the higher pre-game Elo, at the raw Elo win probability
+ */
+export function getBaselineForecasts(trainingResults = []) {
+  const outcomes = trainingResults
+    .filter(r => r.actualScore && !r.neutralSite)
+    .map(getHomeOutcome);
+  const homeWinRate = outcomes.length > 0 ? mean(outcomes) : DEFAULT_HOME_WIN_RATE;
+
+  return {
+    home: (result) => ({
+      probability: result.neutralSite ? 0.5 : homeWinRate,
+      winner: result.homeTeam
+    }),
+    elo: (result) => {
+      if (typeof result.homeElo !== 'number' || typeof result.awayElo !== 'number') return null;
+
+      return {
+        probability: calculateWinProbability(result.homeElo, result.awayElo),
+        winner: result.homeElo >= result.awayElo ? result.homeTeam : result.awayTeam
+      };
+    }
+  };
+}
+
+/**
+ * Compact metrics (no calibration table or score errors)
+ */
+function summarizeForecast(results, getForecast) {
+  const { games, correct, accuracy, brierScore, logLoss } = calculateForecastMetrics(results, getForecast);
+  return { games, correct, accuracy, brierScore, logLoss };
+}
+
+/**
+ * Per-week metrics for the model and each baseline
+ */
+function summarizeWeeks(results, baselines) {
+  const weeks = new Map();
+  results.forEach(result => {
+    const key = `${result.seasonType}-${result.week}`;
+    if (!weeks.has(key)) {
+      weeks.set(key, { seasonType: result.seasonType, week: result.week, results: [] });
+    }
+    weeks.get(key).results.push(result);
+  });
+
+  return Array.from(weeks.values()).map(({ seasonType, week, results: weekResults }) => ({
+    seasonType,
+    week,
+    model: summarizeForecast(weekResults, getBlendForecast),
+    baselines: Object.fromEntries(
+      Object.entries(baselines).map(([name, forecast]) => [name, summarizeForecast(weekResults, forecast)])
+    )
+  }));
+}
+
+/**
+ * Full report section for one set of test results
+ */
+export function summarizeTestResults(results, baselines, bettingSettings) {
+  const accuracy = calculateAccuracy(results, bettingSettings);
+
+  return {
+    games: results.length,
+    ties: accuracy.ties,
+    model: summarizeForecast(results, getBlendForecast),
+    baselines: Object.fromEntries(
+      Object.entries(baselines).map(([name, forecast]) => [name, summarizeForecast(results, forecast)])
+    ),
+    byConfidence: accuracy.byConfidence,
+    ats: accuracy.ats,
+    overUnder: accuracy.overUnder,
+    bankroll: accuracy.bankroll,
+    calibration: accuracy.calibration,
+    spread: accuracy.spread,
+    totalPoints: accuracy.totalPoints,
+    byModel: accuracy.byModel
+  };
+}
+
+/**
+ * Run walk-forward validation
+ * seasons: [{ season, slots, previousRatings }] in ascending order (at least two)
+ * tuning: null, or { trials, metric, seed, params, search } to tune on training seasons
+ */
+export function runWalkForward(seasons, { config, startWeek = 1, tuning = null } = {}) {
+  if (seasons.length < 2) {
+    throw new Error('Walk-forward validation needs at least two seasons');
+  }
+
+  // Without tuning one chained replay covers every split
+  const untunedRuns = tuning ? null : replaySeasons(seasons, { startWeek, config });
+
+  const bySeason = [];
+  const pooled = [];
+  // Pooled results keep the baselines trained for their own season
+  const baselinesByResult = new Map();
+
+  for (let i = 1; i < seasons.length; i++) {
+    const testSeason = seasons[i].season;
+    const training = seasons.slice(0, i);
+    let runs = untunedRuns;
+    let tuned = null;
+
+    if (tuning) {
+      logger.info(`Tuning on ${training.map(s => s.season).join(', ')} for ${testSeason}`);
+      const [best] = tune(training, { ...tuning, config, startWeek });
+      if (!best) {
+        throw new Error(`No tuning trials could be scored for ${testSeason}`);
+      }
+
+      tuned = { constants: best.constants, weights: best.weights, trainingScore: best.score, baseline: Boolean(best.baseline) };
+      runs = replayTrial(seasons.slice(0, i + 1), best, { config, startWeek }).runs;
+    }
+
+    const trainingResults = runs.slice(0, i).flatMap(run => run.results);
+    const testResults = runs[i].results;
+    const baselines = getBaselineForecasts(trainingResults);
+
+    bySeason.push({
+      season: testSeason,
+      trainedOn: training.map(s => s.season),
+      tuned,
+      ...summarizeTestResults(testResults, baselines, config.betting),
+      byWeek: summarizeWeeks(testResults, baselines)
+    });
+
+    testResults.forEach(result => {
+      pooled.push(result);
+      baselinesByResult.set(result, baselines);
+    });
+
+    logger.info(`Walk-forward ${testSeason} complete`, {
+      games: testResults.length,
+      brierScore: bySeason[bySeason.length - 1].model.brierScore
+    });
+  }
+
+  const pooledBaselines = Object.fromEntries(
+    Object.keys(getBaselineForecasts()).map(name => [
+      name,
+      (result) => baselinesByResult.get(result)[name](result)
+    ])
+  );
+
+  return {
+    seasons: seasons.map(s => s.season),
+    testSeasons: bySeason.map(s => s.season),
+    weights: getModelWeights(config),
+    tuning,
+    summary: summarizeTestResults(pooled, pooledBaselines, config.betting),
+    bySeason
+  };
+}
+
+export default {
+  getBaselineForecasts,
+  summarizeTestResults,
+  runWalkForward
+};
@@ -0,0 +1,226 @@
+/**
+ * NFLv2 - Moneyline Value & Stake Sizing
+ * Converts moneylines to no-vig probabilities, finds positive expected value
+ * sides, sizes stakes with fractional Kelly and simulates bankroll P&L
+ *
+ * Odds are accepted as American (-110, "+150") or decimal (1.91). A tie is
+ * graded as a push (stake returned). `settings` is the config's betting
+ * section (bankroll, kellyFraction, minEdge, maxStakePct), passed by callers.
+ */
+
+import { round } from '../utils/math.js';
+
+/**
+ * Convert American or decimal odds to decimal odds
+ * Values with magnitude >= 100 are American; values in (1, 100) are decimal
+ */
+export function toDecimalOdds(odds) {
+  const value = typeof odds === 'string' ? parseFloat(odds.replace('+', '')) : odds;
+  if (typeof value !== 'number' || isNaN(value)) return null;
+
+  if (value >= 100) return 1 + value / 100;
+  if (value <= -100) return 1 + 100 / Math.abs(value);
+  if (value > 1) return value;
+
+  return null;
+}
+
+/**
+ * Convert decimal odds to American odds
+ */
+export function toAmericanOdds(decimal) {
+  if (!(decimal > 1)) return null;
+  return decimal >= 2 ? round((decimal - 1) * 100, 0) : round(-100 / (decimal - 1), 0);
+}
+
+/**
+ * Implied probability of decimal odds (includes the bookmaker's margin)
+ */
+export function impliedProbability(decimal) {
+  return decimal > 1 ? 1 / decimal : null;
+}
+
+/**
+ * Remove the vig from a two-way market by normalizing implied probabilities
+ * Returns { home, away, overround }
+ */
+export function removeVig(homeDecimal, awayDecimal) {
+  const home = impliedProbability(homeDecimal);
+  const away = impliedProbability(awayDecimal);
+  if (home === null || away === null) return null;
+
+  const overround = home + away;
+  return {
+    home: home / overround,
+    away: away / overround,
+    overround
+  };
+}
+
+/**
+ * Expected profit per unit staked
+ */
+export function expectedValue(probability, decimal) {
+  return probability * (decimal - 1) - (1 - probability);
+}
+
+/**
+ * Full Kelly fraction of bankroll (0 when there is no edge)
+ */
+export function kellyFraction(probability, decimal) {
+  const b = decimal - 1;
+  if (b <= 0) return 0;
+  return Math.max(0, (b * probability - (1 - probability)) / b);
+}
+
+/**
+ * Stake as a share of bankroll: fractional Kelly, capped
+ */
+export function getStakeFraction(probability, decimal, settings) {
+  const fraction = kellyFraction(probability, decimal) * settings.kellyFraction;
+  return Math.min(fraction, settings.maxStakePct);
+}
+
+/**
+ * Evaluate both sides of a moneyline against the model's home win probability
+ * Returns null when either moneyline is missing. Probabilities are in %;
+ * ev is expected profit per unit staked; stake is sized on settings.bankroll.
+ */
+export function evaluateMoneyline(homeWinProb, lines, settings) {
+  const homeDecimal = toDecimalOdds(lines?.homeMoneyline);
+  const awayDecimal = toDecimalOdds(lines?.awayMoneyline);
+  const fair = removeVig(homeDecimal, awayDecimal);
+  if (!fair) return null;
+
+  const describe = (modelProb, decimal, fairProb) => ({
+    odds: toAmericanOdds(decimal),
+    decimal: round(decimal, 3),
+    impliedProbability: round(impliedProbability(decimal) * 100, 1),
+    fairProbability: round(fairProb * 100, 1),
+    modelProbability: round(modelProb * 100, 1),
+    edge: round((modelProb - fairProb) * 100, 1),
+    ev: round(expectedValue(modelProb, decimal), 3)
+  });
+
+  const home = describe(homeWinProb, homeDecimal, fair.home);
+  const away = describe(1 - homeWinProb, awayDecimal, fair.away);
+
+  // Bet the side with the higher EV, if it clears the minimum edge
+  const side = home.ev >= away.ev ? 'home' : 'away';
+  const best = side === 'home' ? home : away;
+  const probability = side === 'home' ? homeWinProb : 1 - homeWinProb;
+  const decimal = side === 'home' ? homeDecimal : awayDecimal;
+
+  let bet = null;
+  if (best.ev >= settings.minEdge) {
+    const fraction = getStakeFraction(probability, decimal, settings);
+    if (fraction > 0) {
+      bet = {
+        side,
+        odds: best.odds,
+        decimal: best.decimal,
+        probability: round(probability, 4),
+        stakeFraction: round(fraction, 4),
+        stake: round(fraction * settings.bankroll, 2)
+      };
+    }
+  }
+
+  return {
+    home,
+    away,
+    overround: round(fair.overround, 4),
+    positiveEV: bet !== null,
+    bet
+  };
+}
+
+/**
+ * Grade a suggested moneyline bet against the final score
+ * Profit is per the suggested stake
+ */
+export function gradeBet(moneyline, homeScore, awayScore) {
+  if (!moneyline?.bet) return moneyline || null;
+
+  const { bet } = moneyline;
+  let result = 'push';
+  if (homeScore !== awayScore) {
+    const homeWon = homeScore > awayScore;
+    result = (bet.side === 'home') === homeWon ? 'win' : 'loss';
+  }
+
+  const profit = result === 'win' ? bet.stake * (bet.decimal - 1) : (result === 'loss' ? -bet.stake : 0);
+
+  return {
+    ...moneyline,
+    bet: { ...bet, result, profit: round(profit, 2) }
+  };
+}
+
+/**
+ * Simulate the bankroll over checked results in game order
+ * Each bet is re-sized on the running bankroll with the same Kelly fraction
+ */
+export function simulateBankroll(results, settings) {
+  const bets = results
+    .filter(r => r.moneyline?.bet?.result)
+    .sort((a, b) => new Date(a.gameDate || 0) - new Date(b.gameDate || 0));
+
+  let bankroll = settings.bankroll;
+  let peak = bankroll;
+  let maxDrawdown = 0;
+  let staked = 0;
+  const record = { wins: 0, losses: 0, pushes: 0 };
+  const history = [];
+
+  bets.forEach(result => {
+    const { bet } = result.moneyline;
+    const stake = bankroll * bet.stakeFraction;
+    const profit = bet.result === 'win' ? stake * (bet.decimal - 1) : (bet.result === 'loss' ? -stake : 0);
+
+    bankroll += profit;
+    staked += stake;
+    record[bet.result === 'win' ? 'wins' : (bet.result === 'loss' ? 'losses' : 'pushes')]++;
+
+    peak = Math.max(peak, bankroll);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - bankroll) / peak : 0);
+
+    history.push({
+      id: result.id,
+      gameDate: result.gameDate,
+      team: bet.side === 'home' ? result.homeTeam : result.awayTeam,
+      odds: bet.odds,
+      stake: round(stake, 2),
+      result: bet.result,
+      profit: round(profit, 2),
+      bankroll: round(bankroll, 2)
+    });
+  });
+
+  const profit = bankroll - settings.bankroll;
+
+  return {
+    startingBankroll: settings.bankroll,
+    bankroll: round(bankroll, 2),
+    profit: round(profit, 2),
+    roi: staked > 0 ? round((profit / staked) * 100, 1) : null,
+    bets: bets.length,
+    ...record,
+    staked: round(staked, 2),
+    maxDrawdown: round(maxDrawdown * 100, 1),
+    history
+  };
+}
+
+export default {
+  toDecimalOdds,
+  toAmericanOdds,
+  impliedProbability,
+  removeVig,
+  expectedValue,
+  kellyFraction,
+  getStakeFraction,
+  evaluateMoneyline,
+  gradeBet,
+  simulateBankroll
+};
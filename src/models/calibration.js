@@ -0,0 +1,80 @@
+/**
+ * NFLv2 - Win Probability Calibration
+ * Converts a predicted spread into a home win probability using a normal
+ * margin distribution fitted on past results
+ */
+
+import { MODEL_CONSTANTS } from '../core/constants.js';
+import { normalCdf, clamp } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Default calibration (league-wide margin standard deviation)
+ */
+export function getDefaultCalibration() {
+  return {
+    method: 'normal',
+    sigma: MODEL_CONSTANTS.MARGIN_STD_DEV,
+    samples: 0,
+    fitted: false
+  };
+}
+
+/**
+ * Fit the margin distribution on checked predictions
+ * The actual home margin is modeled as Normal(predicted spread, sigma)
+ */
+export function fitCalibration(results = []) {
+  const residuals = results
+    .filter(r => r.checked && r.actualScore && typeof r.spread === 'number')
+    .map(r => {
+      const [home, away] = r.actualScore.split('-').map(Number);
+      return (home - away) - r.spread;
+    })
+    .filter(residual => !isNaN(residual));
+
+  if (residuals.length < MODEL_CONSTANTS.CALIBRATION_MIN_SAMPLES) {
+    logger.debug('Not enough results to fit calibration, using default', { samples: residuals.length });
+    return { ...getDefaultCalibration(), samples: residuals.length };
+  }
+
+  const meanSquare = residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length;
+  const sigma = clamp(Math.sqrt(meanSquare), MODEL_CONSTANTS.CALIBRATION_MIN_SIGMA, MODEL_CONSTANTS.CALIBRATION_MAX_SIGMA);
+
+  logger.debug('Fitted win probability calibration', { sigma: sigma.toFixed(2), samples: residuals.length });
+
+  return {
+    method: 'normal',
+    sigma,
+    samples: residuals.length,
+    fitted: true
+  };
+}
+
+/**
+ * Convert a predicted home spread into a home win probability
+ */
+export function spreadToWinProbability(spread, calibration = getDefaultCalibration()) {
+  return normalCdf(spread, 0, calibration.sigma || MODEL_CONSTANTS.MARGIN_STD_DEV);
+}
+
+/**
+ * Confidence bucket from the predicted winner's win probability
+ */
+export function getConfidenceFromProbability(winProbability) {
+  const probability = Math.max(winProbability, 1 - winProbability);
+
+  if (probability >= MODEL_CONSTANTS.CONFIDENCE_HIGH_PROB) {
+    return 'high';
+  } else if (probability >= MODEL_CONSTANTS.CONFIDENCE_MEDIUM_PROB) {
+    return 'medium';
+  }
+  return 'low';
+}
+
+export default {
+  getDefaultCalibration,
+  fitCalibration,
+  spreadToWinProbability,
+  getConfidenceFromProbability
+};
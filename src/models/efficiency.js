@@ -1,11 +1,25 @@
 /**
  * NFLv2 - Efficiency Rating Model
  * Predicts games based on offensive/defensive efficiency metrics
+ *
+ * Points and yards are opponent-adjusted (adjPointsFor etc. from
+ * finalizeAggregates) when available, so stats padded against weak
+ * opponents count for less; raw per-game averages are the fallback.
+ * With models.efficiency.stats = 'recent' the recency-weighted form
+ * (teamStats[team].recent) is used instead of season-long stats.
  */
 
 import { MODEL_CONSTANTS } from '../core/constants.js';
+import { spreadToWinProbability } from './calibration.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Opponent-adjusted per-game stat, falling back to the raw average
+ */
+export function getAdjustedStat(teamStats, adjustedKey, rawKey) {
+  return typeof teamStats[adjustedKey] === 'number' ? teamStats[adjustedKey] : teamStats[rawKey];
+}
+
 /**
  * Calculate base efficiency rating for a team
  */
@@ -15,13 +29,13 @@ export function calculateEfficiencyRating(teamStats, leagueAverage) {
   }
 
   // Offensive efficiency (yards per game relative to league average)
-  const offensiveEfficiency = teamStats.avgTotalYards / leagueAverage.avgTotalYards;
+  const offensiveEfficiency = getAdjustedStat(teamStats, 'adjTotalYards', 'avgTotalYards') / leagueAverage.avgTotalYards;
 
   // Defensive efficiency (points allowed relative to league average - lower is better)
-  const defensiveEfficiency = leagueAverage.avgPointsAgainst / teamStats.avgPointsAgainst;
+  const defensiveEfficiency = leagueAverage.avgPointsAgainst / getAdjustedStat(teamStats, 'adjPointsAgainst', 'avgPointsAgainst');
 
   // Scoring efficiency
-  const scoringEfficiency = teamStats.avgPointsFor / leagueAverage.avgPointsFor;
+  const scoringEfficiency = getAdjustedStat(teamStats, 'adjPointsFor', 'avgPointsFor') / leagueAverage.avgPointsFor;
 
   // Combined rating (weighted average)
   const rating = (offensiveEfficiency * 0.35 + defensiveEfficiency * 0.35 + scoringEfficiency * 0.30) * 1000;
@@ -31,18 +45,21 @@ export function calculateEfficiencyRating(teamStats, leagueAverage) {
 
 /**
  * Calculate matchup advantage
+ * Compares the team's rush and pass offense ranks with the opponent's rush
+ * and pass defense ranks (missing ranks count as average)
  */
 export function calculateMatchupAdvantage(teamStats, opponentStats, rankings) {
+  const rank = (name, team) => rankings?.[name]?.[team] || 16;
   let advantage = 0;
 
-  // Rush offense vs rush defense
-  const rushOffenseRank = rankings.rushOffense[teamStats.teamName] || 16;
-  const oppPassDefenseRank = rankings.passDefense[opponentStats.teamName] || 16;
-
-  // If good rushing team vs bad pass defense, advantage
-  const rushAdvantage = (oppPassDefenseRank - rushOffenseRank) * MODEL_CONSTANTS.MATCHUP_WEIGHT;
+  // Rush offense vs rush defense: good rushing team vs bad run defense is an advantage
+  const rushAdvantage = (rank('rushDefense', opponentStats.teamName) - rank('rushOffense', teamStats.teamName)) * MODEL_CONSTANTS.MATCHUP_WEIGHT;
   advantage += rushAdvantage;
 
+  // Pass offense vs pass defense
+  const passAdvantage = (rank('passDefense', opponentStats.teamName) - rank('passOffense', teamStats.teamName)) * MODEL_CONSTANTS.MATCHUP_WEIGHT;
+  advantage += passAdvantage;
+
   return advantage;
 }
 
@@ -69,8 +86,10 @@ export function calculateSituationalAdjustment(teamStats, opponentStats) {
 
 /**
  * Predict game using efficiency model
+ * injuryAdjustment holds points lost by each side ({ home, away })
+ * Neutral-site games get no home field advantage
  */
-export function predictGame(homeTeamStats, awayTeamStats, leagueAverage, rankings) {
+export function predictGame(homeTeamStats, awayTeamStats, leagueAverage, rankings, injuryAdjustment = { home: 0, away: 0 }, isNeutralSite = false) {
   if (!homeTeamStats || !awayTeamStats || !leagueAverage) {
     logger.error('Missing required stats for efficiency prediction');
     return null;
@@ -92,16 +111,23 @@ export function predictGame(homeTeamStats, awayTeamStats, leagueAverage, ranking
   let homeScore = leagueAverage.avgPointsFor || 23;
   let awayScore = leagueAverage.avgPointsFor || 23;
 
+  const homePointsFor = getAdjustedStat(homeTeamStats, 'adjPointsFor', 'avgPointsFor');
+  const awayPointsFor = getAdjustedStat(awayTeamStats, 'adjPointsFor', 'avgPointsFor');
+  const homePointsAgainst = getAdjustedStat(homeTeamStats, 'adjPointsAgainst', 'avgPointsAgainst');
+  const awayPointsAgainst = getAdjustedStat(awayTeamStats, 'adjPointsAgainst', 'avgPointsAgainst');
+
   // Adjust for team offensive strength
-  homeScore += (homeTeamStats.avgPointsFor - leagueAverage.avgPointsFor) * 0.5;
-  awayScore += (awayTeamStats.avgPointsFor - leagueAverage.avgPointsFor) * 0.5;
+  homeScore += (homePointsFor - leagueAverage.avgPointsFor) * 0.5;
+  awayScore += (awayPointsFor - leagueAverage.avgPointsFor) * 0.5;
 
   // Adjust for opponent defensive strength
-  homeScore -= (awayTeamStats.avgPointsAgainst - leagueAverage.avgPointsAgainst) * 0.3;
-  awayScore -= (homeTeamStats.avgPointsAgainst - leagueAverage.avgPointsAgainst) * 0.3;
+  homeScore -= (awayPointsAgainst - leagueAverage.avgPointsAgainst) * 0.3;
+  awayScore -= (homePointsAgainst - leagueAverage.avgPointsAgainst) * 0.3;
 
   // Add home field advantage
-  homeScore += MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE;
+  if (!isNeutralSite) {
+    homeScore += MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE;
+  }
 
   // Add matchup advantages
   homeScore += homeMatchup;
@@ -111,6 +137,10 @@ export function predictGame(homeTeamStats, awayTeamStats, leagueAverage, ranking
   homeScore += homeSituational;
   awayScore += awaySituational;
 
+  // Subtract points lost to injuries
+  homeScore -= injuryAdjustment.home || 0;
+  awayScore -= injuryAdjustment.away || 0;
+
   // Round scores
   homeScore = Math.round(Math.max(0, homeScore));
   awayScore = Math.round(Math.max(0, awayScore));
@@ -132,6 +162,8 @@ export function predictGame(homeTeamStats, awayTeamStats, leagueAverage, ranking
     awayTeam: awayTeamStats.teamName,
     predictedWinner,
     predictedScore: `${homeScore}-${awayScore}`,
+    homeScore,
+    awayScore,
     confidence,
     scoreDifference: scoreDiff,
     homeEfficiency: homeEfficiency.toFixed(0),
@@ -190,7 +222,76 @@ export function calculateLeagueAverages(teamAggregates) {
   };
 }
 
+/**
+ * A team's stats, or league-average per-game stats before its first game
+ * (e.g. week 1 of a backtest) so it is predicted as an average team
+ */
+export function withLeagueAverage(teamStats, leagueAverage) {
+  if (teamStats?.games > 0 || !leagueAverage) return teamStats;
+
+  return {
+    ...teamStats,
+    games: 0,
+    avgTotalYards: leagueAverage.avgTotalYards,
+    avgPointsFor: leagueAverage.avgPointsFor,
+    avgPointsAgainst: leagueAverage.avgPointsAgainst,
+    avgPassingYards: leagueAverage.avgPassingYards,
+    avgRushingYards: leagueAverage.avgRushingYards
+  };
+}
+
+/**
+ * Season-long stats, or the recency-weighted form when requested and available
+ */
+export function selectStats(teamStats, useRecent = false) {
+  if (useRecent && teamStats?.recent?.games > 0) {
+    return { ...teamStats, ...teamStats.recent };
+  }
+  return teamStats;
+}
+
+/**
+ * Model interface for the unified predictor
+ */
+export const model = {
+  name: 'efficiency',
+  description: 'Offensive/defensive efficiency with matchup and situational adjustments',
+
+  predictGame(game, context) {
+    const { teamStats, leagueAverage, rankings, injuryAdjustment, config, calibration } = context;
+    const useRecent = config?.models?.efficiency?.stats === 'recent';
+    const getStats = (team) => ({
+      ...withLeagueAverage(selectStats(teamStats?.[team], useRecent), leagueAverage),
+      teamName: team
+    });
+
+    const homeStats = getStats(game.homeTeam);
+    const awayStats = getStats(game.awayTeam);
+    const prediction = predictGame(homeStats, awayStats, leagueAverage, rankings, {
+      home: injuryAdjustment?.home?.points || 0,
+      away: injuryAdjustment?.away?.points || 0
+    }, Boolean(game.neutralSite));
+    if (!prediction) return null;
+
+    return {
+      homeScore: prediction.homeScore,
+      awayScore: prediction.awayScore,
+      // Same calibrated sigma as the blend (context.calibration)
+      homeWinProb: spreadToWinProbability(prediction.homeScore - prediction.awayScore, calibration),
+      confidence: prediction.confidence,
+      details: {
+        homeEfficiency: prediction.homeEfficiency,
+        awayEfficiency: prediction.awayEfficiency
+      }
+    };
+  }
+};
+
 export default {
+  model,
+  getAdjustedStat,
+  withLeagueAverage,
+  selectStats,
   calculateEfficiencyRating,
   calculateMatchupAdvantage,
   calculateSituationalAdjustment,
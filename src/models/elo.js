@@ -4,6 +4,7 @@
  */
 
 import { MODEL_CONSTANTS, NFL_TEAMS } from '../core/constants.js';
+import { getQbInjuryPoints } from './quarterbacks.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -54,8 +55,10 @@ export function calculateMOVMultiplier(marginOfVictory, eloWinner, eloLoser) {
 
 /**
  * Update Elo ratings after a game
+ * When homeTeam is given, its home field advantage is part of the expected
+ * outcome unless the game was played at a neutral site
  */
-export function updateRatings(ratings, winner, loser, winnerScore, loserScore, isNeutralSite = false) {
+export function updateRatings(ratings, winner, loser, winnerScore, loserScore, isNeutralSite = false, homeTeam = null) {
   const ratingWinner = ratings[winner];
   const ratingLoser = ratings[loser];
 
@@ -64,12 +67,19 @@ export function updateRatings(ratings, winner, loser, winnerScore, loserScore, i
     return ratings;
   }
 
+  // Home field advantage in Elo points (none at neutral sites)
+  const homeAdvantage = homeTeam && !isNeutralSite
+    ? MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE * MODEL_CONSTANTS.ELO_POINTS_PER_SCORE_POINT
+    : 0;
+  const effectiveWinner = ratingWinner + (homeTeam === winner ? homeAdvantage : 0);
+  const effectiveLoser = ratingLoser + (homeTeam === loser ? homeAdvantage : 0);
+
   // Calculate expected win probability
-  const expectedWin = calculateWinProbability(ratingWinner, ratingLoser);
+  const expectedWin = calculateWinProbability(effectiveWinner, effectiveLoser);
 
   // Margin of victory
   const mov = Math.abs(winnerScore - loserScore);
-  const movMultiplier = calculateMOVMultiplier(mov, ratingWinner, ratingLoser);
+  const movMultiplier = calculateMOVMultiplier(mov, effectiveWinner, effectiveLoser);
 
   // Calculate rating change
   const kFactor = MODEL_CONSTANTS.ELO_K_FACTOR;
@@ -92,10 +102,67 @@ export function updateRatings(ratings, winner, loser, winnerScore, loserScore, i
   return newRatings;
 }
 
+/**
+ * Update Elo ratings from a final score
+ * game: { homeTeam, awayTeam, homeScore, awayScore, neutralSite }
+ * Ties count as half a win for each side (actual outcome 0.5)
+ */
+export function updateGameRatings(ratings, game) {
+  const { homeTeam, awayTeam, homeScore, awayScore } = game;
+
+  if (homeScore !== awayScore) {
+    const homeWon = homeScore > awayScore;
+
+    return updateRatings(
+      ratings,
+      homeWon ? homeTeam : awayTeam,
+      homeWon ? awayTeam : homeTeam,
+      Math.max(homeScore, awayScore),
+      Math.min(homeScore, awayScore),
+      Boolean(game.neutralSite),
+      homeTeam
+    );
+  }
+
+  const ratingHome = ratings[homeTeam];
+  const ratingAway = ratings[awayTeam];
+
+  if (!ratingHome || !ratingAway) {
+    logger.error('Cannot update ratings: team not found', { homeTeam, awayTeam });
+    return ratings;
+  }
+
+  const homeAdvantage = game.neutralSite
+    ? 0
+    : MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE * MODEL_CONSTANTS.ELO_POINTS_PER_SCORE_POINT;
+  const expectedHome = calculateWinProbability(ratingHome + homeAdvantage, ratingAway);
+
+  // A tie has no favorite to discount, so use the 1-point margin multiplier
+  const movMultiplier = calculateMOVMultiplier(1, 0, 0);
+  const change = MODEL_CONSTANTS.ELO_K_FACTOR * movMultiplier * (0.5 - expectedHome);
+
+  const newRatings = { ...ratings };
+  newRatings[homeTeam] = ratingHome + change;
+  newRatings[awayTeam] = ratingAway - change;
+
+  logger.debug('Elo update (tie)', {
+    homeTeam,
+    awayTeam,
+    score: `${homeScore}-${awayScore}`,
+    oldRatings: `${ratingHome.toFixed(0)}-${ratingAway.toFixed(0)}`,
+    newRatings: `${newRatings[homeTeam].toFixed(0)}-${newRatings[awayTeam].toFixed(0)}`,
+    change: change.toFixed(1)
+  });
+
+  return newRatings;
+}
+
 /**
  * Predict game outcome based on Elo ratings
+ * pointAdjustment is a net score adjustment in the home team's favor (e.g. injuries)
+ * Neutral-site games get no home field advantage
  */
-export function predictGame(ratings, homeTeam, awayTeam) {
+export function predictGame(ratings, homeTeam, awayTeam, pointAdjustment = 0, isNeutralSite = false) {
   const homeRating = ratings[homeTeam];
   const awayRating = ratings[awayTeam];
 
@@ -105,7 +172,9 @@ export function predictGame(ratings, homeTeam, awayTeam) {
   }
 
   // Add home field advantage to home team rating
-  const adjustedHomeRating = homeRating + (MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE * 25); // ~25 Elo points = 2.5 score points
+  const homeFieldAdvantage = isNeutralSite ? 0 : MODEL_CONSTANTS.HOME_FIELD_ADVANTAGE;
+  const adjustedHomeRating = homeRating
+    + (homeFieldAdvantage + pointAdjustment) * MODEL_CONSTANTS.ELO_POINTS_PER_SCORE_POINT;
 
   // Calculate win probabilities
   const homeWinProb = calculateWinProbability(adjustedHomeRating, awayRating);
@@ -126,7 +195,7 @@ export function predictGame(ratings, homeTeam, awayTeam) {
   // Estimate scores based on ratings
   const avgScore = 23; // NFL average score
   const ratingDiff = adjustedHomeRating - awayRating;
-  const scoreDiff = (ratingDiff / 25); // 25 Elo ≈ 1 point
+  const scoreDiff = ratingDiff / MODEL_CONSTANTS.ELO_POINTS_PER_SCORE_POINT;
 
   const homeScore = Math.round(avgScore + (scoreDiff / 2));
   const awayScore = Math.round(avgScore - (scoreDiff / 2));
@@ -140,6 +209,8 @@ export function predictGame(ratings, homeTeam, awayTeam) {
     confidence,
     eloDifference: eloDiff,
     predictedScore: `${Math.max(0, homeScore)}-${Math.max(0, awayScore)}`,
+    homeScore: Math.max(0, homeScore),
+    awayScore: Math.max(0, awayScore),
     homeRating: homeRating.toFixed(0),
     awayRating: awayRating.toFixed(0)
   };
@@ -172,11 +243,70 @@ export function getPowerRankings(ratings) {
   return teams;
 }
 
+/**
+ * QB adjustment for a team (context.qbAdjustments, see quarterbacks.js)
+ * Returns { elo, injuryPoints }: the Elo change and the usual starter's
+ * injury points to give back, since the adjustment already covers the starter
+ */
+function getQbAdjustment(context, team, teamImpact) {
+  const adjustment = context.qbAdjustments?.[team];
+  const elo = adjustment?.eloAdjustment || 0;
+  if (elo === 0) return { elo: 0, injuryPoints: 0 };
+
+  return { elo, injuryPoints: Math.min(getQbInjuryPoints(teamImpact, adjustment.usualStarter), teamImpact?.points || 0) };
+}
+
+/**
+ * Model interface for the unified predictor
+ */
+export const model = {
+  name: 'elo',
+  description: 'Elo ratings with margin-of-victory and quarterback adjustments',
+
+  predictGame(game, context) {
+    const ratings = context.eloRatings;
+    const homeQb = getQbAdjustment(context, game.homeTeam, context.injuryAdjustment?.home);
+    const awayQb = getQbAdjustment(context, game.awayTeam, context.injuryAdjustment?.away);
+
+    const adjustedRatings = ratings?.[game.homeTeam] && ratings?.[game.awayTeam]
+      ? {
+        ...ratings,
+        [game.homeTeam]: ratings[game.homeTeam] + homeQb.elo,
+        [game.awayTeam]: ratings[game.awayTeam] + awayQb.elo
+      }
+      : ratings;
+
+    const prediction = predictGame(
+      adjustedRatings,
+      game.homeTeam,
+      game.awayTeam,
+      (context.injuryAdjustment?.net || 0) + homeQb.injuryPoints - awayQb.injuryPoints,
+      Boolean(game.neutralSite)
+    );
+    if (!prediction) return null;
+
+    return {
+      homeScore: prediction.homeScore,
+      awayScore: prediction.awayScore,
+      homeWinProb: prediction.homeWinProbability / 100,
+      confidence: prediction.confidence,
+      details: {
+        homeRating: ratings[game.homeTeam].toFixed(0),
+        awayRating: ratings[game.awayTeam].toFixed(0),
+        homeQbAdjustment: homeQb.elo,
+        awayQbAdjustment: awayQb.elo
+      }
+    };
+  }
+};
+
 export default {
+  model,
   initializeRatings,
   calculateWinProbability,
   calculateMOVMultiplier,
   updateRatings,
+  updateGameRatings,
   predictGame,
   getConfidenceLevel,
   getPowerRankings
@@ -0,0 +1,212 @@
+/**
+ * NFLv2 - Expected Points Model
+ * Expected points (EP) of a down, distance and field position, and expected
+ * points added (EPA) per play
+ *
+ * EP is fitted per down as a quadratic in yards to goal plus a linear term in
+ * yards to go, on the value of the next score in the same half (+7 / +3 for
+ * the offense, -7 / -3 for the defense, -2 for a safety, 0 if nobody scores).
+ * A play's EPA is the EP after it (the next snap's EP, negated on a change of
+ * possession, or the points scored) minus the EP before it; a play is a
+ * success when its EPA is positive.
+ */
+
+import { EP_CONSTANTS } from '../core/constants.js';
+import { SCRIMMAGE_TYPES, hasGameState } from '../utils/play-parser.js';
+import { clamp, leastSquares, round } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+const DOWNS = [1, 2, 3, 4];
+
+/**
+ * Default model (EP_CONSTANTS.DEFAULT_COEFFICIENTS)
+ */
+export function getDefaultExpectedPoints() {
+  return {
+    coefficients: structuredClone(EP_CONSTANTS.DEFAULT_COEFFICIENTS),
+    samples: { 1: 0, 2: 0, 3: 0, 4: 0 },
+    fitted: false
+  };
+}
+
+/**
+ * Model features for a game state
+ */
+function getFeatures(distance, yardsToGoal) {
+  return [1, yardsToGoal, yardsToGoal * yardsToGoal, Math.min(distance, EP_CONSTANTS.MAX_DISTANCE)];
+}
+
+/**
+ * Expected points for the team with the ball
+ */
+export function getExpectedPoints(model, { down, distance, yardsToGoal }) {
+  const coefficients = model?.coefficients?.[down] || EP_CONSTANTS.DEFAULT_COEFFICIENTS[down];
+  if (!coefficients) return 0;
+
+  const features = getFeatures(distance, yardsToGoal);
+  const ep = features.reduce((sum, value, index) => sum + value * coefficients[index], 0);
+  return clamp(ep, EP_CONSTANTS.EP_MIN, EP_CONSTANTS.EP_MAX);
+}
+
+/**
+ * Half of a period (overtime counts as its own half)
+ */
+function getHalf(period) {
+  if (!period) return null;
+  return period <= 2 ? 1 : period <= 4 ? 2 : 3;
+}
+
+/**
+ * Points a scoring play is worth to the team with the ball
+ * (extra points and two-point tries are not counted)
+ */
+function getScoreValue(play) {
+  const value = EP_CONSTANTS.SCORE_VALUES[play.result];
+  if (!value || !play.scoringTeam) return null;
+  return play.scoringTeam === play.offense ? value : -value;
+}
+
+/**
+ * Label plays with the value of the next score in the same half, from the
+ * offense's side. Plays are one game's plays in order (parsePlays)
+ * Returns [{ play, nextScore }] for plays with a game state
+ */
+export function labelNextScore(plays) {
+  const labeled = [];
+  let nextScore = null; // { team, value, half }
+
+  for (let i = plays.length - 1; i >= 0; i--) {
+    const play = plays[i];
+    const half = getHalf(play.period);
+
+    if (nextScore && nextScore.half !== half) {
+      nextScore = null;
+    }
+
+    const value = getScoreValue(play);
+    if (value !== null) {
+      nextScore = { team: play.offense, value, half };
+    }
+
+    if (hasGameState(play)) {
+      const label = nextScore ? (nextScore.team === play.offense ? nextScore.value : -nextScore.value) : 0;
+      labeled.push({ play, nextScore: label });
+    }
+  }
+
+  return labeled.reverse();
+}
+
+/**
+ * Fit the EP model on parsed plays (grouped by game)
+ * games: [[play, ...], ...]. Downs with fewer than MIN_PLAYS_PER_DOWN
+ * labeled plays keep the default coefficients.
+ */
+export function fitExpectedPoints(games) {
+  const model = getDefaultExpectedPoints();
+  const byDown = { 1: [], 2: [], 3: [], 4: [] };
+
+  games.forEach(plays => {
+    labelNextScore(plays).forEach(({ play, nextScore }) => {
+      byDown[play.down].push({ features: getFeatures(play.distance, play.yardsToGoal), nextScore });
+    });
+  });
+
+  DOWNS.forEach(down => {
+    const rows = byDown[down];
+    model.samples[down] = rows.length;
+    if (rows.length < EP_CONSTANTS.MIN_PLAYS_PER_DOWN) return;
+
+    const coefficients = leastSquares(rows.map(r => r.features), rows.map(r => r.nextScore), EP_CONSTANTS.RIDGE);
+    if (coefficients && coefficients.every(Number.isFinite)) {
+      model.coefficients[down] = coefficients;
+      model.fitted = true;
+    }
+  });
+
+  logger.info('Fitted expected points model', { fitted: model.fitted, samples: model.samples });
+  return model;
+}
+
+/**
+ * Add ep, epa and success to one game's plays (returns new play objects)
+ * Plays without a game state get ep / epa null
+ */
+export function addPlayEpa(plays, model = getDefaultExpectedPoints()) {
+  const next = Array(plays.length).fill(null);
+  let following = null;
+
+  // Next play with a game state, for each play
+  for (let i = plays.length - 1; i >= 0; i--) {
+    next[i] = following;
+    if (hasGameState(plays[i])) following = plays[i];
+  }
+
+  return plays.map((play, index) => {
+    if (!hasGameState(play)) {
+      return { ...play, ep: null, epa: null, success: null };
+    }
+
+    const ep = getExpectedPoints(model, play);
+    const scoreValue = getScoreValue(play);
+    const after = next[index];
+
+    let epAfter = 0;
+    if (scoreValue !== null) {
+      epAfter = scoreValue;
+    } else if (after && getHalf(after.period) === getHalf(play.period)) {
+      const afterEp = getExpectedPoints(model, after);
+      epAfter = after.offense === play.offense ? afterEp : -afterEp;
+    }
+
+    const epa = epAfter - ep;
+    return { ...play, ep: round(ep, 3), epa: round(epa, 3), success: epa > 0 };
+  });
+}
+
+/**
+ * Per-team EPA totals from one game's plays (offensive snaps only)
+ * Returns { team: { epaPlays, epa, successfulPlays, epaPassPlays, passEpa,
+ * epaRushPlays, rushEpa } } for the team with the ball
+ */
+export function summarizeGameEpa(plays, model = getDefaultExpectedPoints()) {
+  const teams = {};
+
+  addPlayEpa(plays, model).forEach(play => {
+    if (play.epa === null || !SCRIMMAGE_TYPES.has(play.playType)) return;
+
+    const totals = teams[play.offense] ||= {
+      epaPlays: 0,
+      epa: 0,
+      successfulPlays: 0,
+      epaPassPlays: 0,
+      passEpa: 0,
+      epaRushPlays: 0,
+      rushEpa: 0
+    };
+
+    totals.epaPlays++;
+    totals.epa += play.epa;
+    if (play.success) totals.successfulPlays++;
+
+    // Sacks are dropbacks
+    if (play.playType === 'pass' || play.playType === 'sack') {
+      totals.epaPassPlays++;
+      totals.passEpa += play.epa;
+    } else if (play.playType === 'rush') {
+      totals.epaRushPlays++;
+      totals.rushEpa += play.epa;
+    }
+  });
+
+  return teams;
+}
+
+export default {
+  getDefaultExpectedPoints,
+  getExpectedPoints,
+  labelNextScore,
+  fitExpectedPoints,
+  addPlayEpa,
+  summarizeGameEpa
+};
@@ -0,0 +1,129 @@
+/**
+ * NFLv2 - Injury Impact Model
+ * Converts injury reports into position-weighted point adjustments
+ */
+
+import { INJURY_CONSTANTS, NFL_TEAMS, ABBREV_ALTERNATES } from '../core/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Get injury report keys (abbreviations) that refer to a team
+ */
+export function getTeamKeys(teamName) {
+  const abbrev = NFL_TEAMS[teamName]?.abbrev;
+  if (!abbrev) return [teamName];
+
+  const alternates = Object.entries(ABBREV_ALTERNATES)
+    .filter(([, canonical]) => canonical === abbrev)
+    .map(([alternate]) => alternate);
+
+  return [abbrev, ...alternates, teamName];
+}
+
+/**
+ * Get depth chart multiplier for a player
+ */
+export function getDepthMultiplier(depthChartOrder) {
+  const order = parseInt(depthChartOrder);
+
+  if (!order || order < 1) {
+    return INJURY_CONSTANTS.DEPTH_MULTIPLIER_UNKNOWN;
+  }
+
+  return INJURY_CONSTANTS.DEPTH_MULTIPLIERS[order] ?? INJURY_CONSTANTS.DEPTH_MULTIPLIER_DEEP;
+}
+
+/**
+ * Depth chart slot of an injured player
+ * Manual overrides are starters unless they give a depthChartOrder
+ */
+export function getDepthChartOrder(injury) {
+  return injury.depthChartOrder ?? (injury.source === 'manual' ? 1 : null);
+}
+
+/**
+ * Calculate the expected points lost to a single injured player
+ */
+export function calculatePlayerImpact(injury) {
+  const statusWeight = INJURY_CONSTANTS.STATUS_WEIGHTS[injury.injuryStatus] || 0;
+  const positionValue = INJURY_CONSTANTS.POSITION_VALUES[injury.position] || 0;
+
+  if (statusWeight === 0 || positionValue === 0) {
+    return 0;
+  }
+
+  return positionValue * getDepthMultiplier(getDepthChartOrder(injury)) * statusWeight;
+}
+
+/**
+ * Calculate total injury impact for a team
+ */
+export function calculateTeamImpact(teamInjuries = []) {
+  // Later entries (manual overrides) replace earlier ones for the same player
+  const byPlayer = new Map();
+  teamInjuries.forEach(injury => {
+    if (!injury || !injury.name) return;
+    byPlayer.set(injury.name, injury);
+  });
+
+  const players = [];
+  let total = 0;
+
+  byPlayer.forEach(injury => {
+    const impact = calculatePlayerImpact(injury);
+    if (impact <= 0) return;
+
+    total += impact;
+    players.push({
+      name: injury.name,
+      espnId: injury.espnId ?? null,
+      position: injury.position,
+      depthChartOrder: getDepthChartOrder(injury),
+      injuryStatus: injury.injuryStatus,
+      impact: parseFloat(impact.toFixed(2))
+    });
+  });
+
+  players.sort((a, b) => b.impact - a.impact);
+
+  return {
+    points: Math.min(total, INJURY_CONSTANTS.MAX_TEAM_ADJUSTMENT),
+    players
+  };
+}
+
+/**
+ * Calculate injury adjustments for both teams in a game
+ */
+export function calculateGameAdjustment(injuries, homeTeam, awayTeam) {
+  const collect = (team) => getTeamKeys(team)
+    .flatMap(key => Array.isArray(injuries?.[key]) ? injuries[key] : []);
+
+  const home = calculateTeamImpact(collect(homeTeam));
+  const away = calculateTeamImpact(collect(awayTeam));
+
+  if (home.points > 0 || away.points > 0) {
+    logger.debug('Injury adjustment', {
+      homeTeam,
+      awayTeam,
+      home: home.points.toFixed(1),
+      away: away.points.toFixed(1)
+    });
+  }
+
+  return {
+    home,
+    away,
+    // Net points in the home team's favor
+    net: away.points - home.points
+  };
+}
+
+export default {
+  getTeamKeys,
+  getDepthMultiplier,
+  getDepthChartOrder,
+  calculatePlayerImpact,
+  calculateTeamImpact,
+  calculateGameAdjustment
+};
@@ -0,0 +1,171 @@
+/**
+ * NFLv2 - Betting Lines Model
+ * Compares predictions with market spreads/totals and grades
+ * against-the-spread (ATS) and over/under picks
+ *
+ * Spreads are the home team's line (negative = home favored). The home team
+ * covers when its margin plus the line is positive; exactly zero is a push.
+ */
+
+import { MODEL_CONSTANTS, NFL_TEAMS } from '../core/constants.js';
+import { normalCdf, round } from '../utils/math.js';
+
+const LINE_FIELDS = ['spread', 'total', 'homeMoneyline', 'awayMoneyline'];
+
+/**
+ * Manual lines key for a matchup (AWAY@HOME abbreviations)
+ */
+export function getMatchupKey(homeTeam, awayTeam) {
+  const home = NFL_TEAMS[homeTeam]?.abbrev || homeTeam;
+  const away = NFL_TEAMS[awayTeam]?.abbrev || awayTeam;
+  return `${away}@${home}`;
+}
+
+/**
+ * Find a manual line override for a game (by ESPN id, then AWAY@HOME)
+ */
+export function getManualLines(manualLines, game) {
+  if (!manualLines) return null;
+
+  const byId = manualLines[game.id];
+  if (byId && typeof byId === 'object') return byId;
+
+  const byMatchup = manualLines[getMatchupKey(game.homeTeam, game.awayTeam)];
+  return byMatchup && typeof byMatchup === 'object' ? byMatchup : null;
+}
+
+/**
+ * Merge ESPN lines with manual overrides (manual fields win)
+ */
+export function mergeLines(espnLines, manualLines) {
+  if (!espnLines && !manualLines) return null;
+
+  const merged = { provider: espnLines?.provider || null };
+  let manualUsed = false;
+
+  LINE_FIELDS.forEach(field => {
+    if (typeof manualLines?.[field] === 'number') {
+      merged[field] = manualLines[field];
+      manualUsed = true;
+    } else {
+      merged[field] = typeof espnLines?.[field] === 'number' ? espnLines[field] : null;
+    }
+  });
+
+  if (manualUsed) {
+    merged.source = espnLines ? 'espn+manual' : 'manual';
+    if (!espnLines) merged.provider = 'manual';
+  } else {
+    merged.source = 'espn';
+  }
+
+  return merged;
+}
+
+/**
+ * Compare a predicted spread and total with the market lines
+ * spread: predicted home margin; total: predicted total points
+ * Returns { lines, ats, overUnder } (probabilities in %), or null without lines
+ */
+export function predictAgainstLines({ spread, total, homeTeam, awayTeam }, lines, calibration = null) {
+  if (!lines) return null;
+
+  let ats = null;
+  if (typeof lines.spread === 'number' && typeof spread === 'number') {
+    const sigma = calibration?.sigma || MODEL_CONSTANTS.MARGIN_STD_DEV;
+    const homeCoverProb = normalCdf(spread + lines.spread, 0, sigma);
+    const pickHome = homeCoverProb >= 0.5;
+
+    ats = {
+      pick: pickHome ? homeTeam : awayTeam,
+      homeCoverProbability: round(homeCoverProb * 100, 1),
+      pickProbability: round((pickHome ? homeCoverProb : 1 - homeCoverProb) * 100, 1),
+      // Points by which the predicted margin beats the line (home perspective)
+      edge: round(spread + lines.spread, 1)
+    };
+  }
+
+  let overUnder = null;
+  if (typeof lines.total === 'number' && typeof total === 'number') {
+    const overProb = 1 - normalCdf(lines.total, total, MODEL_CONSTANTS.TOTAL_STD_DEV);
+
+    overUnder = {
+      pick: overProb >= 0.5 ? 'over' : 'under',
+      overProbability: round(overProb * 100, 1),
+      pickProbability: round(Math.max(overProb, 1 - overProb) * 100, 1),
+      edge: round(total - lines.total, 1)
+    };
+  }
+
+  return { lines, ats, overUnder };
+}
+
+/**
+ * Grade a prediction's ATS and over/under picks against the final score
+ * Returns { ats, overUnder } with result 'win' | 'loss' | 'push' (null if not picked)
+ */
+export function gradeLines(prediction, homeScore, awayScore) {
+  const lines = prediction.lines;
+  let ats = null;
+  let overUnder = null;
+
+  if (prediction.ats && typeof lines?.spread === 'number') {
+    const coverMargin = homeScore - awayScore + lines.spread;
+    const covered = coverMargin > 0 ? prediction.homeTeam : (coverMargin < 0 ? prediction.awayTeam : null);
+
+    ats = {
+      ...prediction.ats,
+      covered,
+      result: covered === null ? 'push' : (covered === prediction.ats.pick ? 'win' : 'loss')
+    };
+  }
+
+  if (prediction.overUnder && typeof lines?.total === 'number') {
+    const totalPoints = homeScore + awayScore;
+    const actual = totalPoints > lines.total ? 'over' : (totalPoints < lines.total ? 'under' : 'push');
+
+    overUnder = {
+      ...prediction.overUnder,
+      actual,
+      result: actual === 'push' ? 'push' : (actual === prediction.overUnder.pick ? 'win' : 'loss')
+    };
+  }
+
+  return { ats, overUnder };
+}
+
+/**
+ * Win/loss/push record for graded picks (pushes excluded from accuracy)
+ */
+function summarizeGrades(grades) {
+  const wins = grades.filter(g => g.result === 'win').length;
+  const losses = grades.filter(g => g.result === 'loss').length;
+  const pushes = grades.filter(g => g.result === 'push').length;
+
+  return {
+    total: wins + losses,
+    wins,
+    losses,
+    pushes,
+    accuracy: wins + losses > 0 ? round((wins / (wins + losses)) * 100, 1) : null
+  };
+}
+
+/**
+ * ATS and over/under accuracy for checked predictions
+ */
+export function calculateLineAccuracy(results) {
+  return {
+    ats: summarizeGrades(results.map(r => r.ats).filter(g => g?.result)),
+    overUnder: summarizeGrades(results.map(r => r.overUnder).filter(g => g?.result))
+  };
+}
+
+export default {
+  getMatchupKey,
+  getManualLines,
+  mergeLines,
+  predictAgainstLines,
+  gradeLines,
+  calculateLineAccuracy
+};
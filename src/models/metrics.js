@@ -0,0 +1,213 @@
+/**
+ * NFLv2 - Prediction Metrics
+ * Probabilistic and score-error metrics for checked predictions
+ */
+
+import { round, mean } from '../utils/math.js';
+
+const LOG_LOSS_EPSILON = 1e-15;
+const CALIBRATION_BINS = 10;
+
+/**
+ * Actual home outcome: 1 = home win, 0 = away win, 0.5 = tie
+ */
+export function getHomeOutcome(result) {
+  const [home, away] = result.actualScore.split('-').map(Number);
+  if (home === away) return 0.5;
+  return home > away ? 1 : 0;
+}
+
+/**
+ * Actual home margin and total points
+ */
+export function getActualMargins(result) {
+  const [home, away] = result.actualScore.split('-').map(Number);
+  return { margin: home - away, total: home + away };
+}
+
+/**
+ * Brier score (mean squared error of probabilities, lower is better)
+ */
+export function brierScore(samples) {
+  return mean(samples.map(({ probability, outcome }) => Math.pow(probability - outcome, 2)));
+}
+
+/**
+ * Log loss (lower is better)
+ */
+export function logLoss(samples) {
+  return mean(samples.map(({ probability, outcome }) => {
+    const p = Math.min(1 - LOG_LOSS_EPSILON, Math.max(LOG_LOSS_EPSILON, probability));
+    return -(outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p));
+  }));
+}
+
+/**
+ * Calibration table: predicted home win probability bins vs. observed win rate
+ */
+export function calibrationTable(samples, bins = CALIBRATION_BINS) {
+  const table = [];
+
+  for (let i = 0; i < bins; i++) {
+    const lower = i / bins;
+    const upper = (i + 1) / bins;
+    const inBin = samples.filter(({ probability }) =>
+      probability >= lower && (probability < upper || (i === bins - 1 && probability <= upper))
+    );
+
+    if (inBin.length === 0) continue;
+
+    table.push({
+      bin: `${Math.round(lower * 100)}-${Math.round(upper * 100)}%`,
+      games: inBin.length,
+      avgPredicted: round(mean(inBin.map(s => s.probability)) * 100, 1),
+      observed: round(mean(inBin.map(s => s.outcome)) * 100, 1)
+    });
+  }
+
+  return table;
+}
+
+/**
+ * Error summary for predicted vs. actual values
+ */
+export function errorSummary(pairs) {
+  if (pairs.length === 0) {
+    return { games: 0, mae: null, rmse: null, bias: null };
+  }
+
+  const errors = pairs.map(({ predicted, actual }) => predicted - actual);
+
+  return {
+    games: pairs.length,
+    mae: round(mean(errors.map(Math.abs)), 2),
+    rmse: round(Math.sqrt(mean(errors.map(e => e * e))), 2),
+    bias: round(mean(errors), 2)
+  };
+}
+
+/**
+ * Parse a "home-away" score string into predicted spread and total
+ */
+function parseScore(score) {
+  if (typeof score !== 'string') return null;
+
+  const [home, away] = score.split('-').map(Number);
+  if (isNaN(home) || isNaN(away)) return null;
+
+  return { spread: home - away, total: home + away };
+}
+
+/**
+ * Metrics for one source of predictions
+ * getForecast(result) -> { probability, spread, total, winner } | null
+ */
+export function calculateForecastMetrics(results, getForecast) {
+  const samples = [];
+  const spreads = [];
+  const totals = [];
+  let graded = 0;
+  let correct = 0;
+
+  results.forEach(result => {
+    const forecast = getForecast(result);
+    if (!forecast) return;
+
+    const outcome = getHomeOutcome(result);
+    const { margin, total } = getActualMargins(result);
+
+    if (typeof forecast.probability === 'number' && !isNaN(forecast.probability)) {
+      samples.push({ probability: forecast.probability, outcome });
+    }
+
+    if (typeof forecast.spread === 'number') {
+      spreads.push({ predicted: forecast.spread, actual: margin });
+    }
+
+    if (typeof forecast.total === 'number') {
+      totals.push({ predicted: forecast.total, actual: total });
+    }
+
+    // Ties are not graded
+    if (outcome !== 0.5 && forecast.winner) {
+      graded++;
+      const actualWinner = outcome === 1 ? result.homeTeam : result.awayTeam;
+      if (forecast.winner === actualWinner) correct++;
+    }
+  });
+
+  return {
+    games: graded,
+    correct,
+    accuracy: graded > 0 ? round((correct / graded) * 100, 1) : null,
+    probabilitySamples: samples.length,
+    brierScore: samples.length > 0 ? round(brierScore(samples), 4) : null,
+    logLoss: samples.length > 0 ? round(logLoss(samples), 4) : null,
+    calibration: calibrationTable(samples),
+    spread: errorSummary(spreads),
+    totalPoints: errorSummary(totals)
+  };
+}
+
+/**
+ * Forecast from the blended prediction
+ */
+export function getBlendForecast(result) {
+  const score = parseScore(result.predictedScore);
+
+  return {
+    probability: typeof result.homeWinProbability === 'number' ? result.homeWinProbability / 100 : null,
+    spread: typeof result.spread === 'number' ? result.spread : score?.spread,
+    total: typeof result.total === 'number' ? result.total : score?.total,
+    winner: result.predictedWinner
+  };
+}
+
+/**
+ * Forecast from one sub-model recorded under prediction.models
+ */
+export function getModelForecast(result, name) {
+  const model = result.models?.[name];
+  if (!model) return null;
+
+  const score = parseScore(model.score);
+  const probability = parseFloat(model.homeWinProb);
+
+  return {
+    probability: isNaN(probability) ? null : probability / 100,
+    spread: score?.spread,
+    total: score?.total,
+    winner: model.winner
+  };
+}
+
+/**
+ * Names of sub-models recorded in a set of predictions
+ */
+export function getRecordedModels(results) {
+  const names = new Set();
+
+  results.forEach(result => {
+    Object.entries(result.models || {}).forEach(([name, model]) => {
+      // Sub-models record a winner and score; other entries (e.g. injuries) do not
+      if (model && model.winner !== undefined && model.score !== undefined) {
+        names.add(name);
+      }
+    });
+  });
+
+  return Array.from(names);
+}
+
+export default {
+  getHomeOutcome,
+  getActualMargins,
+  brierScore,
+  logLoss,
+  calibrationTable,
+  errorSummary,
+  calculateForecastMetrics,
+  getBlendForecast,
+  getModelForecast,
+  getRecordedModels
+};
@@ -1,83 +1,152 @@
 /**
  * NFLv2 - Unified Predictor
- * Combines Elo and Efficiency models for predictions
+ * Blends the registered models enabled in settings.json
  */
 
-import * as elo from './elo.js';
-import * as efficiency from './efficiency.js';
+import * as injuryModel from './injuries.js';
+import * as metrics from './metrics.js';
+import * as linesModel from './lines.js';
+import * as betting from './betting.js';
+import { getModel, validateModelOutput } from './registry.js';
+import { getDefaultCalibration, spreadToWinProbability, getConfidenceFromProbability } from './calibration.js';
+import { DEFAULT_CONFIG, getModelWeights } from '../core/config.js';
+import { SEASON_TYPES } from '../core/constants.js';
 import { logger } from '../utils/logger.js';
 
 /**
- * Generate prediction using both models
+ * Format a model's output for the prediction record
+ * A tied model score picks the winner from the model's win probability
+ */
+function summarizeModel(game, output, weight) {
+  const homeWins = output.homeScore === output.awayScore
+    ? output.homeWinProb >= 0.5
+    : output.homeScore > output.awayScore;
+
+  return {
+    winner: homeWins ? game.homeTeam : game.awayTeam,
+    score: `${Math.round(output.homeScore)}-${Math.round(output.awayScore)}`,
+    confidence: output.confidence || null,
+    weight: parseFloat(weight.toFixed(3)),
+    homeWinProb: (output.homeWinProb * 100).toFixed(1),
+    awayWinProb: ((1 - output.homeWinProb) * 100).toFixed(1),
+    ...(output.details ? { details: output.details } : {})
+  };
+}
+
+/**
+ * Generate prediction using the enabled models, blended by configured weight
+ * The blended spread is turned into a calibrated home win probability
+ * (context.calibration, see calibration.js) which drives the confidence bucket
  */
 export function predict(game, context) {
-  const { eloRatings, teamStats, leagueAverage, rankings } = context;
+  const { injuries = {}, qbAdjustments = null, config = DEFAULT_CONFIG, calibration = getDefaultCalibration() } = context;
 
   const homeTeam = game.homeTeam;
   const awayTeam = game.awayTeam;
 
-  // Elo prediction
-  const eloPrediction = elo.predictGame(eloRatings, homeTeam, awayTeam);
+  // Injury adjustment (points lost by each team), shared with every model
+  const injuryAdjustment = injuryModel.calculateGameAdjustment(injuries, homeTeam, awayTeam);
+  const modelContext = { ...context, injuryAdjustment };
 
-  // Efficiency prediction
-  const homeStats = { ...teamStats[homeTeam], teamName: homeTeam };
-  const awayStats = { ...teamStats[awayTeam], teamName: awayTeam };
-  const efficiencyPrediction = efficiency.predictGame(homeStats, awayStats, leagueAverage, rankings);
+  // Run every enabled model
+  const configuredWeights = getModelWeights(config);
+  const outputs = {};
+  for (const name of Object.keys(configuredWeights)) {
+    const model = getModel(name);
+    if (!model) {
+      logger.warn('Model enabled in configuration is not registered, skipping', { model: name });
+      continue;
+    }
 
-  if (!eloPrediction || !efficiencyPrediction) {
-    logger.error('Failed to generate predictions', { homeTeam, awayTeam });
-    return null;
+    const output = model.predictGame(game, modelContext);
+    const result = validateModelOutput(output);
+    if (!result.valid) {
+      logger.error('Failed to generate predictions', { homeTeam, awayTeam, model: name, errors: result.errors });
+      return null;
+    }
+
+    outputs[name] = output;
   }
 
-  // Combine predictions (weighted average)
-  const eloWeight = 0.6;
-  const efficiencyWeight = 0.4;
+  const modelNames = Object.keys(outputs);
+  if (modelNames.length === 0) {
+    logger.error('No enabled models produced a prediction', { homeTeam, awayTeam });
+    return null;
+  }
 
-  // Parse scores
-  const [eloHome, eloAway] = eloPrediction.predictedScore.split('-').map(Number);
-  const [effHome, effAway] = efficiencyPrediction.predictedScore.split('-').map(Number);
+  // Re-normalize weights over the models that actually ran
+  const totalWeight = modelNames.reduce((sum, name) => sum + configuredWeights[name], 0);
+  const weights = Object.fromEntries(
+    modelNames.map(name => [name, totalWeight > 0 ? configuredWeights[name] / totalWeight : 1 / modelNames.length])
+  );
 
   // Weighted average scores
-  const finalHomeScore = Math.round(eloHome * eloWeight + effHome * efficiencyWeight);
-  const finalAwayScore = Math.round(eloAway * eloWeight + effAway * efficiencyWeight);
+  const blendedHome = modelNames.reduce((sum, name) => sum + outputs[name].homeScore * weights[name], 0);
+  const blendedAway = modelNames.reduce((sum, name) => sum + outputs[name].awayScore * weights[name], 0);
+  const finalHomeScore = Math.round(blendedHome);
+  const finalAwayScore = Math.round(blendedAway);
+  const spread = blendedHome - blendedAway;
+  const total = blendedHome + blendedAway;
+
+  // Calibrated win probability from the blended spread
+  const homeWinProb = spreadToWinProbability(spread, calibration);
 
-  // Determine final winner
-  const finalWinner = finalHomeScore > finalAwayScore ? homeTeam : awayTeam;
+  // Determine final winner and confidence from the probability
+  const finalWinner = homeWinProb >= 0.5 ? homeTeam : awayTeam;
+  const finalConfidence = getConfidenceFromProbability(homeWinProb);
 
-  // Determine confidence (use stricter of the two models)
-  const confidenceLevels = { high: 3, medium: 2, low: 1 };
-  const eloConfLevel = confidenceLevels[eloPrediction.confidence];
-  const effConfLevel = confidenceLevels[efficiencyPrediction.confidence];
-  const finalConfLevel = Math.min(eloConfLevel, effConfLevel);
+  const models = {};
+  modelNames.forEach(name => {
+    models[name] = summarizeModel(game, outputs[name], weights[name]);
+  });
+
+  // Spread and total against the market lines (game.lines), if posted
+  const market = linesModel.predictAgainstLines({ spread, total, homeTeam, awayTeam }, game.lines, calibration);
 
-  let finalConfidence = 'low';
-  if (finalConfLevel === 3) finalConfidence = 'high';
-  else if (finalConfLevel === 2) finalConfidence = 'medium';
+  // Moneyline value and suggested stake, if both prices are posted
+  const moneyline = betting.evaluateMoneyline(homeWinProb, game.lines, config.betting || DEFAULT_CONFIG.betting);
 
   return {
     id: game.id,
     gameDate: game.date,
+    seasonType: game.seasonType ?? SEASON_TYPES.REGULAR,
+    week: game.week ?? null,
+    round: game.round ?? null,
+    neutralSite: Boolean(game.neutralSite),
     homeTeam,
     awayTeam,
     predictedWinner: finalWinner,
     predictedScore: `${finalHomeScore}-${finalAwayScore}`,
-    spread: finalHomeScore - finalAwayScore,
+    spread: parseFloat(spread.toFixed(1)),
+    total: parseFloat(total.toFixed(1)),
+    homeWinProbability: parseFloat((homeWinProb * 100).toFixed(1)),
+    awayWinProbability: parseFloat(((1 - homeWinProb) * 100).toFixed(1)),
     confidence: finalConfidence,
+    lines: market?.lines || null,
+    ats: market?.ats || null,
+    overUnder: market?.overUnder || null,
+    moneyline,
     timestamp: new Date().toISOString(),
     checked: false,
     models: {
-      elo: {
-        winner: eloPrediction.predictedWinner,
-        score: eloPrediction.predictedScore,
-        confidence: eloPrediction.confidence,
-        homeWinProb: eloPrediction.homeWinProbability.toFixed(1),
-        awayWinProb: eloPrediction.awayWinProbability.toFixed(1)
+      ...models,
+      injuries: {
+        home: {
+          adjustment: parseFloat(injuryAdjustment.home.points.toFixed(1)),
+          players: injuryAdjustment.home.players
+        },
+        away: {
+          adjustment: parseFloat(injuryAdjustment.away.points.toFixed(1)),
+          players: injuryAdjustment.away.players
+        },
+        netHomeAdjustment: parseFloat(injuryAdjustment.net.toFixed(1))
       },
-      efficiency: {
-        winner: efficiencyPrediction.predictedWinner,
-        score: efficiencyPrediction.predictedScore,
-        confidence: efficiencyPrediction.confidence
-      }
+      ...(qbAdjustments ? {
+        quarterbacks: {
+          home: qbAdjustments[homeTeam] || null,
+          away: qbAdjustments[awayTeam] || null
+        }
+      } : {})
     }
   };
 }
@@ -108,59 +177,110 @@ export function predictGames(games, context) {
 
 /**
  * Check prediction result
+ * Ties are graded as neither correct nor incorrect (correct: null).
+ * ATS and over/under picks are graded when the prediction has lines,
+ * and a suggested moneyline bet is settled.
  */
 export function checkPrediction(prediction, actualResult) {
-  const actualWinner = actualResult.homeScore > actualResult.awayScore
-    ? actualResult.homeTeam
-    : actualResult.awayTeam;
+  const tie = actualResult.homeScore === actualResult.awayScore;
 
-  const correct = prediction.predictedWinner === actualWinner;
+  let actualWinner = null;
+  if (!tie) {
+    actualWinner = actualResult.homeScore > actualResult.awayScore
+      ? actualResult.homeTeam
+      : actualResult.awayTeam;
+  }
+
+  const correct = tie ? null : prediction.predictedWinner === actualWinner;
 
   const [predHome, predAway] = prediction.predictedScore.split('-').map(Number);
   const scoreError = Math.abs(predHome - actualResult.homeScore) + Math.abs(predAway - actualResult.awayScore);
 
+  const { ats, overUnder } = linesModel.gradeLines(prediction, actualResult.homeScore, actualResult.awayScore);
+
   return {
     ...prediction,
     checked: true,
     correct,
+    tie,
     actualWinner,
     actualScore: `${actualResult.homeScore}-${actualResult.awayScore}`,
     scoreError,
+    ats: ats || prediction.ats || null,
+    overUnder: overUnder || prediction.overUnder || null,
+    moneyline: betting.gradeBet(prediction.moneyline, actualResult.homeScore, actualResult.awayScore),
     checkedAt: new Date().toISOString()
   };
 }
 
+/**
+ * Check whether a checked prediction was a tie
+ */
+function isTie(prediction) {
+  if (prediction.tie !== undefined) return prediction.tie;
+  if (!prediction.actualScore) return false;
+
+  const [home, away] = prediction.actualScore.split('-').map(Number);
+  return home === away;
+}
+
 /**
  * Calculate prediction accuracy stats
+ * Ties are reported separately and excluded from accuracy. Also reports
+ * Brier score, log loss, calibration, spread/total error, a per-model
+ * breakdown (blend and each sub-model in prediction.models) and
+ * against-the-spread / over-under records. Suggested moneyline bets are
+ * replayed in game order on a simulated bankroll (bettingSettings).
  */
-export function calculateAccuracy(predictions) {
-  const total = predictions.length;
-  const correct = predictions.filter(p => p.correct).length;
+export function calculateAccuracy(predictions, bettingSettings = DEFAULT_CONFIG.betting) {
+  const ties = predictions.filter(isTie);
+  const graded = predictions.filter(p => !isTie(p));
+
+  const total = graded.length;
+  const correct = graded.filter(p => p.correct).length;
   const accuracy = total > 0 ? (correct / total) * 100 : 0;
 
   // Accuracy by confidence level
   const byConfidence = {};
   ['high', 'medium', 'low'].forEach(level => {
-    const levelPreds = predictions.filter(p => p.confidence === level);
+    const levelPreds = graded.filter(p => p.confidence === level);
     const levelCorrect = levelPreds.filter(p => p.correct).length;
     byConfidence[level] = {
       total: levelPreds.length,
       correct: levelCorrect,
+      ties: ties.filter(p => p.confidence === level).length,
       accuracy: levelPreds.length > 0 ? (levelCorrect / levelPreds.length) * 100 : 0
     };
   });
 
-  // Average score error
+  // Average score error (all games, including ties)
   const totalScoreError = predictions.reduce((sum, p) => sum + (p.scoreError || 0), 0);
-  const avgScoreError = total > 0 ? totalScoreError / total : 0;
+  const avgScoreError = predictions.length > 0 ? totalScoreError / predictions.length : 0;
+
+  // Probabilistic and spread/total metrics for the blend and each sub-model
+  const withScores = predictions.filter(p => p.actualScore);
+  const blend = metrics.calculateForecastMetrics(withScores, metrics.getBlendForecast);
+  const byModel = { blend };
+  metrics.getRecordedModels(withScores).forEach(name => {
+    byModel[name] = metrics.calculateForecastMetrics(withScores, result => metrics.getModelForecast(result, name));
+  });
 
   return {
     total,
     correct,
     incorrect: total - correct,
+    ties: ties.length,
     accuracy: accuracy.toFixed(1),
     byConfidence,
-    avgScoreError: avgScoreError.toFixed(1)
+    avgScoreError: avgScoreError.toFixed(1),
+    brierScore: blend.brierScore,
+    logLoss: blend.logLoss,
+    calibration: blend.calibration,
+    spread: blend.spread,
+    totalPoints: blend.totalPoints,
+    byModel,
+    ...linesModel.calculateLineAccuracy(predictions),
+    bankroll: betting.simulateBankroll(predictions, bettingSettings)
   };
 }
 
@@ -0,0 +1,204 @@
+/**
+ * NFLv2 - Quarterback Model
+ * Per-QB value from boxscore passing and rushing production, and the Elo
+ * adjustment for teams starting someone other than their usual quarterback
+ *
+ * A team's starter in a game is its player with the most pass attempts (ESPN's
+ * boxscore passing category; its athletes rarely carry a position). Each QB's
+ * value is their average per-start value, shrunk toward replacement level by
+ * PRIOR_STARTS. The usual starter is the QB with the most starts in the
+ * team's last USUAL_STARTER_GAMES games; the expected starter is the last
+ * game's starter unless manual-starters.json names someone else.
+ */
+
+import { QB_CONSTANTS } from '../core/constants.js';
+import { getTeamKeys } from './injuries.js';
+import { clamp, round } from '../utils/math.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Value of one QB game line (QB_CONSTANTS.VALUE_WEIGHTS)
+ */
+export function calculateQbGameValue(stats) {
+  return Object.entries(QB_CONSTANTS.VALUE_WEIGHTS)
+    .reduce((sum, [field, weight]) => sum + (stats?.[field] || 0) * weight, 0);
+}
+
+/**
+ * Starting QB of every team game, from aggregated player stats
+ * playerSets: [{ playerId: player }] (aggregatePlayerStats output, e.g. one
+ * per season). Returns { team: [{ gameId, date, playerId, name, value }] }
+ * in date order
+ */
+export function getTeamStarts(playerSets) {
+  const games = new Map(); // `${team}|${gameId}` -> start
+
+  playerSets.forEach(players => {
+    Object.values(players || {}).forEach(player => {
+      (player.gameLog || []).forEach(game => {
+        const attempts = game.passingAttempts || 0;
+        if (attempts === 0) return;
+
+        const key = `${game.team}|${game.gameId}`;
+        const current = games.get(key);
+        if (current && current.attempts >= attempts) return;
+
+        games.set(key, {
+          team: game.team,
+          gameId: game.gameId,
+          date: game.date,
+          playerId: player.playerId,
+          name: player.name,
+          attempts,
+          value: calculateQbGameValue(game)
+        });
+      });
+    });
+  });
+
+  const starts = {};
+  [...games.values()]
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))
+    .forEach(({ team, attempts, ...start }) => {
+      (starts[team] ||= []).push(start);
+    });
+
+  return starts;
+}
+
+/**
+ * Per-QB ratings from team starts
+ * Returns { playerId: { playerId, name, starts, value } }
+ */
+export function buildQbRatings(teamStarts) {
+  const ratings = {};
+
+  Object.values(teamStarts).flat().forEach(start => {
+    const rating = ratings[start.playerId] ||= { playerId: start.playerId, name: start.name, starts: 0, total: 0 };
+    rating.starts++;
+    rating.total += start.value;
+  });
+
+  return Object.fromEntries(Object.entries(ratings).map(([playerId, { total, ...rating }]) => {
+    const prior = QB_CONSTANTS.PRIOR_STARTS;
+    const value = (total + prior * QB_CONSTANTS.REPLACEMENT_VALUE) / (rating.starts + prior);
+    return [playerId, { ...rating, value: round(value, 1) }];
+  }));
+}
+
+/**
+ * QB with the most starts in a team's recent games (ties go to the most
+ * recent starter)
+ */
+function getUsualStarter(starts) {
+  const recent = starts.slice(-QB_CONSTANTS.USUAL_STARTER_GAMES);
+  const counts = new Map();
+  recent.forEach(start => counts.set(start.playerId, (counts.get(start.playerId) || 0) + 1));
+
+  let usual = null;
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const { playerId } = recent[i];
+    if (!usual || counts.get(playerId) > counts.get(usual)) usual = playerId;
+  }
+  return usual;
+}
+
+/**
+ * Find a team's manual starter override
+ * Values are a player name or ESPN id, or { name, playerId }
+ */
+export function getManualStarter(overrides, team) {
+  const key = getTeamKeys(team).find(k => overrides?.[k]);
+  if (!key) return null;
+
+  const entry = overrides[key];
+  if (typeof entry === 'string' || typeof entry === 'number') {
+    return { playerId: String(entry), name: String(entry) };
+  }
+  return {
+    playerId: entry.playerId ? String(entry.playerId) : null,
+    name: entry.name || null
+  };
+}
+
+/**
+ * Resolve a manual starter to a rated QB (replacement level if unknown)
+ */
+function resolveStarter(manual, ratings) {
+  const name = manual.name?.toLowerCase();
+  const rating = ratings[manual.playerId]
+    || Object.values(ratings).find(r => name && r.name?.toLowerCase() === name);
+
+  if (rating) return rating;
+  return { playerId: manual.playerId, name: manual.name, starts: 0, value: QB_CONSTANTS.REPLACEMENT_VALUE };
+}
+
+/**
+ * Format a rated QB for the adjustment record
+ */
+function describeStarter(rating) {
+  return { playerId: rating.playerId, name: rating.name, starts: rating.starts, value: rating.value };
+}
+
+/**
+ * QB Elo adjustment for every team with starts
+ * overrides: manual-starters.json ({ teamAbbrev: name | espnId | { name, playerId } })
+ * Returns { team: { usualStarter, expectedStarter, source, eloAdjustment } };
+ * source is 'manual' or 'boxscore' (last game's starter)
+ */
+export function calculateQbAdjustments(playerSets, { overrides = {} } = {}) {
+  const teamStarts = getTeamStarts(playerSets);
+  const ratings = buildQbRatings(teamStarts);
+  const adjustments = {};
+
+  Object.entries(teamStarts).forEach(([team, starts]) => {
+    const usual = ratings[getUsualStarter(starts)];
+    const manual = getManualStarter(overrides, team);
+    const expected = manual ? resolveStarter(manual, ratings) : ratings[starts[starts.length - 1].playerId];
+
+    const eloAdjustment = expected.playerId === usual.playerId
+      ? 0
+      : clamp((expected.value - usual.value) * QB_CONSTANTS.ELO_PER_VALUE, -QB_CONSTANTS.MAX_ELO_ADJUSTMENT, QB_CONSTANTS.MAX_ELO_ADJUSTMENT);
+
+    adjustments[team] = {
+      usualStarter: describeStarter(usual),
+      expectedStarter: describeStarter(expected),
+      source: manual ? 'manual' : 'boxscore',
+      eloAdjustment: round(eloAdjustment, 1)
+    };
+
+    if (eloAdjustment !== 0) {
+      logger.debug('QB adjustment', { team, usual: usual.name, expected: expected.name, elo: eloAdjustment.toFixed(1) });
+    }
+  });
+
+  return adjustments;
+}
+
+/**
+ * Injury points already charged for a team's usual starter (teamImpact from
+ * calculateTeamImpact, starter an adjustment's usualStarter). The Elo QB
+ * adjustment replaces them, so they are given back when the adjustment
+ * applies; injured backups keep their charge. Matched by ESPN id, or by name
+ * for injuries without one (manual entries).
+ */
+export function getQbInjuryPoints(teamImpact, starter) {
+  if (!starter) return 0;
+  const name = starter.name?.toLowerCase();
+
+  return (teamImpact?.players || [])
+    .filter(player => player.position === 'QB')
+    .filter(player => (player.espnId
+      ? String(player.espnId) === String(starter.playerId)
+      : Boolean(name) && player.name?.toLowerCase() === name))
+    .reduce((sum, player) => sum + player.impact, 0);
+}
+
+export default {
+  calculateQbGameValue,
+  getTeamStarts,
+  buildQbRatings,
+  getManualStarter,
+  calculateQbAdjustments,
+  getQbInjuryPoints
+};
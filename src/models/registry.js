@@ -0,0 +1,136 @@
+/**
+ * NFLv2 - Model Registry
+ * Registers prediction models for the unified predictor
+ *
+ * A model is an object exported as `model` from a module in src/models/:
+ *   {
+ *     name: 'elo',
+ *     description: '...',
+ *     predictGame(game, context) -> { homeScore, awayScore, homeWinProb, confidence?, details? } | null
+ *   }
+ * homeWinProb is a probability in [0, 1]. Models are blended when enabled in
+ * settings.json (models.<name>.enabled / weight).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { model as eloModel } from './elo.js';
+import { model as efficiencyModel } from './efficiency.js';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const models = new Map();
+
+/**
+ * Check that an object implements the model interface
+ */
+export function isModel(candidate) {
+  return Boolean(candidate) &&
+    typeof candidate.name === 'string' &&
+    candidate.name.length > 0 &&
+    typeof candidate.predictGame === 'function';
+}
+
+/**
+ * Register a model (replaces any model with the same name)
+ */
+export function registerModel(model) {
+  if (!isModel(model)) {
+    throw new Error('Invalid model: expected { name, predictGame(game, context) }');
+  }
+
+  if (models.has(model.name) && models.get(model.name) !== model) {
+    logger.warn('Replacing registered model', { model: model.name });
+  }
+
+  models.set(model.name, model);
+  return model;
+}
+
+/**
+ * Remove a model from the registry
+ */
+export function unregisterModel(name) {
+  return models.delete(name);
+}
+
+/**
+ * Get a registered model by name
+ */
+export function getModel(name) {
+  return models.get(name) || null;
+}
+
+/**
+ * List registered model names
+ */
+export function listModels() {
+  return Array.from(models.keys());
+}
+
+/**
+ * Import every module in src/models/ and register its exported `model`
+ */
+export async function discoverModels(dirPath = __dirname) {
+  const files = (await fs.readdir(dirPath)).filter(file => file.endsWith('.js'));
+  const discovered = [];
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(path.join(dirPath, file)).href);
+
+      if (isModel(module.model)) {
+        registerModel(module.model);
+        discovered.push(module.model.name);
+      }
+    } catch (error) {
+      logger.error('Failed to load model module', { file, error: error.message });
+    }
+  }
+
+  logger.debug('Discovered models', { models: discovered });
+  return discovered;
+}
+
+/**
+ * Validate a model's prediction output
+ */
+export function validateModelOutput(output) {
+  const errors = [];
+
+  if (!output) {
+    return { valid: false, errors: ['Model output is null or undefined'] };
+  }
+
+  ['homeScore', 'awayScore'].forEach(field => {
+    if (typeof output[field] !== 'number' || isNaN(output[field])) {
+      errors.push(`Invalid ${field}: ${output[field]}`);
+    }
+  });
+
+  if (typeof output.homeWinProb !== 'number' || output.homeWinProb < 0 || output.homeWinProb > 1) {
+    errors.push(`Invalid homeWinProb: ${output.homeWinProb}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+// Built-in models
+registerModel(eloModel);
+registerModel(efficiencyModel);
+
+export default {
+  isModel,
+  registerModel,
+  unregisterModel,
+  getModel,
+  listModels,
+  discoverModels,
+  validateModelOutput
+};
@@ -0,0 +1,132 @@
+/**
+ * NFLv2 - CLI Argument Helpers
+ * Shared parsing of workflow command-line arguments
+ */
+
+import { CURRENT_SEASON } from '../core/constants.js';
+import { validateSeason } from './validator.js';
+
+// Options that take a value (--name value or --name=value)
+const VALUE_OPTIONS = new Set(['config', 'season', 'seasons', 'search', 'trials', 'metric', 'params', 'seed', 'output', 'iterations']);
+
+/**
+ * Get the value of a named option (--name value or --name=value)
+ */
+export function getOption(name, argv = process.argv.slice(2)) {
+  const flag = `--${name}`;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      return argv[i + 1] ?? null;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a boolean flag is present (--name)
+ */
+export function hasFlag(name, argv = process.argv.slice(2)) {
+  return argv.includes(`--${name}`);
+}
+
+/**
+ * Check whether an option is a dotted config override (--models.elo.weight)
+ */
+export function isOverrideOption(arg) {
+  return /^--[\w-]+(?:\.[\w-]+)+(?:=|$)/.test(arg);
+}
+
+/**
+ * Get positional arguments (everything that is not an option or its value)
+ */
+export function getPositionalArgs(argv = process.argv.slice(2)) {
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg.startsWith('--')) {
+      if (!arg.includes('=') && (VALUE_OPTIONS.has(arg.slice(2)) || isOverrideOption(arg))) {
+        i++; // Skip option value
+      }
+      continue;
+    }
+
+    positional.push(arg);
+  }
+
+  return positional;
+}
+
+/**
+ * Get the season to run against (--season YYYY, defaults to current season)
+ */
+export function getSeason(argv = process.argv.slice(2)) {
+  const raw = getOption('season', argv);
+  if (raw === null) {
+    return CURRENT_SEASON;
+  }
+
+  const season = parseInt(raw);
+  const result = validateSeason(season);
+  if (!result.valid) {
+    throw new Error(`Invalid --season: ${result.errors.join('; ')}`);
+  }
+
+  return season;
+}
+
+/**
+ * Get a list of seasons (--seasons 2022,2023), ascending and de-duplicated
+ * Falls back to --season / the current season
+ */
+export function getSeasons(argv = process.argv.slice(2)) {
+  const raw = getOption('seasons', argv);
+  if (raw === null) {
+    return [getSeason(argv)];
+  }
+
+  const seasons = raw.split(',').map(s => parseInt(s.trim()));
+  seasons.forEach(season => {
+    const result = validateSeason(season);
+    if (!result.valid) {
+      throw new Error(`Invalid --seasons: ${result.errors.join('; ')}`);
+    }
+  });
+
+  return [...new Set(seasons)].sort((a, b) => a - b);
+}
+
+/**
+ * Get the random seed (--seed N, defaults to `fallback`, the current time
+ * unless given)
+ * 0 is a valid seed, so only a missing option falls back
+ */
+export function getSeed(argv = process.argv.slice(2), fallback = Date.now()) {
+  const raw = getOption('seed', argv);
+  if (raw === null) {
+    return fallback;
+  }
+
+  const seed = parseInt(raw);
+  if (Number.isNaN(seed)) {
+    throw new Error(`Invalid --seed: expected an integer, got ${raw}`);
+  }
+
+  return seed;
+}
+
+export default {
+  getOption,
+  hasFlag,
+  isOverrideOption,
+  getPositionalArgs,
+  getSeason,
+  getSeasons,
+  getSeed
+};
@@ -0,0 +1,170 @@
+/**
+ * NFLv2 - Drive Parser
+ * Normalizes the drives in ESPN game summaries (drives.previous)
+ *
+ * Every drive becomes:
+ *   { id, gameId, offense, defense, period, startYardLine, snaps, yards,
+ *     result, points, redZoneTrip, redZoneTouchdown, threeAndOut, turnover }
+ * startYardLine is the offense's own yard line at the first snap (1-99) and
+ * points what the offense scored on the drive (extra points included).
+ */
+
+import { NFL_TEAMS } from '../core/constants.js';
+import { logger } from './logger.js';
+
+// Drive results by ESPN result text, checked in order (first match wins)
+const DRIVE_RESULTS = [
+  ['interception', /interception|\bint\b/],
+  ['fumble', /fumble/],
+  ['touchdown', /touchdown|\btd\b/],
+  ['missedFieldGoal', /missed|blocked fg|blocked field goal/],
+  ['fieldGoal', /field goal|\bfg\b/],
+  ['punt', /punt/],
+  ['downs', /downs/],
+  ['safety', /safety/],
+  ['endOfHalf', /end of|kneel/]
+];
+
+const TURNOVER_RESULTS = new Set(['interception', 'fumble']);
+
+// Snaps inside this many yards of the goal make a red zone trip
+const RED_ZONE_YARDS = 20;
+
+/**
+ * Classify an ESPN drive result ("TD", "PUNT", "Missed FG", ...)
+ */
+export function classifyDriveResult(drive) {
+  const text = `${drive?.result || ''} ${drive?.displayResult || ''}`.toLowerCase();
+  const match = DRIVE_RESULTS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Positive integer or null
+ */
+function toCount(value) {
+  const num = parseInt(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * Offense's own yard line from a drive start text ("DAL 25", "50")
+ */
+function parseStartText(text, offenseAbbrev) {
+  const match = String(text || '').trim().match(/^(?:([A-Z]{2,3})\s+)?(\d{1,2})$/);
+  if (!match) return null;
+
+  const yardLine = parseInt(match[2]);
+  if (!match[1] || yardLine === 50) return yardLine;
+  return match[1] === offenseAbbrev ? yardLine : 100 - yardLine;
+}
+
+/**
+ * Parse every drive in a game summary, in game order
+ * Returns [] when the summary has no drives or teams
+ */
+export function parseDrives(summary) {
+  const competitors = summary?.header?.competitions?.[0]?.competitors || [];
+  const homeTeam = competitors.find(t => t.homeAway === 'home')?.team?.displayName;
+  const awayTeam = competitors.find(t => t.homeAway === 'away')?.team?.displayName;
+  const rawDrives = summary?.drives?.previous || [];
+
+  if (!NFL_TEAMS[homeTeam] || !NFL_TEAMS[awayTeam] || rawDrives.length === 0) {
+    return [];
+  }
+
+  const gameId = summary.header.id;
+  let homeScore = 0;
+  let awayScore = 0;
+
+  const drives = rawDrives.map(drive => {
+    const offense = drive.team?.displayName;
+    if (offense !== homeTeam && offense !== awayTeam) return null;
+
+    const defense = offense === homeTeam ? awayTeam : homeTeam;
+    const plays = drive.plays || [];
+    const snaps = plays.filter(play => toCount(play.start?.down));
+    const result = classifyDriveResult(drive);
+
+    // Points from the score before and after the drive
+    const scored = [...plays].reverse().find(play => typeof play.homeScore === 'number' && typeof play.awayScore === 'number');
+    const before = offense === homeTeam ? homeScore : awayScore;
+    if (scored) {
+      homeScore = scored.homeScore;
+      awayScore = scored.awayScore;
+    }
+    const points = Math.max(0, (offense === homeTeam ? homeScore : awayScore) - before);
+
+    const firstYardsToGoal = toCount(snaps[0]?.start?.yardsToEndzone);
+    const startYardLine = firstYardsToGoal && firstYardsToGoal < 100
+      ? 100 - firstYardsToGoal
+      : parseStartText(drive.start?.text, drive.team?.abbreviation);
+
+    const redZoneTrip = snaps.some(play => {
+      const yardsToGoal = toCount(play.start?.yardsToEndzone);
+      return yardsToGoal !== null && yardsToGoal <= RED_ZONE_YARDS;
+    });
+
+    return {
+      id: drive.id ?? null,
+      gameId,
+      offense,
+      defense,
+      period: drive.start?.period?.number ?? snaps[0]?.period?.number ?? null,
+      startYardLine,
+      snaps: snaps.length,
+      yards: typeof drive.yards === 'number' ? drive.yards : 0,
+      result,
+      points,
+      redZoneTrip,
+      redZoneTouchdown: redZoneTrip && result === 'touchdown',
+      // Punted without a new set of downs
+      threeAndOut: result === 'punt' && snaps.filter(play => toCount(play.start?.down) === 1).length <= 1,
+      turnover: TURNOVER_RESULTS.has(result)
+    };
+  }).filter(Boolean);
+
+  logger.debug('Parsed drives', { gameId, drives: drives.length });
+  return drives;
+}
+
+/**
+ * Per-team drive totals from one game's drives (for the team with the ball)
+ * Returns { team: { drives, drivePoints, driveStarts, driveStartYardLine,
+ * redZoneTrips, redZoneTouchdowns, threeAndOuts, driveTurnovers } }
+ */
+export function summarizeGameDrives(drives) {
+  const teams = {};
+
+  drives.forEach(drive => {
+    const totals = teams[drive.offense] ||= {
+      drives: 0,
+      drivePoints: 0,
+      driveStarts: 0,
+      driveStartYardLine: 0,
+      redZoneTrips: 0,
+      redZoneTouchdowns: 0,
+      threeAndOuts: 0,
+      driveTurnovers: 0
+    };
+
+    totals.drives++;
+    totals.drivePoints += drive.points;
+    if (drive.startYardLine) {
+      totals.driveStarts++;
+      totals.driveStartYardLine += drive.startYardLine;
+    }
+    if (drive.redZoneTrip) totals.redZoneTrips++;
+    if (drive.redZoneTouchdown) totals.redZoneTouchdowns++;
+    if (drive.threeAndOut) totals.threeAndOuts++;
+    if (drive.turnover) totals.driveTurnovers++;
+  });
+
+  return teams;
+}
+
+export default {
+  classifyDriveResult,
+  parseDrives,
+  summarizeGameDrives
+};
@@ -0,0 +1,133 @@
+/**
+ * NFLv2 - Math Utilities
+ * Shared probability helpers for the prediction models
+ */
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, max error ~1.5e-7)
+ */
+export function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ */
+export function normalCdf(x, mean = 0, stdDev = 1) {
+  return 0.5 * (1 + erf((x - mean) / (stdDev * Math.SQRT2)));
+}
+
+/**
+ * Clamp a value to a range
+ */
+export function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Round to a number of decimal places (returns a number)
+ */
+export function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Arithmetic mean (0 for an empty list)
+ */
+export function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), returns floats in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normal draw (Box-Muller) using a [0, 1) generator
+ */
+export function randomNormal(random, mean = 0, stdDev = 1) {
+  const u = 1 - random();
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * Returns null for a singular system
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Least squares fit of targets on feature rows (first feature = intercept)
+ * `ridge` penalizes every coefficient except the intercept
+ * Returns the coefficients, or null if they cannot be solved
+ */
+export function leastSquares(rows, targets, ridge = 0) {
+  if (rows.length === 0) return null;
+  const p = rows[0].length;
+  const XtX = Array.from({ length: p }, () => Array(p).fill(0));
+  const Xty = Array(p).fill(0);
+
+  rows.forEach((row, i) => {
+    for (let a = 0; a < p; a++) {
+      Xty[a] += row[a] * targets[i];
+      for (let b = 0; b < p; b++) XtX[a][b] += row[a] * row[b];
+    }
+  });
+
+  for (let a = 1; a < p; a++) XtX[a][a] += ridge;
+
+  return solveLinearSystem(XtX, Xty);
+}
+
+export default {
+  erf,
+  normalCdf,
+  clamp,
+  round,
+  mean,
+  createRandom,
+  randomNormal,
+  solveLinearSystem,
+  leastSquares
+};
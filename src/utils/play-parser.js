@@ -0,0 +1,201 @@
+/**
+ * NFLv2 - Play-by-Play Parser
+ * Normalizes the plays in ESPN game summaries (drives.previous[].plays)
+ *
+ * Every play becomes:
+ *   { id, gameId, driveId, sequence, period, clock, offense, defense,
+ *     down, distance, yardsToGoal, playType, yards, result, scoringTeam,
+ *     homeScore, awayScore }
+ * offense is the team with the ball at the snap, yardsToGoal its distance
+ * from the end zone (1-99) and clock the seconds left in the period.
+ * scoringTeam is set on scoring plays, so a pick-six counts for the defense.
+ */
+
+import { NFL_TEAMS } from '../core/constants.js';
+import { logger } from './logger.js';
+
+// Play types by ESPN type text, checked in order (first match wins)
+const PLAY_TYPES = [
+  ['kickoff', /kickoff/],
+  ['punt', /punt/],
+  ['extraPoint', /extra point/],
+  ['twoPoint', /two.?point|2pt/],
+  ['fieldGoal', /field goal/],
+  ['sack', /sack/],
+  ['pass', /pass|interception/],
+  ['rush', /rush/],
+  ['fumble', /fumble/],
+  ['penalty', /penalty/]
+];
+
+// Snaps that count as offensive plays for EPA
+export const SCRIMMAGE_TYPES = new Set(['pass', 'rush', 'sack', 'fumble']);
+
+/**
+ * Classify an ESPN play type ("Pass Reception", "Rushing Touchdown", ...)
+ * Timeouts, period ends and other non-plays are 'other'
+ */
+export function classifyPlayType(typeText) {
+  const text = String(typeText || '').toLowerCase();
+  const match = PLAY_TYPES.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Scoring play kind from ESPN's scoringType or play type text
+ */
+function getScoringKind(play, playType) {
+  const text = `${play.scoringType?.name || ''} ${play.scoringType?.displayName || ''} ${play.type?.text || ''}`.toLowerCase();
+
+  if (/touchdown/.test(text)) return 'touchdown';
+  if (/safety/.test(text)) return 'safety';
+  if (playType === 'extraPoint' || playType === 'twoPoint') return playType;
+  if (/field goal/.test(text)) return 'fieldGoal';
+  return null;
+}
+
+/**
+ * Parse a "mm:ss" clock into seconds
+ */
+function parseClock(clock) {
+  const match = String(clock?.displayValue ?? clock ?? '').match(/^(\d+):(\d{2})$/);
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Positive integer or null
+ */
+function toCount(value) {
+  const num = parseInt(value);
+  return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+/**
+ * Map ESPN team ids to display names from the summary header
+ */
+function getTeamIds(summary) {
+  const ids = {};
+  (summary.header?.competitions?.[0]?.competitors || []).forEach(competitor => {
+    if (competitor.team?.id) ids[String(competitor.team.id)] = competitor.team.displayName;
+  });
+  return ids;
+}
+
+/**
+ * Parse every play in a game summary, in game order
+ * Returns [] when the summary has no drives or teams
+ */
+export function parsePlays(summary) {
+  const competitors = summary?.header?.competitions?.[0]?.competitors || [];
+  const homeTeam = competitors.find(t => t.homeAway === 'home')?.team?.displayName;
+  const awayTeam = competitors.find(t => t.homeAway === 'away')?.team?.displayName;
+  const drives = summary?.drives?.previous || [];
+
+  if (!NFL_TEAMS[homeTeam] || !NFL_TEAMS[awayTeam] || drives.length === 0) {
+    return [];
+  }
+
+  const gameId = summary.header.id;
+  const teamIds = getTeamIds(summary);
+  const opponent = (team) => (team === homeTeam ? awayTeam : team === awayTeam ? homeTeam : null);
+
+  const raw = drives.flatMap(drive => (drive.plays || []).map(play => ({ drive, play })));
+  raw.sort((a, b) => (parseInt(a.play.sequenceNumber) || 0) - (parseInt(b.play.sequenceNumber) || 0));
+
+  let homeScore = 0;
+  let awayScore = 0;
+
+  const plays = raw.map(({ drive, play }) => {
+    const playType = classifyPlayType(play.type?.text);
+    const offense = teamIds[String(play.start?.team?.id)] || drive.team?.displayName || null;
+
+    // The scoring team is whoever's score went up on this play
+    const nextHome = typeof play.homeScore === 'number' ? play.homeScore : homeScore;
+    const nextAway = typeof play.awayScore === 'number' ? play.awayScore : awayScore;
+    const homePoints = nextHome - homeScore;
+    const awayPoints = nextAway - awayScore;
+    homeScore = nextHome;
+    awayScore = nextAway;
+
+    const scoringKind = play.scoringPlay ? getScoringKind(play, playType) : null;
+    let scoringTeam = null;
+    if (scoringKind) {
+      scoringTeam = homePoints > awayPoints ? homeTeam : awayPoints > homePoints ? awayTeam : null;
+    }
+
+    const down = toCount(play.start?.down);
+    const distance = toCount(play.start?.distance);
+    const yardsToGoal = toCount(play.start?.yardsToEndzone);
+    const yards = typeof play.statYardage === 'number' ? play.statYardage : 0;
+    const text = String(play.type?.text || '').toLowerCase();
+
+    let result = 'none';
+    if (scoringKind) {
+      result = scoringKind;
+    } else if (/interception|opponent/.test(text)) {
+      result = 'turnover';
+    } else if (SCRIMMAGE_TYPES.has(playType) && distance && yards >= distance) {
+      result = 'firstDown';
+    } else if (SCRIMMAGE_TYPES.has(playType) && down === 4) {
+      result = 'turnoverOnDowns';
+    }
+
+    return {
+      id: play.id,
+      gameId,
+      driveId: drive.id ?? null,
+      sequence: parseInt(play.sequenceNumber) || 0,
+      period: play.period?.number ?? null,
+      clock: parseClock(play.clock),
+      offense,
+      defense: opponent(offense),
+      down,
+      distance,
+      yardsToGoal: yardsToGoal && yardsToGoal < 100 ? yardsToGoal : null,
+      playType,
+      yards,
+      result,
+      scoringTeam,
+      homeScore,
+      awayScore
+    };
+  });
+
+  logger.debug('Parsed plays', { gameId, plays: plays.length });
+  return plays;
+}
+
+/**
+ * Whether a play has a usable down, distance and field position
+ */
+export function hasGameState(play) {
+  return Boolean(play.offense && play.defense && play.down && play.down <= 4 && play.distance && play.yardsToGoal);
+}
+
+/**
+ * Touchdowns scored by each team in a game's plays (offense, defense and
+ * special teams), with 0 for a team that didn't score one
+ * Returns { team: touchdowns }, {} without plays
+ */
+export function countTouchdowns(plays) {
+  const touchdowns = {};
+
+  plays.forEach(play => {
+    [play.offense, play.defense].forEach(team => {
+      if (team) touchdowns[team] ||= 0;
+    });
+    if (play.result === 'touchdown' && play.scoringTeam) {
+      touchdowns[play.scoringTeam] = (touchdowns[play.scoringTeam] || 0) + 1;
+    }
+  });
+
+  return touchdowns;
+}
+
+export default {
+  SCRIMMAGE_TYPES,
+  classifyPlayType,
+  parsePlays,
+  hasGameState,
+  countTouchdowns
+};
@@ -0,0 +1,189 @@
+/**
+ * NFLv2 - Player Stats Parser
+ * Per-player game lines from ESPN boxscores (boxscore.players) and season
+ * aggregates
+ *
+ * Players are keyed by ESPN athlete id; sleeperId links them to Sleeper's
+ * player database (injuries, depth charts) when the id map has them.
+ */
+
+import { PLAYER_STAT_SCHEMA, NFL_TEAMS, SEASON_TYPES } from '../core/constants.js';
+import { parseStatValue, getGameContext } from './stats-parser.js';
+import { clamp } from './math.js';
+import { logger } from './logger.js';
+
+const STAT_FIELDS = Object.values(PLAYER_STAT_SCHEMA).flatMap(category =>
+  Object.values(category).flatMap(entry => entry.fields)
+);
+
+/**
+ * Empty stat totals (every PLAYER_STAT_SCHEMA field at 0)
+ */
+function createTotals() {
+  return Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+}
+
+/**
+ * Add one category's stat values for an athlete to a line (mutates)
+ */
+function addCategoryStats(line, category, keys, values) {
+  const schema = PLAYER_STAT_SCHEMA[category];
+
+  keys.forEach((key, index) => {
+    const entry = schema[key];
+    if (!entry) return;
+
+    const value = parseStatValue(values[index], entry.type);
+    if (value === null) return;
+
+    if (entry.type === 'pair') {
+      entry.fields.forEach((field, i) => {
+        line.stats[field] += value[i];
+      });
+    } else {
+      line.stats[entry.fields[0]] += value;
+    }
+  });
+}
+
+/**
+ * Parse per-player game lines from a game summary
+ * Returns [{ playerId, name, position, team, opponent, gameId, date, week,
+ * seasonType, stats: { completions, passingYards, ... } }] ([] for preseason
+ * or summaries without player stats)
+ */
+export function parsePlayerStats(summary) {
+  const groups = summary?.boxscore?.players;
+  const header = summary?.header;
+  if (!Array.isArray(groups) || !header) return [];
+
+  const context = getGameContext(header);
+  if (context.seasonType === SEASON_TYPES.PRESEASON) return [];
+
+  const teams = groups.map(group => group.team?.displayName);
+  const lines = new Map();
+
+  groups.forEach(group => {
+    const team = group.team?.displayName;
+    if (!NFL_TEAMS[team]) return;
+    const opponent = teams.find(t => t !== team) || null;
+
+    (group.statistics || []).forEach(category => {
+      if (!PLAYER_STAT_SCHEMA[category.name]) return;
+
+      (category.athletes || []).forEach(({ athlete, stats }) => {
+        if (!athlete?.id || !Array.isArray(stats)) return;
+
+        const playerId = String(athlete.id);
+        if (!lines.has(playerId)) {
+          lines.set(playerId, {
+            playerId,
+            name: athlete.displayName || null,
+            position: athlete.position?.abbreviation || null,
+            team,
+            opponent,
+            gameId: header.id,
+            date: header.competitions?.[0]?.date || null,
+            week: context.week,
+            seasonType: context.seasonType,
+            stats: createTotals()
+          });
+        }
+
+        addCategoryStats(lines.get(playerId), category.name, category.keys || [], stats);
+      });
+    });
+  });
+
+  logger.debug('Parsed player stats', { gameId: header.id, players: lines.size });
+  return [...lines.values()];
+}
+
+/**
+ * NFL passer rating from passing totals (null without attempts)
+ */
+export function calculatePasserRating({ completions, passingAttempts, passingYards, passingTouchdowns, interceptionsThrown }) {
+  if (!passingAttempts) return null;
+
+  const part = (value) => clamp(value, 0, 2.375);
+  const a = part((completions / passingAttempts - 0.3) * 5);
+  const b = part((passingYards / passingAttempts - 3) * 0.25);
+  const c = part((passingTouchdowns / passingAttempts) * 20);
+  const d = part(2.375 - (interceptionsThrown / passingAttempts) * 25);
+
+  return ((a + b + c + d) / 6) * 100;
+}
+
+/**
+ * Season rates from totals (null when the denominator is 0)
+ */
+function getPlayerRates(totals) {
+  const ratio = (value, count) => (count > 0 ? value / count : null);
+
+  return {
+    completionPct: totals.passingAttempts > 0 ? (totals.completions / totals.passingAttempts) * 100 : null,
+    yardsPerAttempt: ratio(totals.passingYards, totals.passingAttempts),
+    passerRating: calculatePasserRating(totals),
+    yardsPerCarry: ratio(totals.rushingYards, totals.rushingAttempts),
+    yardsPerReception: ratio(totals.receivingYards, totals.receptions),
+    catchRate: totals.targets > 0 ? (totals.receptions / totals.targets) * 100 : null,
+    fieldGoalPct: totals.fieldGoalAttempts > 0 ? (totals.fieldGoalsMade / totals.fieldGoalAttempts) * 100 : null
+  };
+}
+
+/**
+ * Aggregate game lines into per-player season stats
+ * sleeperIds: { espnId: sleeperId }
+ * Returns { playerId: { playerId, sleeperId, name, position, team, games,
+ * totals, rates, gameLog } }; team and position come from the latest game
+ * and gameLog (non-zero stats per game) is in date order
+ */
+export function aggregatePlayerStats(gameLines, { sleeperIds = {} } = {}) {
+  const players = {};
+  const ordered = [...gameLines].sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+  ordered.forEach(line => {
+    const player = players[line.playerId] ||= {
+      playerId: line.playerId,
+      sleeperId: sleeperIds[line.playerId] || null,
+      name: line.name,
+      position: line.position,
+      team: line.team,
+      games: 0,
+      totals: createTotals(),
+      rates: null,
+      gameLog: []
+    };
+
+    player.name = line.name || player.name;
+    player.position = line.position || player.position;
+    player.team = line.team;
+    player.games++;
+    STAT_FIELDS.forEach(field => {
+      player.totals[field] += line.stats[field];
+    });
+
+    player.gameLog.push({
+      gameId: line.gameId,
+      date: line.date,
+      week: line.week,
+      seasonType: line.seasonType,
+      team: line.team,
+      opponent: line.opponent,
+      // Only the stats the player recorded, to keep logs small
+      ...Object.fromEntries(Object.entries(line.stats).filter(([, value]) => value !== 0))
+    });
+  });
+
+  Object.values(players).forEach(player => {
+    player.rates = getPlayerRates(player.totals);
+  });
+
+  return players;
+}
+
+export default {
+  parsePlayerStats,
+  calculatePasserRating,
+  aggregatePlayerStats
+};
@@ -3,25 +3,79 @@
  * Normalizes and parses ESPN boxscore statistics
  */
 
-import { STAT_NAMES, NFL_TEAMS, ABBREV_TO_NAME, ABBREV_ALTERNATES } from '../core/constants.js';
+import {
+  MODEL_CONSTANTS,
+  DEFAULT_RECENCY,
+  TEAM_STAT_SCHEMA,
+  NFL_TEAMS,
+  ABBREV_TO_NAME,
+  ABBREV_ALTERNATES,
+  SEASON_TYPES,
+  POSTSEASON_ROUNDS,
+  SUPER_BOWL_WEEK
+} from '../core/constants.js';
+import { parsePlays, countTouchdowns } from './play-parser.js';
+import { parseDrives, summarizeGameDrives } from './drive-parser.js';
 import { logger } from './logger.js';
 
+const normalizeKey = (raw) => String(raw).replace(/[^a-z0-9]/gi, '').toLowerCase();
+
+// Normalized ESPN stat names and labels -> schema key
+const STAT_LOOKUP = Object.entries(TEAM_STAT_SCHEMA).reduce((acc, [name, entry]) => {
+  acc[normalizeKey(name)] = name;
+  entry.labels.forEach(label => {
+    acc[normalizeKey(label)] = name;
+  });
+  return acc;
+}, {});
+
 /**
- * Normalize stat name to standard format
+ * Normalize a stat name or label to its TEAM_STAT_SCHEMA key
+ * Unknown stats keep their raw name
  */
 export function normalizeStatName(rawName) {
-  const normalized = rawName
-    .replace(/\s+/g, '')  // Remove spaces
-    .replace(/-/g, '')    // Remove dashes
-    .toLowerCase();
+  return STAT_LOOKUP[normalizeKey(rawName)] || rawName;
+}
 
-  return STAT_NAMES[normalized] || rawName;
+/**
+ * Split "a-b" or "a/b" into two numbers, or null
+ */
+function parsePair(value) {
+  const match = String(value).trim().match(/^(\d+)\s*[-/]\s*(\d+)$/);
+  return match ? [parseInt(match[1]), parseInt(match[2])] : null;
 }
 
 /**
- * Parse a single stat value (handles "X-Y" format for attempts)
+ * Parse a single stat value
+ * With a schema type the value is parsed as that type (null if it does not
+ * fit); without one the format is guessed ("X-Y" attempts, "40%", "mm:ss")
  */
-export function parseStatValue(value) {
+export function parseStatValue(value, type = null) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'number': {
+      const num = typeof value === 'number' ? value : parseFloat(value);
+      return isNaN(num) ? null : num;
+    }
+    case 'ratio': {
+      const pair = parsePair(value);
+      if (!pair) return null;
+      const [made, attempts] = pair;
+      return { made, attempts, percentage: attempts > 0 ? (made / attempts) * 100 : 0 };
+    }
+    case 'pair':
+      return parsePair(value);
+    case 'time': {
+      const match = String(value).match(/^(\d+):(\d{2})$/);
+      return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    }
+    default:
+      break;
+  }
+
   if (typeof value === 'number') {
     return value;
   }
@@ -58,6 +112,8 @@ export function parseStatValue(value) {
 
 /**
  * Parse boxscore statistics from ESPN API response
+ * Returns { teamName: { statName: value } }; stats in TEAM_STAT_SCHEMA are
+ * keyed by their ESPN name and parsed by type, others are guessed
  */
 export function parseBoxscoreStats(boxscore) {
   if (!boxscore || !boxscore.teams) {
@@ -73,12 +129,10 @@ export function parseBoxscoreStats(boxscore) {
 
     const teamData = {};
 
-    // Parse all stats
     team.statistics.forEach(stat => {
-      const normalizedName = normalizeStatName(stat.name || stat.label || '');
-      const value = parseStatValue(stat.displayValue || stat.value);
-
-      teamData[normalizedName] = value;
+      const name = normalizeStatName(stat.name || stat.label || '');
+      const schema = TEAM_STAT_SCHEMA[name];
+      teamData[name] = parseStatValue(stat.displayValue ?? stat.value, schema?.type);
     });
 
     stats[teamName] = teamData;
@@ -87,9 +141,43 @@ export function parseBoxscoreStats(boxscore) {
   return stats;
 }
 
+/**
+ * Map one team's parsed boxscore stats onto the schema fields
+ * Returns { line, missing } where missing lists absent or unparseable stats
+ */
+function buildTeamStatLine(parsed) {
+  const line = {};
+  const missing = [];
+
+  Object.entries(TEAM_STAT_SCHEMA).forEach(([name, { type, fields }]) => {
+    const value = parsed[name];
+    if (value === null || value === undefined) {
+      missing.push(name);
+    }
+
+    if (type === 'pair') {
+      fields.forEach((field, index) => {
+        line[field] = value ? value[index] : 0;
+      });
+    } else if (type === 'ratio') {
+      line[fields[0]] = value || null;
+    } else {
+      line[fields[0]] = value ?? 0;
+    }
+  });
+
+  // Older boxscores can lack the turnover total
+  if (parsed.turnovers == null && (parsed.fumblesLost != null || parsed.interceptions != null)) {
+    line.turnovers = line.fumblesLost + line.interceptions;
+  }
+
+  return { line, missing };
+}
 
 /**
  * Extract team statistics from game summary
+ * Each team gets every TEAM_STAT_SCHEMA field (0, or null for ratios, when
+ * missing); missing stats are logged
  */
 export function extractTeamStats(gameSummary) {
   if (!gameSummary) return null;
@@ -109,118 +197,318 @@ export function extractTeamStats(gameSummary) {
       return null;
     }
 
-    const [team1, team2] = teams;
-
-    return {
-      [team1]: {
-        passingYards: stats[team1].passingYards || 0,
-        rushingYards: stats[team1].rushingYards || 0,
-        totalYards: stats[team1].totalYards || 0,
-        turnovers: stats[team1].turnovers || 0,
-        thirdDownEff: stats[team1].thirdDownEff || null,
-        redZoneEff: stats[team1].redZoneEff || null,
-        possessionTime: stats[team1].possessionTime || 0,
-        sacks: stats[team1].sacks || 0
-      },
-      [team2]: {
-        passingYards: stats[team2].passingYards || 0,
-        rushingYards: stats[team2].rushingYards || 0,
-        totalYards: stats[team2].totalYards || 0,
-        turnovers: stats[team2].turnovers || 0,
-        thirdDownEff: stats[team2].thirdDownEff || null,
-        redZoneEff: stats[team2].redZoneEff || null,
-        possessionTime: stats[team2].possessionTime || 0,
-        sacks: stats[team2].sacks || 0
+    const extracted = {};
+    teams.forEach(teamName => {
+      const { line, missing } = buildTeamStatLine(stats[teamName]);
+      if (missing.length > 0) {
+        logger.warn('Missing boxscore stats', { gameId: gameSummary.header?.id, team: teamName, missing });
       }
-    };
+      extracted[teamName] = line;
+    });
+
+    return extracted;
   } catch (error) {
     logger.error('Failed to extract team stats', { error: error.message });
     return null;
   }
 }
 
+// Play-by-play totals (EPA and drives), kept for the team and, from the
+// opponent's side of the game, as `...Allowed`
+const PLAY_BY_PLAY_FIELDS = [
+  'epaPlays',
+  'epa',
+  'successfulPlays',
+  'epaPassPlays',
+  'passEpa',
+  'epaRushPlays',
+  'rushEpa',
+  'drives',
+  'drivePoints',
+  'driveStarts',
+  'driveStartYardLine',
+  'redZoneTrips',
+  'redZoneTouchdowns',
+  'threeAndOuts',
+  'driveTurnovers'
+];
+
+// Running totals kept per team (each game's line adds to these)
+const TOTAL_FIELDS = [
+  'passingYards',
+  'rushingYards',
+  'totalYards',
+  'totalPlays',
+  'rushingAttempts',
+  'firstDowns',
+  'turnovers',
+  'interceptions',
+  'fumblesLost',
+  'thirdDownAttempts',
+  'thirdDownConversions',
+  'redZoneAttempts',
+  'redZoneScores',
+  'possessionTime',
+  'sacks',
+  'sackYards',
+  'penalties',
+  'penaltyYards',
+  'pointsFor',
+  'pointsAgainst',
+  'passingYardsAllowed',
+  'rushingYardsAllowed',
+  'totalYardsAllowed',
+  'totalPlaysAllowed',
+  'rushingAttemptsAllowed',
+  'wins',
+  'losses',
+  'ties',
+  ...PLAY_BY_PLAY_FIELDS,
+  ...PLAY_BY_PLAY_FIELDS.map(field => `${field}Allowed`)
+];
+
 /**
- * Aggregate statistics across multiple games
+ * Create empty running totals for every team
  */
-export function aggregateStats(gameStats) {
+export function createTeamAggregates() {
   const teamAggregates = {};
 
-  // Initialize all teams
   Object.keys(NFL_TEAMS).forEach(teamName => {
     teamAggregates[teamName] = {
       games: 0,
-      passingYards: 0,
-      rushingYards: 0,
-      totalYards: 0,
-      turnovers: 0,
-      thirdDownAttempts: 0,
-      thirdDownConversions: 0,
-      redZoneAttempts: 0,
-      redZoneScores: 0,
-      possessionTime: 0,
-      sacks: 0,
-      pointsFor: 0,
-      pointsAgainst: 0,
-      wins: 0,
-      losses: 0
+      ...Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0])),
+      // Games against each opponent, for schedule adjustments
+      opponents: {},
+      // Per-game lines, for recency weighting (not part of finalized stats)
+      gameLog: []
     };
   });
 
-  // Aggregate each game
-  gameStats.forEach(game => {
-    const teams = Object.keys(game.stats || {});
+  return teamAggregates;
+}
 
-    teams.forEach(teamName => {
-      if (!teamAggregates[teamName]) {
-        logger.warn('Unknown team in game stats', { teamName });
-        return;
-      }
+/**
+ * One team's contribution from a game: { opponent, ...TOTAL_FIELDS }
+ */
+function getGameLine(game, teamName, opponentName) {
+  const stats = game.stats[teamName];
+  const allowed = (opponentName && game.stats[opponentName]) || {};
+
+  const line = {
+    opponent: opponentName || null,
+    passingYards: stats.passingYards || 0,
+    rushingYards: stats.rushingYards || 0,
+    totalYards: stats.totalYards || 0,
+    totalPlays: stats.totalPlays || 0,
+    rushingAttempts: stats.rushingAttempts || 0,
+    firstDowns: stats.firstDowns || 0,
+    turnovers: stats.turnovers || 0,
+    interceptions: stats.interceptions || 0,
+    fumblesLost: stats.fumblesLost || 0,
+    sacks: stats.sacks || 0,
+    sackYards: stats.sackYards || 0,
+    penalties: stats.penalties || 0,
+    penaltyYards: stats.penaltyYards || 0,
+    possessionTime: stats.possessionTime || 0,
+    thirdDownConversions: 0,
+    thirdDownAttempts: 0,
+    redZoneScores: 0,
+    redZoneAttempts: 0,
+    // Yards and plays allowed come from the opponent's side of the boxscore
+    passingYardsAllowed: allowed.passingYards || 0,
+    rushingYardsAllowed: allowed.rushingYards || 0,
+    totalYardsAllowed: allowed.totalYards || 0,
+    totalPlaysAllowed: allowed.totalPlays || 0,
+    rushingAttemptsAllowed: allowed.rushingAttempts || 0,
+    pointsFor: 0,
+    pointsAgainst: 0,
+    wins: 0,
+    losses: 0,
+    ties: 0
+  };
 
-      const stats = game.stats[teamName];
-      const agg = teamAggregates[teamName];
-
-      agg.games++;
-      agg.passingYards += stats.passingYards || 0;
-      agg.rushingYards += stats.rushingYards || 0;
-      agg.totalYards += stats.totalYards || 0;
-      agg.turnovers += stats.turnovers || 0;
-      agg.sacks += stats.sacks || 0;
-      agg.possessionTime += stats.possessionTime || 0;
-
-      // Handle third down efficiency
-      if (stats.thirdDownEff && typeof stats.thirdDownEff === 'object') {
-        agg.thirdDownConversions += stats.thirdDownEff.made || 0;
-        agg.thirdDownAttempts += stats.thirdDownEff.attempts || 0;
-      }
+  // Play-by-play totals, when the summary had plays and drives
+  PLAY_BY_PLAY_FIELDS.forEach(field => {
+    line[field] = stats[field] || 0;
+    line[`${field}Allowed`] = allowed[field] || 0;
+  });
 
-      // Handle red zone efficiency
-      if (stats.redZoneEff && typeof stats.redZoneEff === 'object') {
-        agg.redZoneScores += stats.redZoneEff.made || 0;
-        agg.redZoneAttempts += stats.redZoneEff.attempts || 0;
-      }
+  // Handle third down efficiency
+  if (stats.thirdDownEff && typeof stats.thirdDownEff === 'object') {
+    line.thirdDownConversions = stats.thirdDownEff.made || 0;
+    line.thirdDownAttempts = stats.thirdDownEff.attempts || 0;
+  }
+
+  // Handle red zone efficiency
+  if (stats.redZoneEff && typeof stats.redZoneEff === 'object') {
+    line.redZoneScores = stats.redZoneEff.made || 0;
+    line.redZoneAttempts = stats.redZoneEff.attempts || 0;
+  }
+
+  // Add points and record
+  if (game.scores) {
+    line.pointsFor = game.scores[teamName] || 0;
+
+    if (opponentName) {
+      line.pointsAgainst = game.scores[opponentName] || 0;
 
-      // Add points and record
-      if (game.scores) {
-        agg.pointsFor += game.scores[teamName] || 0;
-
-        const opponent = teams.find(t => t !== teamName);
-        if (opponent) {
-          agg.pointsAgainst += game.scores[opponent] || 0;
-
-          // Determine win/loss
-          if (game.scores[teamName] > game.scores[opponent]) {
-            agg.wins++;
-          } else if (game.scores[teamName] < game.scores[opponent]) {
-            agg.losses++;
-          }
-        }
+      // Determine win/loss/tie
+      if (line.pointsFor > line.pointsAgainst) {
+        line.wins = 1;
+      } else if (line.pointsFor < line.pointsAgainst) {
+        line.losses = 1;
+      } else {
+        line.ties = 1;
       }
-    });
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Add a (weighted) game line to totals
+ */
+function addLine(totals, line, weight = 1) {
+  totals.games += weight;
+  TOTAL_FIELDS.forEach(field => {
+    totals[field] += line[field] * weight;
   });
 
-  // Calculate averages and percentages
-  Object.keys(teamAggregates).forEach(teamName => {
+  if (line.opponent) {
+    totals.opponents[line.opponent] = (totals.opponents[line.opponent] || 0) + weight;
+  }
+}
+
+/**
+ * Add one game's stats to running totals (mutates teamAggregates)
+ */
+export function addGameToAggregates(teamAggregates, game) {
+  const teams = Object.keys(game.stats || {});
+
+  teams.forEach(teamName => {
+    if (!teamAggregates[teamName]) {
+      logger.warn('Unknown team in game stats', { teamName });
+      return;
+    }
+
     const agg = teamAggregates[teamName];
+    const line = getGameLine(game, teamName, teams.find(t => t !== teamName));
+
+    addLine(agg, line);
+    agg.gameLog.push({ gameId: game.id ?? null, date: game.date || null, ...line });
+  });
+
+  return teamAggregates;
+}
+
+/**
+ * Weight of a game by recency (age 0 = most recent game)
+ *   exponential: halves every `halfLife` games
+ *   window:      1 for the last `window` games, 0 before
+ */
+export function getRecencyWeight(age, recency = DEFAULT_RECENCY) {
+  if (recency.method === 'window') {
+    return age < recency.window ? 1 : 0;
+  }
+  if (recency.method === 'exponential') {
+    return Math.pow(0.5, age / recency.halfLife);
+  }
+  return 1;
+}
+
+/**
+ * Recency-weighted totals rebuilt from each team's game log
+ */
+function getRecentTotals(teamAggregates, recency) {
+  const recent = {};
+
+  Object.entries(teamAggregates).forEach(([teamName, agg]) => {
+    const totals = { games: 0, ...Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0])), opponents: {} };
+    const log = [...(agg.gameLog || [])].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    log.forEach((line, age) => {
+      const weight = getRecencyWeight(age, recency);
+      if (weight > 0) addLine(totals, line, weight);
+    });
+
+    recent[teamName] = totals;
+  });
+
+  return recent;
+}
+
+/**
+ * Yards per play, rush and pass play for offense and defense
+ * Pass plays are total plays minus rushing attempts (dropbacks, so sacks
+ * count). Null when the boxscores carried no play counts.
+ */
+function getPerPlayStats(agg) {
+  const perPlay = (yards, plays) => (plays > 0 ? yards / plays : null);
+  const passPlays = agg.totalPlays - agg.rushingAttempts;
+  const passPlaysAllowed = agg.totalPlaysAllowed - agg.rushingAttemptsAllowed;
+
+  return {
+    yardsPerPlay: perPlay(agg.totalYards, agg.totalPlays),
+    yardsPerRush: perPlay(agg.rushingYards, agg.rushingAttempts),
+    yardsPerPass: perPlay(agg.passingYards, passPlays),
+    yardsPerPlayAllowed: perPlay(agg.totalYardsAllowed, agg.totalPlaysAllowed),
+    yardsPerRushAllowed: perPlay(agg.rushingYardsAllowed, agg.rushingAttemptsAllowed),
+    yardsPerPassAllowed: perPlay(agg.passingYardsAllowed, passPlaysAllowed)
+  };
+}
+
+/**
+ * EPA per play and success rate for offense and defense
+ * Null when no games had play-by-play
+ */
+function getEpaStats(agg) {
+  const perPlay = (value, plays) => (plays > 0 ? value / plays : null);
+
+  return {
+    epaPerPlay: perPlay(agg.epa, agg.epaPlays),
+    successRate: agg.epaPlays > 0 ? (agg.successfulPlays / agg.epaPlays) * 100 : null,
+    passEpaPerPlay: perPlay(agg.passEpa, agg.epaPassPlays),
+    rushEpaPerPlay: perPlay(agg.rushEpa, agg.epaRushPlays),
+    epaPerPlayAllowed: perPlay(agg.epaAllowed, agg.epaPlaysAllowed),
+    successRateAllowed: agg.epaPlaysAllowed > 0 ? (agg.successfulPlaysAllowed / agg.epaPlaysAllowed) * 100 : null,
+    passEpaPerPlayAllowed: perPlay(agg.passEpaAllowed, agg.epaPassPlaysAllowed),
+    rushEpaPerPlayAllowed: perPlay(agg.rushEpaAllowed, agg.epaRushPlaysAllowed)
+  };
+}
+
+/**
+ * Drive efficiency for offense and defense (defense: opponents' drives)
+ * Points per drive, average starting yard line, touchdowns per red zone
+ * trip, three-and-out and turnover rates (percent). Null without drive data
+ */
+function getDriveStats(agg) {
+  const ratio = (value, count) => (count > 0 ? value / count : null);
+  const pct = (value, count) => (count > 0 ? (value / count) * 100 : null);
+
+  return {
+    pointsPerDrive: ratio(agg.drivePoints, agg.drives),
+    avgDriveStart: ratio(agg.driveStartYardLine, agg.driveStarts),
+    redZoneTdPct: pct(agg.redZoneTouchdowns, agg.redZoneTrips),
+    threeAndOutPct: pct(agg.threeAndOuts, agg.drives),
+    driveTurnoverPct: pct(agg.driveTurnovers, agg.drives),
+    pointsPerDriveAllowed: ratio(agg.drivePointsAllowed, agg.drivesAllowed),
+    avgDriveStartAllowed: ratio(agg.driveStartYardLineAllowed, agg.driveStartsAllowed),
+    redZoneTdPctAllowed: pct(agg.redZoneTouchdownsAllowed, agg.redZoneTripsAllowed),
+    threeAndOutPctAllowed: pct(agg.threeAndOutsAllowed, agg.drivesAllowed),
+    driveTurnoverPctAllowed: pct(agg.driveTurnoversAllowed, agg.drivesAllowed)
+  };
+}
+
+/**
+ * Averages, percentages and opponent adjustments for a set of totals
+ */
+function summarizeTotals(totals) {
+  const summarized = {};
+
+  Object.keys(totals).forEach(teamName => {
+    const { gameLog, ...rest } = totals[teamName];
+    const agg = { ...rest, opponents: { ...rest.opponents } };
 
     if (agg.games > 0) {
       agg.avgPassingYards = agg.passingYards / agg.games;
@@ -228,70 +516,339 @@ export function aggregateStats(gameStats) {
       agg.avgTotalYards = agg.totalYards / agg.games;
       agg.avgPointsFor = agg.pointsFor / agg.games;
       agg.avgPointsAgainst = agg.pointsAgainst / agg.games;
+      agg.avgPassingYardsAllowed = agg.passingYardsAllowed / agg.games;
+      agg.avgRushingYardsAllowed = agg.rushingYardsAllowed / agg.games;
+      agg.avgTotalYardsAllowed = agg.totalYardsAllowed / agg.games;
+      agg.avgPlays = agg.totalPlays / agg.games;
+      agg.avgPlaysAllowed = agg.totalPlaysAllowed / agg.games;
       agg.thirdDownPct = agg.thirdDownAttempts > 0
         ? (agg.thirdDownConversions / agg.thirdDownAttempts) * 100
         : 0;
       agg.redZonePct = agg.redZoneAttempts > 0
         ? (agg.redZoneScores / agg.redZoneAttempts) * 100
         : 0;
+      Object.assign(agg, getPerPlayStats(agg), getEpaStats(agg), getDriveStats(agg));
     }
 
-    agg.record = `${agg.wins}-${agg.losses}`;
+    // Ties count as half a win
+    agg.winPct = agg.games > 0 ? (agg.wins + agg.ties * 0.5) / agg.games : 0;
+
+    summarized[teamName] = agg;
   });
 
-  return teamAggregates;
+  applyOpponentAdjustments(summarized);
+  return summarized;
+}
+
+/**
+ * Calculate averages and percentages from running totals
+ * Returns a new object; the running totals can keep accumulating.
+ * Each team also gets `recent`: the same stats with games weighted by
+ * recency (see getRecencyWeight), or null when recency.method is 'none'.
+ */
+export function finalizeAggregates(teamAggregates, { recency = DEFAULT_RECENCY } = {}) {
+  const finalized = summarizeTotals(teamAggregates);
+  const recent = recency.method !== 'none' ? summarizeTotals(getRecentTotals(teamAggregates, recency)) : null;
+
+  Object.keys(finalized).forEach(teamName => {
+    const agg = finalized[teamName];
+    agg.record = `${agg.wins}-${agg.losses}-${agg.ties}`;
+
+    if (recent) {
+      // Weighted games and results are fractional; no record string
+      const { opponents, ...form } = recent[teamName];
+      agg.recent = { method: recency.method, ...form };
+    } else {
+      agg.recent = null;
+    }
+  });
+
+  return finalized;
 }
 
 /**
- * Calculate team rankings based on aggregated stats
+ * Aggregate statistics across multiple games
+ */
+export function aggregateStats(gameStats, options = {}) {
+  const teamAggregates = createTeamAggregates();
+  gameStats.forEach(game => addGameToAggregates(teamAggregates, game));
+  return finalizeAggregates(teamAggregates, options);
+}
+
+// Stats adjusted for opponents: [for total, allowed total, adjusted for, adjusted allowed]
+const ADJUSTED_STATS = [
+  ['pointsFor', 'pointsAgainst', 'adjPointsFor', 'adjPointsAgainst'],
+  ['totalYards', 'totalYardsAllowed', 'adjTotalYards', 'adjTotalYardsAllowed'],
+  ['passingYards', 'passingYardsAllowed', 'adjPassingYards', 'adjPassingYardsAllowed'],
+  ['rushingYards', 'rushingYardsAllowed', 'adjRushingYards', 'adjRushingYardsAllowed']
+];
+
+/**
+ * Opponent-adjusted offense and defense for one stat (per game)
+ * Solves offense_i = avgFor_i - mean + avg opponent defense and
+ * defense_i = mean - avgAllowed_i + avg opponent offense iteratively, with
+ * SOS_PRIOR_GAMES of average play shrinking teams with few games.
+ * Returns { leagueMean, ratings: { team: { offense, defense } } } (per-game
+ * units above average; higher is better for both)
+ */
+export function calculateOpponentAdjustments(teamAggregates, forKey, allowedKey) {
+  const teams = Object.keys(teamAggregates).filter(team => teamAggregates[team].games > 0);
+  const totalGames = teams.reduce((sum, team) => sum + teamAggregates[team].games, 0);
+  if (totalGames === 0) return { leagueMean: 0, ratings: {} };
+
+  const leagueMean = teams.reduce((sum, team) => sum + teamAggregates[team][forKey], 0) / totalGames;
+  const prior = MODEL_CONSTANTS.SOS_PRIOR_GAMES;
+
+  let ratings = Object.fromEntries(teams.map(team => [team, { offense: 0, defense: 0 }]));
+
+  for (let iteration = 0; iteration < MODEL_CONSTANTS.SOS_MAX_ITERATIONS; iteration++) {
+    const next = {};
+
+    teams.forEach(team => {
+      const agg = teamAggregates[team];
+      let opponentDefense = 0;
+      let opponentOffense = 0;
+
+      Object.entries(agg.opponents || {}).forEach(([opponent, games]) => {
+        if (!ratings[opponent]) return;
+        opponentDefense += ratings[opponent].defense * games;
+        opponentOffense += ratings[opponent].offense * games;
+      });
+
+      next[team] = {
+        offense: (agg[forKey] - leagueMean * agg.games + opponentDefense) / (agg.games + prior),
+        defense: (leagueMean * agg.games - agg[allowedKey] + opponentOffense) / (agg.games + prior)
+      };
+    });
+
+    // Keep both sides centered on the league average
+    const offenseMean = teams.reduce((sum, team) => sum + next[team].offense, 0) / teams.length;
+    const defenseMean = teams.reduce((sum, team) => sum + next[team].defense, 0) / teams.length;
+    let maxChange = 0;
+    teams.forEach(team => {
+      next[team].offense -= offenseMean;
+      next[team].defense -= defenseMean;
+      maxChange = Math.max(
+        maxChange,
+        Math.abs(next[team].offense - ratings[team].offense),
+        Math.abs(next[team].defense - ratings[team].defense)
+      );
+    });
+
+    ratings = next;
+    if (maxChange < MODEL_CONSTANTS.SOS_TOLERANCE) break;
+  }
+
+  return { leagueMean, ratings };
+}
+
+/**
+ * Add opponent-adjusted per-game stats to finalized aggregates (mutates)
+ * adjPointsFor / adjPointsAgainst etc. are what a team would produce and
+ * allow against a league-average schedule
+ */
+function applyOpponentAdjustments(finalized) {
+  ADJUSTED_STATS.forEach(([forKey, allowedKey, adjustedFor, adjustedAllowed]) => {
+    const { leagueMean, ratings } = calculateOpponentAdjustments(finalized, forKey, allowedKey);
+
+    Object.entries(ratings).forEach(([team, rating]) => {
+      finalized[team][adjustedFor] = leagueMean + rating.offense;
+      finalized[team][adjustedAllowed] = leagueMean - rating.defense;
+    });
+  });
+}
+
+// Rankings: [name, per-game stat, opponent-adjusted stat, higher is better]
+const RANKINGS = [
+  ['offensive', 'avgTotalYards', 'adjTotalYards', true],
+  ['defensive', 'avgPointsAgainst', 'adjPointsAgainst', false],
+  ['scoringOffense', 'avgPointsFor', 'adjPointsFor', true],
+  ['totalDefense', 'avgTotalYardsAllowed', 'adjTotalYardsAllowed', false],
+  ['rushOffense', 'avgRushingYards', 'adjRushingYards', true],
+  ['rushDefense', 'avgRushingYardsAllowed', 'adjRushingYardsAllowed', false],
+  ['passOffense', 'avgPassingYards', 'adjPassingYards', true],
+  ['passDefense', 'avgPassingYardsAllowed', 'adjPassingYardsAllowed', false]
+];
+
+/**
+ * Calculate team rankings based on aggregated stats (1 = best)
+ * Offense ranks by what a team gains, defense by what it allows, using
+ * opponent-adjusted per-game stats when available
  */
 export function calculateRankings(teamAggregates) {
-  const teams = Object.keys(teamAggregates);
-
-  // Offensive rankings
-  const offensiveRank = teams
-    .filter(team => teamAggregates[team].games > 0)
-    .sort((a, b) => teamAggregates[b].avgTotalYards - teamAggregates[a].avgTotalYards)
-    .reduce((acc, team, index) => {
-      acc[team] = index + 1;
-      return acc;
-    }, {});
-
-  // Defensive rankings (lower points against = better)
-  const defensiveRank = teams
-    .filter(team => teamAggregates[team].games > 0)
-    .sort((a, b) => teamAggregates[a].avgPointsAgainst - teamAggregates[b].avgPointsAgainst)
-    .reduce((acc, team, index) => {
-      acc[team] = index + 1;
-      return acc;
-    }, {});
-
-  // Rush offense rankings
-  const rushOffenseRank = teams
-    .filter(team => teamAggregates[team].games > 0)
-    .sort((a, b) => teamAggregates[b].avgRushingYards - teamAggregates[a].avgRushingYards)
-    .reduce((acc, team, index) => {
-      acc[team] = index + 1;
-      return acc;
-    }, {});
-
-  // Pass defense rankings
-  const passDefenseRank = teams
-    .filter(team => teamAggregates[team].games > 0)
-    .sort((a, b) => teamAggregates[a].avgPassingYards - teamAggregates[b].avgPassingYards)
-    .reduce((acc, team, index) => {
-      acc[team] = index + 1;
-      return acc;
-    }, {});
+  const teams = Object.keys(teamAggregates).filter(team => teamAggregates[team].games > 0);
+  const rankings = {};
+
+  RANKINGS.forEach(([name, rawKey, adjustedKey, higherIsBetter]) => {
+    const value = (team) => {
+      const agg = teamAggregates[team];
+      return typeof agg[adjustedKey] === 'number' ? agg[adjustedKey] : agg[rawKey];
+    };
+
+    rankings[name] = [...teams]
+      .sort((a, b) => (higherIsBetter ? value(b) - value(a) : value(a) - value(b)))
+      .reduce((acc, team, index) => {
+        acc[team] = index + 1;
+        return acc;
+      }, {});
+  });
+
+  return rankings;
+}
+
+/**
+ * Build a game record (teams, scores, context, team stats) from a game summary
+ * Returns null for incomplete summaries, preseason and non-NFL (Pro Bowl) games
+ * Team stats include drive totals (drives, drivePoints, ...) and touchdowns
+ * (all phases, for the standings tiebreaker) when the summary has drives.
+ * `epa` ({ team: { epaPlays, epa, successfulPlays, ... } }, summarizeGameEpa
+ * of `plays`) is valued by the caller and merged in; pass the parsed `plays`
+ * to avoid parsing them twice
+ */
+export function parseGameRecord(summary, { plays = parsePlays(summary), epa = {} } = {}) {
+  const stats = extractTeamStats(summary);
+  if (!stats) return null;
+
+  const gameInfo = summary.header?.competitions?.[0];
+  if (!gameInfo) return null;
+
+  const teams = gameInfo.competitors;
+  if (!teams || teams.length !== 2) return null;
+
+  const homeTeam = teams.find(t => t.homeAway === 'home');
+  const awayTeam = teams.find(t => t.homeAway === 'away');
+  if (!homeTeam || !awayTeam) return null;
+
+  const homeName = homeTeam.team.displayName;
+  const awayName = awayTeam.team.displayName;
+  if (!NFL_TEAMS[homeName] || !NFL_TEAMS[awayName]) return null;
+
+  const context = getGameContext(summary.header);
+  if (context.seasonType === SEASON_TYPES.PRESEASON) return null;
+
+  const drives = summarizeGameDrives(parseDrives(summary));
+  const touchdowns = countTouchdowns(plays);
+  Object.keys(stats).forEach(teamName => {
+    stats[teamName] = { ...stats[teamName], ...epa[teamName], ...drives[teamName] };
+    if (teamName in touchdowns) stats[teamName].touchdowns = touchdowns[teamName];
+  });
 
   return {
-    offensive: offensiveRank,
-    defensive: defensiveRank,
-    rushOffense: rushOffenseRank,
-    passDefense: passDefenseRank
+    id: summary.header.id,
+    date: gameInfo.date,
+    week: context.week,
+    seasonType: context.seasonType,
+    neutralSite: context.neutralSite,
+    homeTeam: homeName,
+    awayTeam: awayName,
+    scores: {
+      [homeName]: parseInt(homeTeam.score) || 0,
+      [awayName]: parseInt(awayTeam.score) || 0
+    },
+    stats
   };
 }
 
+/**
+ * Get season type, week and site context for a game
+ * Accepts a scoreboard event or a summary header (both carry season/week)
+ */
+export function getGameContext(eventOrHeader) {
+  const seasonType = eventOrHeader?.season?.type ?? SEASON_TYPES.REGULAR;
+  const rawWeek = eventOrHeader?.week;
+  const week = (typeof rawWeek === 'object' ? rawWeek?.number : rawWeek) ?? null;
+  const isPostseason = seasonType === SEASON_TYPES.POSTSEASON;
+  const competition = eventOrHeader?.competitions?.[0];
+
+  return {
+    seasonType,
+    week,
+    isPostseason,
+    round: isPostseason ? (POSTSEASON_ROUNDS[week] || null) : null,
+    // ESPN flags international games; the Super Bowl is always neutral
+    neutralSite: Boolean(competition?.neutralSite) || (isPostseason && week === SUPER_BOWL_WEEK)
+  };
+}
+
+/**
+ * Parse an American odds value (-110, "+150", "EVEN")
+ */
+function parseAmericanOdds(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'string' && raw.trim().toUpperCase() === 'EVEN') return 100;
+
+  const odds = typeof raw === 'number' ? raw : parseFloat(String(raw).replace('+', ''));
+  return isNaN(odds) || odds === 0 ? null : odds;
+}
+
+/**
+ * Get the home team's spread from an ESPN odds entry (negative = home favored)
+ */
+function getHomeSpread(odds, homeAbbrev, awayAbbrev) {
+  const details = typeof odds.details === 'string' ? odds.details.trim().toUpperCase() : '';
+  if (details === 'EVEN' || details === 'PK' || details === 'PICK') return 0;
+
+  const raw = typeof odds.spread === 'number' ? odds.spread : parseFloat(odds.spread);
+  if (isNaN(raw)) return null;
+
+  const magnitude = Math.abs(raw);
+  if (odds.homeTeamOdds?.favorite === true) return -magnitude;
+  if (odds.awayTeamOdds?.favorite === true) return magnitude;
+
+  // "KC -3.5": the listed team is favored
+  const favorite = normalizeAbbrev(details.split(' ')[0]);
+  if (favorite && favorite === homeAbbrev) return -magnitude;
+  if (favorite && favorite === awayAbbrev) return magnitude;
+
+  // ESPN's spread field is quoted for the home team
+  return raw;
+}
+
+/**
+ * Extract betting lines from a scoreboard event (competitions[0].odds)
+ * or a game summary (pickcenter)
+ * Returns { spread, total, homeMoneyline, awayMoneyline, provider } with the
+ * spread from the home team's perspective, or null when no line is posted
+ */
+export function extractLines(eventOrSummary) {
+  const competition = eventOrSummary?.header?.competitions?.[0] || eventOrSummary?.competitions?.[0];
+  const entries = eventOrSummary?.pickcenter || competition?.odds || [];
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  const competitors = competition?.competitors || [];
+  const homeAbbrev = normalizeAbbrev(competitors.find(t => t.homeAway === 'home')?.team?.abbreviation);
+  const awayAbbrev = normalizeAbbrev(competitors.find(t => t.homeAway === 'away')?.team?.abbreviation);
+
+  // Lowest priority number first (ESPN's preferred provider)
+  const sorted = [...entries].sort((a, b) => (a.provider?.priority ?? 99) - (b.provider?.priority ?? 99));
+
+  for (const odds of sorted) {
+    const spread = getHomeSpread(odds, homeAbbrev, awayAbbrev);
+    const total = typeof odds.overUnder === 'number' ? odds.overUnder : parseFloat(odds.overUnder);
+
+    if (spread === null && isNaN(total)) continue;
+
+    return {
+      spread,
+      total: isNaN(total) ? null : total,
+      homeMoneyline: parseAmericanOdds(odds.homeTeamOdds?.moneyLine ?? odds.moneyline?.home?.close?.odds ?? odds.moneyline?.home?.open?.odds),
+      awayMoneyline: parseAmericanOdds(odds.awayTeamOdds?.moneyLine ?? odds.moneyline?.away?.close?.odds ?? odds.moneyline?.away?.open?.odds),
+      provider: odds.provider?.name || null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a team abbreviation (WSH -> WAS)
+ */
+function normalizeAbbrev(abbrev) {
+  if (!abbrev) return null;
+  const upper = abbrev.toUpperCase();
+  return ABBREV_ALTERNATES[upper] || upper;
+}
+
 /**
  * Normalize team name (handle abbreviations and variations)
  */
@@ -330,7 +887,15 @@ export default {
   parseStatValue,
   parseBoxscoreStats,
   extractTeamStats,
+  createTeamAggregates,
+  addGameToAggregates,
+  getRecencyWeight,
+  finalizeAggregates,
+  calculateOpponentAdjustments,
   aggregateStats,
   calculateRankings,
+  parseGameRecord,
+  getGameContext,
+  extractLines,
   normalizeTeamName
 };
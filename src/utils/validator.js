@@ -3,9 +3,12 @@
  * Validates data structures and inputs
  */
 
-import { NFL_TEAMS } from '../core/constants.js';
+import { NFL_TEAMS, SEASON_TYPES, SEASON_TYPE_WEEKS, MODEL_CONSTANTS } from '../core/constants.js';
 import { logger } from './logger.js';
 
+const RECENCY_METHODS = ['exponential', 'window', 'none'];
+const RECENCY_STATS = ['season', 'recent'];
+
 /**
  * Validate team name
  */
@@ -127,15 +130,20 @@ export function validateEloRating(rating) {
 }
 
 /**
- * Validate week number
+ * Validate week number for a season type (regular season by default)
  */
-export function validateWeek(week) {
+export function validateWeek(week, seasonType = SEASON_TYPES.REGULAR) {
   if (typeof week !== 'number') {
     return { valid: false, errors: [`Invalid week type: ${typeof week}`] };
   }
 
-  if (week < 1 || week > 18) {
-    return { valid: false, errors: [`Week out of range: ${week} (must be 1-18)`] };
+  const maxWeek = SEASON_TYPE_WEEKS[seasonType];
+  if (!maxWeek) {
+    return { valid: false, errors: [`Invalid season type: ${seasonType}`] };
+  }
+
+  if (week < 1 || week > maxWeek) {
+    return { valid: false, errors: [`Week out of range: ${week} (must be 1-${maxWeek})`] };
   }
 
   return { valid: true, errors: [] };
@@ -149,14 +157,128 @@ export function validateSeason(year) {
     return { valid: false, errors: [`Invalid season type: ${typeof year}`] };
   }
 
+  if (!Number.isInteger(year)) {
+    return { valid: false, errors: [`Invalid season: ${year}`] };
+  }
+
+  // ESPN scoreboard/summary data goes back to 2002
   const currentYear = new Date().getFullYear();
-  if (year < 2020 || year > currentYear + 1) {
+  if (year < 2002 || year > currentYear + 1) {
     return { valid: false, errors: [`Season year out of range: ${year}`] };
   }
 
   return { valid: true, errors: [] };
 }
 
+/**
+ * Validate application settings (models section and update timing)
+ */
+export function validateSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object') {
+    return { valid: false, errors: ['Settings is null or not an object'] };
+  }
+
+  const models = settings.models;
+  if (!models || typeof models !== 'object' || Array.isArray(models)) {
+    errors.push('Missing models section');
+  } else {
+    Object.entries(models).forEach(([name, model]) => {
+      if (!model || typeof model !== 'object') {
+        errors.push(`Invalid model config: ${name}`);
+        return;
+      }
+
+      if (model.enabled !== undefined && typeof model.enabled !== 'boolean') {
+        errors.push(`Invalid enabled flag for ${name}: expected boolean, got ${typeof model.enabled}`);
+      }
+
+      if (typeof model.weight !== 'number' || isNaN(model.weight)) {
+        errors.push(`Invalid weight for ${name}: expected number, got ${typeof model.weight}`);
+      } else if (model.weight < 0) {
+        errors.push(`Weight for ${name} must be non-negative: ${model.weight}`);
+      }
+
+      if (model.stats !== undefined && !RECENCY_STATS.includes(model.stats)) {
+        errors.push(`Invalid stats for ${name}: expected one of ${RECENCY_STATS.join(', ')}, got ${model.stats}`);
+      }
+    });
+
+    const enabled = Object.values(models).filter(m => m && m.enabled !== false);
+    if (enabled.length === 0) {
+      errors.push('At least one model must be enabled');
+    } else if (enabled.reduce((sum, m) => sum + (m.weight || 0), 0) <= 0) {
+      errors.push('Enabled model weights must sum to more than 0');
+    }
+  }
+
+  const hours = settings.updates?.checkResultsAfterHours;
+  if (hours !== undefined && (typeof hours !== 'number' || hours < 0)) {
+    errors.push(`Invalid updates.checkResultsAfterHours: ${hours}`);
+  }
+
+  const recency = settings.recency;
+  if (recency !== undefined) {
+    if (!recency || typeof recency !== 'object' || Array.isArray(recency)) {
+      errors.push('Invalid recency section: expected an object');
+    } else {
+      if (recency.method !== undefined && !RECENCY_METHODS.includes(recency.method)) {
+        errors.push(`Invalid recency.method: expected one of ${RECENCY_METHODS.join(', ')}, got ${recency.method}`);
+      }
+
+      ['halfLife', 'window'].forEach(key => {
+        const value = recency[key];
+        if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+          errors.push(`Invalid recency.${key}: expected a positive number, got ${value}`);
+        }
+      });
+    }
+  }
+
+  const betting = settings.betting;
+  if (betting !== undefined) {
+    if (!betting || typeof betting !== 'object' || Array.isArray(betting)) {
+      errors.push('Invalid betting section: expected an object');
+    } else {
+      if (betting.bankroll !== undefined && !(typeof betting.bankroll === 'number' && betting.bankroll > 0)) {
+        errors.push(`Invalid betting.bankroll: ${betting.bankroll}`);
+      }
+
+      ['kellyFraction', 'maxStakePct'].forEach(key => {
+        const value = betting[key];
+        if (value !== undefined && !(typeof value === 'number' && value > 0 && value <= 1)) {
+          errors.push(`Invalid betting.${key}: expected a number in (0, 1], got ${value}`);
+        }
+      });
+
+      if (betting.minEdge !== undefined && (typeof betting.minEdge !== 'number' || isNaN(betting.minEdge))) {
+        errors.push(`Invalid betting.minEdge: ${betting.minEdge}`);
+      }
+    }
+  }
+
+  const modelConstants = settings.modelConstants;
+  if (modelConstants !== undefined) {
+    if (!modelConstants || typeof modelConstants !== 'object' || Array.isArray(modelConstants)) {
+      errors.push('Invalid modelConstants section: expected an object');
+    } else {
+      Object.entries(modelConstants).forEach(([name, value]) => {
+        if (!(name in MODEL_CONSTANTS)) {
+          errors.push(`Unknown model constant: ${name}`);
+        } else if (typeof value !== 'number' || isNaN(value)) {
+          errors.push(`Invalid model constant ${name}: expected number, got ${typeof value}`);
+        }
+      });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate and sanitize input with logging
  */
@@ -196,6 +318,7 @@ export default {
   validateEloRating,
   validateWeek,
   validateSeason,
+  validateSettings,
   validate,
   validateArray
 };
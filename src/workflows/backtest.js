@@ -6,164 +6,78 @@
 
 import { apiClient } from '../core/api-client.js';
 import { dataManager } from '../core/data-manager.js';
-import { DATA_PATHS, CURRENT_SEASON } from '../core/constants.js';
-import { predictGames, calculateAccuracy } from '../models/predictor.js';
-import { initializeRatings, updateRatings } from '../models/elo.js';
-import { calculateLeagueAverages } from '../models/efficiency.js';
-import { extractTeamStats, aggregateStats, calculateRankings } from '../utils/stats-parser.js';
+import { DATA_PATHS, CURRENT_SEASON, SEASON_TYPES } from '../core/constants.js';
+import { loadConfig, getEffectiveConfig } from '../core/config.js';
+import { loadEloHistory, getPreviousSeason } from '../core/elo-history.js';
+import { loadSeasonGames, loadSeasons, runBacktest } from '../core/backtest-engine.js';
+import { runWalkForward } from '../core/walk-forward.js';
+import { discoverModels } from '../models/registry.js';
+import { calculateAccuracy } from '../models/predictor.js';
+import { fitCalibration } from '../models/calibration.js';
+import { initializeRatings } from '../models/elo.js';
+import { getGameContext } from '../utils/stats-parser.js';
+import { getOption, getPositionalArgs, getSeason, getSeasons, getSeed, hasFlag } from '../utils/cli.js';
 import { logger } from '../utils/logger.js';
 
-async function backtest(startWeek = 1, endWeek = null) {
-  const startTime = logger.start('Backtest');
+async function backtest(startWeek = 1, endWeek = null, season = CURRENT_SEASON, includePostseason = false, offline = false) {
+  const startTime = logger.start('Backtest', { season });
 
   try {
-    // Determine end week (current week if not specified)
-    if (!endWeek) {
-      const scoreboard = await apiClient.getScoreboard();
-      endWeek = scoreboard[0]?.week || 18;
-    }
-
-    logger.info(`Running backtest for weeks ${startWeek}-${endWeek}`);
-
-    // Initialize Elo ratings
-    let eloRatings = initializeRatings();
-    const allPredictions = [];
-    const allResults = [];
-
-    // Process each week
-    for (let week = startWeek; week <= endWeek; week++) {
-      logger.info(`Processing week ${week}...`);
-
-      // Get games for this week
-      const weekGames = await apiClient.getScoreboard(week);
+    await dataManager.migrateSeasonFiles();
 
-      // Filter to completed games
-      const completedGames = weekGames.filter(g => g.status?.type?.state === 'post');
+    const config = await loadConfig();
+    await discoverModels();
 
-      if (completedGames.length === 0) {
-        logger.info(`No completed games in week ${week}`);
-        continue;
-      }
-
-      // Get all historical data up to (but not including) this week
-      const historicalSummaries = week > 1
-        ? await apiClient.getAllBoxscores(1, week - 1)
-        : [];
-
-      // Parse historical stats
-      const gameStats = [];
-      for (const summary of historicalSummaries) {
-        const stats = extractTeamStats(summary);
-        if (!stats) continue;
-
-        const gameInfo = summary.header?.competitions?.[0];
-        if (!gameInfo) continue;
-
-        const teams = gameInfo.competitors;
-        if (!teams || teams.length !== 2) continue;
+    // Replay only archived ESPN responses (no network)
+    const useArchive = offline || config.archive.offline;
+    if (useArchive) {
+      apiClient.setOffline(true);
+    }
 
-        const homeTeam = teams.find(t => t.homeAway === 'home');
-        const awayTeam = teams.find(t => t.homeAway === 'away');
+    // Determine end week (current week if not specified)
+    if (!endWeek) {
+      const scoreboard = await apiClient.getScoreboard(null, SEASON_TYPES.REGULAR, season);
+      endWeek = getGameContext(scoreboard[0]).week || 18;
+    }
 
-        if (!homeTeam || !awayTeam) continue;
+    logger.info(`Running backtest for ${season} weeks ${startWeek}-${endWeek}`, { includePostseason });
 
-        gameStats.push({
-          id: summary.header.id,
-          stats,
-          scores: {
-            [homeTeam.team.displayName]: parseInt(homeTeam.score) || 0,
-            [awayTeam.team.displayName]: parseInt(awayTeam.score) || 0
-          }
-        });
-      }
+    // Fetch every boxscore once; earlier weeks warm up stats and Elo
+    const slots = await loadSeasonGames(season, { endWeek, includePostseason });
 
-      // Aggregate and calculate stats
-      const teamStats = aggregateStats(gameStats);
-      const rankings = calculateRankings(teamStats);
-      const leagueAverage = calculateLeagueAverages(teamStats);
-
-      // Prepare games for prediction
-      const gamesToPredict = completedGames.map(game => {
-        const comp = game.competitions?.[0];
-        const teams = comp?.competitors;
-        const homeTeam = teams?.find(t => t.homeAway === 'home');
-        const awayTeam = teams?.find(t => t.homeAway === 'away');
-
-        return {
-          id: game.id,
-          date: comp.date,
-          homeTeam: homeTeam.team.displayName,
-          awayTeam: awayTeam.team.displayName,
-          actualHomeScore: parseInt(homeTeam.score) || 0,
-          actualAwayScore: parseInt(awayTeam.score) || 0
-        };
-      }).filter(g => g.homeTeam && g.awayTeam);
-
-      // Generate predictions
-      const context = {
-        eloRatings,
-        teamStats,
-        leagueAverage,
-        rankings
-      };
-
-      const predictions = predictGames(gamesToPredict, context);
-
-      // Check predictions and update Elo
-      for (const pred of predictions) {
-        const game = gamesToPredict.find(g => g.id === pred.id);
-        if (!game) continue;
-
-        const actualWinner = game.actualHomeScore > game.actualAwayScore
-          ? game.homeTeam
-          : game.awayTeam;
-
-        const correct = pred.predictedWinner === actualWinner;
-
-        const result = {
-          ...pred,
-          week,
-          correct,
-          actualWinner,
-          actualScore: `${game.actualHomeScore}-${game.actualAwayScore}`,
-          checked: true
-        };
-
-        allPredictions.push(pred);
-        allResults.push(result);
-
-        // Update Elo ratings
-        const winner = actualWinner;
-        const loser = winner === game.homeTeam ? game.awayTeam : game.homeTeam;
-        const winnerScore = Math.max(game.actualHomeScore, game.actualAwayScore);
-        const loserScore = Math.min(game.actualHomeScore, game.actualAwayScore);
-
-        eloRatings = updateRatings(eloRatings, winner, loser, winnerScore, loserScore);
-      }
+    // Start from last season's final ratings, regressed toward the mean
+    const eloHistory = await loadEloHistory();
+    const previousSeason = getPreviousSeason(eloHistory, season);
+    const initialRatings = initializeRatings(previousSeason ? eloHistory.seasons[previousSeason].ratings : null);
 
-      logger.info(`Week ${week} complete`, {
-        games: predictions.length,
-        correct: allResults.filter(r => r.week === week && r.correct).length
-      });
-    }
+    const { predictions: allPredictions, results: allResults, eloRatings } = runBacktest(slots, {
+      startWeek,
+      config,
+      initialRatings
+    });
 
     // Calculate overall accuracy
-    const accuracy = calculateAccuracy(allResults);
+    const accuracy = calculateAccuracy(allResults, config.betting);
 
     const backtestResults = {
       startWeek,
       endWeek,
-      season: CURRENT_SEASON,
+      season,
+      includePostseason,
+      offline: useArchive,
+      previousSeason,
+      config: getEffectiveConfig(config),
       lastUpdated: new Date().toISOString(),
       predictions: allPredictions,
       results: allResults,
       accuracy,
+      calibration: fitCalibration(allResults),
       finalEloRatings: eloRatings
     };
 
     // Save backtest results
     logger.info('Saving backtest results...');
-    await dataManager.writeJSON(DATA_PATHS.TEST_RESULTS, backtestResults);
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.TEST_RESULTS, season), backtestResults);
 
     logger.end('Backtest', startTime);
 
@@ -180,26 +94,118 @@ async function backtest(startWeek = 1, endWeek = null) {
   }
 }
 
+/**
+ * Walk-forward validation: train on seasons 1..N-1, test on N
+ */
+export async function walkForward(seasons, { startWeek = 1, includePostseason = false, offline = false, tuning = null } = {}) {
+  const startTime = logger.start('Walk-forward validation', { seasons });
+
+  try {
+    const config = await loadConfig();
+    await discoverModels();
+
+    if (offline || config.archive.offline) {
+      apiClient.setOffline(true);
+    }
+
+    const seasonData = await loadSeasons(seasons, { includePostseason });
+    const report = {
+      ...runWalkForward(seasonData, { config, startWeek, tuning }),
+      startWeek,
+      includePostseason,
+      offline: offline || config.archive.offline,
+      config: getEffectiveConfig(config),
+      lastUpdated: new Date().toISOString()
+    };
+
+    logger.info('Saving validation report...');
+    await dataManager.writeJSON(DATA_PATHS.VALIDATION_RESULTS, report);
+
+    logger.end('Walk-forward validation', startTime);
+    return report;
+  } catch (error) {
+    logger.error('Walk-forward validation failed', { error: error.message, stack: error.stack });
+    throw error;
+  }
+}
+
+/**
+ * Print a walk-forward report
+ */
+function printWalkForward(report) {
+  const format = (m) => `accuracy ${m.accuracy ?? '-'}%, Brier ${m.brierScore ?? '-'}, log loss ${m.logLoss ?? '-'}`;
+
+  console.log('\nWalk-Forward Validation:');
+  report.bySeason.forEach(season => {
+    console.log(`\n${season.season} (trained on ${season.trainedOn.join(', ')}), ${season.games} games`);
+    console.log(`  model: ${format(season.model)}`);
+    Object.entries(season.baselines).forEach(([name, m]) => console.log(`  ${name}: ${format(m)}`));
+  });
+
+  console.log(`\nAll test seasons (${report.summary.games} games):`);
+  console.log(`  model: ${format(report.summary.model)}`);
+  Object.entries(report.summary.baselines).forEach(([name, m]) => console.log(`  ${name}: ${format(m)}`));
+}
+
+/**
+ * Print a single-season backtest report
+ */
+function printBacktest(result) {
+  console.log('\nBacktest Results:');
+  console.log(`Season: ${result.season}`);
+  console.log(`Weeks: ${result.startWeek}-${result.endWeek}`);
+  console.log(`Total Games: ${result.results.length}`);
+  console.log(`Ties: ${result.accuracy.ties}`);
+  console.log(`Accuracy: ${result.accuracy.accuracy}%`);
+  console.log(`\nBy Confidence:`);
+  console.log(`  High: ${result.accuracy.byConfidence.high.correct}/${result.accuracy.byConfidence.high.total} (${result.accuracy.byConfidence.high.accuracy.toFixed(1)}%)`);
+  console.log(`  Medium: ${result.accuracy.byConfidence.medium.correct}/${result.accuracy.byConfidence.medium.total} (${result.accuracy.byConfidence.medium.accuracy.toFixed(1)}%)`);
+  console.log(`  Low: ${result.accuracy.byConfidence.low.correct}/${result.accuracy.byConfidence.low.total} (${result.accuracy.byConfidence.low.accuracy.toFixed(1)}%)`);
+  console.log(`\nAgainst the Spread: ${result.accuracy.ats.wins}-${result.accuracy.ats.losses}-${result.accuracy.ats.pushes} (${result.accuracy.ats.accuracy ?? '-'}%)`);
+  console.log(`Over/Under: ${result.accuracy.overUnder.wins}-${result.accuracy.overUnder.losses}-${result.accuracy.overUnder.pushes} (${result.accuracy.overUnder.accuracy ?? '-'}%)`);
+  const bankroll = result.accuracy.bankroll;
+  console.log(`Moneyline bets: ${bankroll.wins}-${bankroll.losses}-${bankroll.pushes}, bankroll ${bankroll.startingBankroll} -> ${bankroll.bankroll} (ROI ${bankroll.roi ?? '-'}%, max drawdown ${bankroll.maxDrawdown}%)`);
+  console.log(`\nBy Model:`);
+  Object.entries(result.accuracy.byModel).forEach(([name, m]) => {
+    console.log(`  ${name}: accuracy ${m.accuracy ?? '-'}%, Brier ${m.brierScore ?? '-'}, log loss ${m.logLoss ?? '-'}, spread MAE ${m.spread.mae ?? '-'}, total MAE ${m.totalPoints.mae ?? '-'}`);
+  });
+}
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const startWeek = parseInt(process.argv[2]) || 1;
-  const endWeek = process.argv[3] ? parseInt(process.argv[3]) : null;
-
-  backtest(startWeek, endWeek)
-    .then((result) => {
-      logger.info('Backtest workflow completed successfully');
-      console.log('\nBacktest Results:');
-      console.log(`Weeks: ${result.startWeek}-${result.endWeek}`);
-      console.log(`Total Games: ${result.results.length}`);
-      console.log(`Accuracy: ${result.accuracy.accuracy}%`);
-      console.log(`\nBy Confidence:`);
-      console.log(`  High: ${result.accuracy.byConfidence.high.correct}/${result.accuracy.byConfidence.high.total} (${result.accuracy.byConfidence.high.accuracy.toFixed(1)}%)`);
-      console.log(`  Medium: ${result.accuracy.byConfidence.medium.correct}/${result.accuracy.byConfidence.medium.total} (${result.accuracy.byConfidence.medium.accuracy.toFixed(1)}%)`);
-      console.log(`  Low: ${result.accuracy.byConfidence.low.correct}/${result.accuracy.byConfidence.low.total} (${result.accuracy.byConfidence.low.accuracy.toFixed(1)}%)`);
-      process.exit(0);
+  const walk = hasFlag('walk-forward');
+
+  Promise.resolve()
+    .then(() => {
+      const [startArg, endArg] = getPositionalArgs();
+      const startWeek = parseInt(startArg) || 1;
+      const endWeek = endArg ? parseInt(endArg) : null;
+
+      if (walk) {
+        const paramsArg = getOption('params');
+        const tuning = hasFlag('tune')
+          ? {
+              search: getOption('search') || 'random',
+              trials: parseInt(getOption('trials')) || 50,
+              metric: getOption('metric') || 'brier',
+              seed: getSeed(),
+              ...(paramsArg ? { params: paramsArg.split(',').map(p => p.trim()) } : {})
+            }
+          : null;
+
+        return walkForward(getSeasons(), { startWeek, includePostseason: hasFlag('postseason'), offline: hasFlag('offline'), tuning })
+          .then(printWalkForward);
+      }
+
+      return backtest(startWeek, endWeek, getSeason(), hasFlag('postseason'), hasFlag('offline'))
+        .then((result) => {
+          logger.info('Backtest workflow completed successfully');
+          printBacktest(result);
+        });
     })
+    .then(() => process.exit(0))
     .catch(error => {
-      logger.error('Backtest workflow failed', { error: error.message });
+      logger.error(walk ? 'Walk-forward workflow failed' : 'Backtest workflow failed', { error: error.message });
       process.exit(1);
     });
 }
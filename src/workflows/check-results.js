@@ -6,18 +6,57 @@
 
 import { apiClient } from '../core/api-client.js';
 import { dataManager } from '../core/data-manager.js';
-import { DATA_PATHS, UPDATE_CONFIG } from '../core/constants.js';
+import { DATA_PATHS, CURRENT_SEASON, SEASON_TYPES } from '../core/constants.js';
+import { loadConfig } from '../core/config.js';
+import { loadSeasonRatings, saveSeasonRatings } from '../core/elo-history.js';
 import { checkPrediction, calculateAccuracy } from '../models/predictor.js';
-import { updateRatings } from '../models/elo.js';
+import { updateGameRatings } from '../models/elo.js';
+import { mergeLines, getManualLines, predictAgainstLines } from '../models/lines.js';
+import { evaluateMoneyline } from '../models/betting.js';
+import { getGameContext, extractLines } from '../utils/stats-parser.js';
+import { getSeason } from '../utils/cli.js';
 import { logger } from '../utils/logger.js';
 
-async function checkResults() {
-  const startTime = logger.start('Check results');
+/**
+ * Attach closing lines (ESPN pickcenter + manual overrides) to a prediction
+ */
+function withClosingLines(prediction, gameSummary, manualLines, calibration, bettingSettings) {
+  const lines = mergeLines(extractLines(gameSummary), getManualLines(manualLines, prediction));
+  if (!lines) return prediction;
+
+  const [predHome, predAway] = prediction.predictedScore.split('-').map(Number);
+  const market = predictAgainstLines({
+    spread: prediction.spread,
+    total: typeof prediction.total === 'number' ? prediction.total : predHome + predAway,
+    homeTeam: prediction.homeTeam,
+    awayTeam: prediction.awayTeam
+  }, lines, calibration);
+  const moneyline = evaluateMoneyline(prediction.homeWinProbability / 100, lines, bettingSettings);
+
+  return { ...prediction, ...market, moneyline, closingLines: true };
+}
+
+/**
+ * Short W-L-P summary of graded line picks
+ */
+function summarizeLineResults(grades) {
+  const count = (result) => grades.filter(g => g?.result === result).length;
+  return `${count('win')}-${count('loss')}-${count('push')}`;
+}
+
+async function checkResults(season = CURRENT_SEASON) {
+  const startTime = logger.start('Check results', { season });
+  const predictionsPath = dataManager.seasonPath(DATA_PATHS.PREDICTIONS, season);
+  const resultsPath = dataManager.seasonPath(DATA_PATHS.RESULTS, season);
 
   try {
+    await dataManager.migrateSeasonFiles();
+
+    const config = await loadConfig();
+
     // Step 1: Load predictions
     logger.info('Loading predictions...');
-    const predictionsData = await dataManager.readJSON(DATA_PATHS.PREDICTIONS);
+    const predictionsData = await dataManager.readJSON(predictionsPath);
 
     if (!predictionsData || !predictionsData.predictions) {
       logger.warn('No predictions found');
@@ -26,7 +65,7 @@ async function checkResults() {
 
     // Step 2: Filter unchecked predictions that are old enough
     const now = new Date();
-    const checkThreshold = UPDATE_CONFIG.RESULT_CHECK_HOURS * 60 * 60 * 1000;
+    const checkThreshold = config.updates.checkResultsAfterHours * 60 * 60 * 1000;
 
     const toCheck = predictionsData.predictions.filter(p => {
       if (p.checked) return false;
@@ -34,7 +73,7 @@ async function checkResults() {
       const gameDate = new Date(p.gameDate);
       const timeSinceGame = now - gameDate;
 
-      // Only check games that ended at least RESULT_CHECK_HOURS ago
+      // Only check games that ended at least checkResultsAfterHours ago
       return timeSinceGame >= checkThreshold;
     });
 
@@ -45,6 +84,14 @@ async function checkResults() {
 
     logger.info(`Checking ${toCheck.length} predictions...`);
 
+    // Manual line overrides, for predictions made before lines were posted
+    let manualLines = {};
+    try {
+      manualLines = await dataManager.readJSON(DATA_PATHS.MANUAL_LINES) || {};
+    } catch (error) {
+      logger.debug('No manual lines file found');
+    }
+
     // Step 3: Fetch game results
     const checkedPredictions = [];
     let successCount = 0;
@@ -84,8 +131,19 @@ async function checkResults() {
           awayScore: parseInt(awayTeam.score) || 0
         };
 
-        // Check prediction
-        const checked = checkPrediction(prediction, actualResult);
+        // Grade against the closing line if the prediction predates posted lines
+        const graded = prediction.lines
+          ? prediction
+          : withClosingLines(prediction, gameSummary, manualLines, predictionsData.calibration, config.betting);
+
+        // Check prediction (game context from ESPN in case the prediction predates it)
+        const context = getGameContext(gameSummary.header);
+        const checked = {
+          ...checkPrediction(graded, actualResult),
+          seasonType: context.seasonType,
+          week: context.week,
+          neutralSite: context.neutralSite
+        };
         checkedPredictions.push(checked);
         successCount++;
 
@@ -93,7 +151,12 @@ async function checkResults() {
           game: `${actualResult.homeTeam} vs ${actualResult.awayTeam}`,
           predicted: `${prediction.predictedWinner} ${prediction.predictedScore}`,
           actual: `${actualResult.homeScore}-${actualResult.awayScore}`,
-          correct: checked.correct ? '✅' : '❌'
+          correct: checked.tie ? '➖ (tie)' : (checked.correct ? '✅' : '❌'),
+          ats: checked.ats?.result || '-',
+          overUnder: checked.overUnder?.result || '-',
+          moneyline: checked.moneyline?.bet
+            ? `${checked.moneyline.bet.result} ${checked.moneyline.bet.profit >= 0 ? '+' : ''}${checked.moneyline.bet.profit}`
+            : '-'
         });
       } catch (error) {
         logger.error('Failed to check prediction', {
@@ -111,7 +174,7 @@ async function checkResults() {
     // Step 4: Update predictions file
     logger.info('Updating predictions...');
 
-    await dataManager.updateJSON(DATA_PATHS.PREDICTIONS, (data) => {
+    await dataManager.updateJSON(predictionsPath, (data) => {
       const updated = data.predictions.map(p => {
         const checked = checkedPredictions.find(c => c.id === p.id);
         return checked || p;
@@ -126,8 +189,9 @@ async function checkResults() {
 
     // Step 5: Update results history
     logger.info('Updating results history...');
+    let bankroll = null;
 
-    await dataManager.updateJSON(DATA_PATHS.RESULTS, (existing) => {
+    await dataManager.updateJSON(resultsPath, (existing) => {
       const results = existing.results || [];
 
       // Add new results
@@ -139,10 +203,12 @@ async function checkResults() {
       });
 
       // Calculate overall accuracy
-      const accuracy = calculateAccuracy(results);
+      const accuracy = calculateAccuracy(results, config.betting);
+      bankroll = accuracy.bankroll;
 
       return {
         lastUpdated: new Date().toISOString(),
+        season,
         results,
         accuracy
       };
@@ -151,33 +217,40 @@ async function checkResults() {
     // Step 6: Update Elo ratings
     logger.info('Updating Elo ratings...');
 
-    const historicalElo = await dataManager.readJSON(DATA_PATHS.HISTORICAL_ELO) || { ratings: {} };
-    let eloRatings = historicalElo.ratings || {};
+    let eloRatings = await loadSeasonRatings(season);
 
-    // Update ratings based on checked results
+    // Update ratings based on checked results (preseason games never count)
     checkedPredictions.forEach(result => {
+      if (result.seasonType === SEASON_TYPES.PRESEASON) {
+        logger.debug('Skipping Elo update for preseason game', { id: result.id });
+        return;
+      }
+
       const [homeScore, awayScore] = result.actualScore.split('-').map(Number);
-      const winner = homeScore > awayScore ? result.homeTeam : result.awayTeam;
-      const loser = homeScore > awayScore ? result.awayTeam : result.homeTeam;
-      const winnerScore = Math.max(homeScore, awayScore);
-      const loserScore = Math.min(homeScore, awayScore);
 
-      eloRatings = updateRatings(eloRatings, winner, loser, winnerScore, loserScore);
+      eloRatings = updateGameRatings(eloRatings, {
+        homeTeam: result.homeTeam,
+        awayTeam: result.awayTeam,
+        homeScore,
+        awayScore,
+        neutralSite: result.neutralSite
+      });
     });
 
     // Save updated Elo ratings
-    await dataManager.writeJSON(DATA_PATHS.HISTORICAL_ELO, {
-      ...historicalElo,
-      ratings: eloRatings,
-      lastUpdated: new Date().toISOString()
-    });
+    await saveSeasonRatings(season, eloRatings);
 
     logger.end('Check results', startTime);
 
     logger.info('✅ Results checked', {
       checked: successCount,
-      correct: checkedPredictions.filter(p => p.correct).length,
-      incorrect: checkedPredictions.filter(p => !p.correct).length
+      correct: checkedPredictions.filter(p => p.correct === true).length,
+      incorrect: checkedPredictions.filter(p => p.correct === false).length,
+      ties: checkedPredictions.filter(p => p.tie).length,
+      ats: summarizeLineResults(checkedPredictions.map(p => p.ats)),
+      overUnder: summarizeLineResults(checkedPredictions.map(p => p.overUnder)),
+      moneyline: summarizeLineResults(checkedPredictions.map(p => p.moneyline?.bet)),
+      bankroll: bankroll ? `${bankroll.bankroll} (${bankroll.profit >= 0 ? '+' : ''}${bankroll.profit})` : '-'
     });
 
     return {
@@ -192,7 +265,8 @@ async function checkResults() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  checkResults()
+  Promise.resolve()
+    .then(() => checkResults(getSeason()))
     .then((result) => {
       logger.info('Results check workflow completed successfully', result);
       process.exit(0);
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * NFLv2 - Fit Expected Points Workflow
+ * Fits the expected points model on archived plays plus the fetched seasons
+ * and saves it for the update workflow
+ */
+
+import { apiClient } from '../core/api-client.js';
+import { loadConfig } from '../core/config.js';
+import { addSummaryPlays, fitArchivedExpectedPoints, saveExpectedPoints } from '../core/expected-points-store.js';
+import { getSeasons, hasFlag } from '../utils/cli.js';
+import { logger } from '../utils/logger.js';
+
+async function fitExpectedPointsModel(seasons, { offline = false } = {}) {
+  const startTime = logger.start('Fit expected points', { seasons: seasons.join(',') });
+
+  try {
+    const config = await loadConfig();
+    const replay = offline || config.archive.offline;
+
+    // Step 1: Plays of the requested seasons (the archive covers them offline)
+    const games = new Map();
+    if (replay) {
+      logger.info('Offline: fitting on archived summaries only');
+    } else {
+      for (const season of seasons) {
+        logger.info(`Fetching ${season} game summaries...`);
+        const summaries = await apiClient.getSeasonBoxscores(season);
+        summaries.forEach(summary => addSummaryPlays(games, summary));
+      }
+    }
+
+    // Step 2: Fit on those plus every archived summary and save
+    const model = await fitArchivedExpectedPoints({ games });
+    await saveExpectedPoints(model);
+
+    logger.end('Fit expected points', startTime);
+    return model;
+  } catch (error) {
+    logger.error('Expected points fit failed', { error: error.message, stack: error.stack });
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => fitExpectedPointsModel(getSeasons(), { offline: hasFlag('offline') }))
+    .then((model) => {
+      console.log(`\nExpected points model: ${model.fitted ? 'fitted' : 'defaults (not enough plays)'} on ${model.games} games`);
+      console.log(`Plays by down: ${Object.entries(model.samples).map(([down, n]) => `${down}: ${n}`).join(', ')}`);
+      process.exit(0);
+    })
+    .catch(error => {
+      logger.error('Fit expected points workflow failed', { error: error.message });
+      process.exit(1);
+    });
+}
+
+export default fitExpectedPointsModel;
@@ -5,44 +5,38 @@
  */
 
 import { dataManager } from '../core/data-manager.js';
-import { DATA_PATHS } from '../core/constants.js';
+import { DATA_PATHS, CURRENT_SEASON } from '../core/constants.js';
+import { loadConfig, getEffectiveConfig } from '../core/config.js';
+import { loadPredictionContext } from '../core/prediction-context.js';
+import { discoverModels } from '../models/registry.js';
 import { predictGames } from '../models/predictor.js';
-import { initializeRatings } from '../models/elo.js';
-import { calculateLeagueAverages } from '../models/efficiency.js';
+import { mergeLines, getManualLines } from '../models/lines.js';
+import { getSeason } from '../utils/cli.js';
 import { logger } from '../utils/logger.js';
 
-async function generatePredictions() {
-  const startTime = logger.start('Generate predictions');
+async function generatePredictions(season = CURRENT_SEASON) {
+  const startTime = logger.start('Generate predictions', { season });
 
   try {
+    await dataManager.migrateSeasonFiles();
+
+    // Load configuration (settings.json + env/CLI overrides)
+    const config = await loadConfig();
+    await discoverModels();
+
     // Step 1: Load cached data
     logger.info('Loading cached data...');
-    const cachedData = await dataManager.readJSON(DATA_PATHS.CACHED_DATA);
+    const cachedData = await dataManager.readJSON(dataManager.seasonPath(DATA_PATHS.CACHED_DATA, season));
 
     if (!cachedData) {
-      throw new Error('No cached data found. Run update-data.js first.');
+      throw new Error(`No cached data found for ${season}. Run update-data.js first.`);
     }
 
-    // Step 2: Load or initialize Elo ratings
-    logger.info('Loading Elo ratings...');
-    let historicalElo = await dataManager.readJSON(DATA_PATHS.HISTORICAL_ELO);
-
-    if (!historicalElo || !historicalElo.ratings) {
-      logger.warn('No historical Elo found, initializing fresh ratings');
-      historicalElo = {
-        season: cachedData.season,
-        ratings: initializeRatings(),
-        lastUpdated: new Date().toISOString()
-      };
-    }
-
-    const eloRatings = historicalElo.ratings;
-
-    // Step 3: Calculate league averages
-    logger.info('Calculating league averages...');
-    const leagueAverage = calculateLeagueAverages(cachedData.teamStats);
+    // Step 2: Elo ratings, calibration, league averages and QB adjustments
+    const context = await loadPredictionContext(season, { cachedData, config });
+    const { calibration } = context;
 
-    // Step 4: Get upcoming games
+    // Step 3: Get upcoming games
     const upcomingGames = cachedData.upcomingGames || [];
 
     if (upcomingGames.length === 0) {
@@ -52,18 +46,25 @@ async function generatePredictions() {
 
     logger.info(`Generating predictions for ${upcomingGames.length} games`);
 
-    // Step 5: Generate predictions
-    const context = {
-      eloRatings,
-      teamStats: cachedData.teamStats,
-      leagueAverage,
-      rankings: cachedData.rankings
-    };
+    // Step 4: Apply manual betting line overrides
+    let manualLines = {};
+    try {
+      manualLines = await dataManager.readJSON(DATA_PATHS.MANUAL_LINES) || {};
+    } catch (error) {
+      logger.debug('No manual lines file found');
+    }
 
-    const newPredictions = predictGames(upcomingGames, context);
+    const gamesToPredict = upcomingGames.map(game => ({
+      ...game,
+      lines: mergeLines(game.lines, getManualLines(manualLines, game))
+    }));
+
+    // Step 5: Generate predictions
+    const newPredictions = predictGames(gamesToPredict, context);
 
     // Step 6: Load existing predictions
-    let existingPredictions = await dataManager.readJSON(DATA_PATHS.PREDICTIONS) || { predictions: [] };
+    const predictionsPath = dataManager.seasonPath(DATA_PATHS.PREDICTIONS, season);
+    let existingPredictions = await dataManager.readJSON(predictionsPath) || { predictions: [] };
     if (!existingPredictions.predictions) {
       existingPredictions = { predictions: [] };
     }
@@ -80,12 +81,16 @@ async function generatePredictions() {
     // Step 8: Save predictions
     const predictionsData = {
       lastUpdated: new Date().toISOString(),
-      season: cachedData.season,
+      season,
+      config: getEffectiveConfig(config),
+      calibration,
       predictions: allPredictions,
       summary: {
         total: allPredictions.length,
         new: newPredictions.length,
         carried: keptOld.length,
+        withLines: allPredictions.filter(p => p.lines).length,
+        valueBets: allPredictions.filter(p => p.moneyline?.positiveEV).length,
         byConfidence: {
           high: allPredictions.filter(p => p.confidence === 'high').length,
           medium: allPredictions.filter(p => p.confidence === 'medium').length,
@@ -95,7 +100,7 @@ async function generatePredictions() {
     };
 
     logger.info('Saving predictions...');
-    await dataManager.writeJSON(DATA_PATHS.PREDICTIONS, predictionsData);
+    await dataManager.writeJSON(predictionsPath, predictionsData);
 
     logger.end('Generate predictions', startTime);
 
@@ -116,7 +121,8 @@ async function generatePredictions() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  generatePredictions()
+  Promise.resolve()
+    .then(() => generatePredictions(getSeason()))
     .then(() => {
       logger.info('Prediction generation workflow completed successfully');
       process.exit(0);
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * NFLv2 - Simulate Workflow
+ * Projects records and playoff odds by simulating the rest of the season
+ */
+
+import { apiClient } from '../core/api-client.js';
+import { dataManager } from '../core/data-manager.js';
+import { DATA_PATHS, CURRENT_SEASON, SEASON_TYPES, SEASON_TYPE_WEEKS } from '../core/constants.js';
+import { loadConfig, getEffectiveConfig } from '../core/config.js';
+import { loadPredictionContext } from '../core/prediction-context.js';
+import { simulateSeason, parseScheduleGame } from '../core/season-simulator.js';
+import { discoverModels } from '../models/registry.js';
+import { getOption, getSeason, getSeed, hasFlag } from '../utils/cli.js';
+import { logger } from '../utils/logger.js';
+
+async function simulate(season = CURRENT_SEASON, { iterations = 10000, seed = Date.now(), offline = false } = {}) {
+  const startTime = logger.start('Simulate season', { season, iterations });
+
+  try {
+    await dataManager.migrateSeasonFiles();
+
+    const config = await loadConfig();
+
+    if (offline || config.archive.offline) {
+      apiClient.setOffline(true);
+    }
+
+    // Step 1: Regular-season schedule (completed games carry final scores)
+    logger.info('Loading schedule...');
+    const events = await apiClient.getWeekRange(1, SEASON_TYPE_WEEKS[SEASON_TYPES.REGULAR], SEASON_TYPES.REGULAR, season);
+    const schedule = events.map(parseScheduleGame).filter(Boolean);
+
+    if (schedule.length === 0) {
+      throw new Error(`No regular-season schedule found for ${season}`);
+    }
+
+    // Step 2: Elo ratings, calibration and the rest of the predict() context
+    logger.info('Loading cached data...');
+    const cachedData = await dataManager.readJSON(dataManager.seasonPath(DATA_PATHS.CACHED_DATA, season));
+
+    if (!cachedData) {
+      throw new Error(`No cached data found for ${season}. Run update-data.js first.`);
+    }
+
+    await discoverModels();
+    const context = await loadPredictionContext(season, { cachedData, config });
+    const { eloRatings: ratings, calibration } = context;
+
+    // Step 3: Simulate
+    const simulation = simulateSeason(schedule, { ratings, calibration, context, iterations, seed });
+
+    // Step 4: Save projections
+    const output = {
+      lastUpdated: new Date().toISOString(),
+      season,
+      config: getEffectiveConfig(config),
+      calibration,
+      ...simulation
+    };
+
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.SIMULATION, season), output);
+
+    logger.end('Simulate season', startTime);
+    return output;
+  } catch (error) {
+    logger.error('Season simulation failed', { error: error.message, stack: error.stack });
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => simulate(getSeason(), {
+      iterations: parseInt(getOption('iterations')) || 10000,
+      seed: getSeed(),
+      offline: hasFlag('offline')
+    }))
+    .then((result) => {
+      console.log(`\nSeason Projections (${result.season}, ${result.iterations} simulations, ${result.remainingGames} games left):`);
+      console.log('Team  Record  Proj W-L     Div%  Playoff%  Bye%  Conf%  SB%');
+      result.teams.forEach(t => {
+        console.log(
+          `${t.abbrev.padEnd(5)} ${t.record.padEnd(7)} ${`${t.projectedWins}-${t.projectedLosses}`.padEnd(11)} ` +
+          `${String(t.divisionOdds).padStart(5)} ${String(t.playoffOdds).padStart(9)} ${String(t.byeOdds).padStart(5)} ` +
+          `${String(t.conferenceOdds).padStart(6)} ${String(t.superBowlOdds).padStart(5)}`
+        );
+      });
+      process.exit(0);
+    })
+    .catch(error => {
+      logger.error('Simulate workflow failed', { error: error.message });
+      process.exit(1);
+    });
+}
+
+export default simulate;
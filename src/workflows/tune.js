@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * NFLv2 - Tune Workflow
+ * Searches model constants and blend weights against historical seasons
+ */
+
+import { apiClient } from '../core/api-client.js';
+import { dataManager } from '../core/data-manager.js';
+import { DATA_PATHS } from '../core/constants.js';
+import { loadConfig, getEffectiveConfig, deepMerge } from '../core/config.js';
+import { loadSeasons } from '../core/backtest-engine.js';
+import { tune, TUNING_SPACE, WEIGHTS_PARAM } from '../core/tuner.js';
+import { discoverModels } from '../models/registry.js';
+import { round } from '../utils/math.js';
+import { getOption, hasFlag, getPositionalArgs, getSeasons, getSeed } from '../utils/cli.js';
+import { logger } from '../utils/logger.js';
+
+// Trials kept in the report
+const REPORT_TOP_TRIALS = 10;
+
+/**
+ * Settings fragment for a winning trial
+ */
+function toSettings(trial) {
+  return {
+    models: Object.fromEntries(
+      Object.entries(trial.weights).map(([name, weight]) => [name, { enabled: true, weight: round(weight, 3) }])
+    ),
+    modelConstants: trial.constants
+  };
+}
+
+async function runTune({
+  seasons,
+  search = 'random',
+  trials = 100,
+  metric = 'brier',
+  params,
+  seed = Date.now(),
+  startWeek = 1,
+  includePostseason = false,
+  offline = false,
+  output = null
+}) {
+  const startTime = logger.start('Tune', { seasons, search, metric });
+
+  try {
+    const config = await loadConfig();
+    await discoverModels();
+
+    if (offline || config.archive.offline) {
+      apiClient.setOffline(true);
+    }
+
+    // Fetch each season once; every trial replays the same games
+    const seasonData = await loadSeasons(seasons, { includePostseason });
+
+    // The tuner quiets the logger while trials run, so progress goes to stdout
+    const onProgress = (evaluated, total) => {
+      if (evaluated % 25 === 0) console.log(`  ${evaluated}/${total} trials evaluated`);
+    };
+
+    const ranked = tune(seasonData, { config, search, trials, params, metric, seed, startWeek, onProgress });
+    if (ranked.length === 0) {
+      throw new Error('No trials could be scored (no completed games?)');
+    }
+
+    const best = ranked[0];
+    const baseline = ranked.find(trial => trial.baseline) || null;
+
+    const report = {
+      seasons,
+      search,
+      metric,
+      seed: search === 'random' ? seed : null,
+      startWeek,
+      includePostseason,
+      trials: ranked.length,
+      config: getEffectiveConfig(config),
+      lastUpdated: new Date().toISOString(),
+      baseline,
+      best,
+      improvement: baseline ? round(baseline.score - best.score, 5) : null,
+      settings: toSettings(best),
+      top: ranked.slice(0, REPORT_TOP_TRIALS)
+    };
+
+    await dataManager.writeJSON(DATA_PATHS.TUNING_RESULTS, report);
+
+    if (output) {
+      if (best.baseline) {
+        logger.info('Current settings scored best; writing them unchanged', { output });
+      }
+      await dataManager.updateJSON(output, existing => deepMerge(existing, report.settings));
+      logger.info('Wrote tuned settings', { output });
+    }
+
+    logger.end('Tune', startTime);
+    return report;
+  } catch (error) {
+    logger.error('Tune failed', { error: error.message, stack: error.stack });
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  Promise.resolve()
+    .then(() => {
+      const [startArg] = getPositionalArgs();
+      const paramsArg = getOption('params');
+
+      return runTune({
+        seasons: getSeasons(),
+        search: getOption('search') || 'random',
+        trials: parseInt(getOption('trials')) || 100,
+        metric: getOption('metric') || 'brier',
+        params: paramsArg ? paramsArg.split(',').map(p => p.trim()) : [...Object.keys(TUNING_SPACE), WEIGHTS_PARAM],
+        seed: getSeed(),
+        startWeek: parseInt(startArg) || 1,
+        includePostseason: hasFlag('postseason'),
+        offline: hasFlag('offline'),
+        output: getOption('output')
+      });
+    })
+    .then((report) => {
+      const format = (trial) => `${report.metric} ${trial.score.toFixed(5)} | ` +
+        `${Object.entries(trial.constants).map(([k, v]) => `${k}=${round(v, 3)}`).join(' ')} | ` +
+        `weights ${Object.entries(trial.weights).map(([k, v]) => `${k}=${round(v, 3)}`).join(' ')}`;
+
+      console.log('\nTuning Results:');
+      console.log(`Seasons: ${report.seasons.join(', ')}`);
+      console.log(`Search: ${report.search} (${report.trials} trials${report.seed !== null ? `, seed ${report.seed}` : ''})`);
+      console.log(`Games per trial: ${report.best.games}`);
+      if (report.baseline) {
+        console.log(`\nBaseline: ${format(report.baseline)}`);
+      }
+      console.log(`Best:     ${format(report.best)}`);
+      console.log(`\nTop ${report.top.length}:`);
+      report.top.forEach((trial, i) => console.log(`  ${i + 1}. ${format(trial)}${trial.baseline ? ' (current)' : ''}`));
+      process.exit(0);
+    })
+    .catch(error => {
+      logger.error('Tune workflow failed', { error: error.message });
+      process.exit(1);
+    });
+}
+
+export default runTune;
@@ -6,53 +6,52 @@
 
 import { apiClient } from '../core/api-client.js';
 import { dataManager } from '../core/data-manager.js';
-import { DATA_PATHS, UPDATE_CONFIG, CURRENT_SEASON } from '../core/constants.js';
-import { extractTeamStats, aggregateStats, calculateRankings } from '../utils/stats-parser.js';
+import { loadConfig } from '../core/config.js';
+import { DATA_PATHS, CURRENT_SEASON, SEASON_TYPES } from '../core/constants.js';
+import { calculateStandings } from '../core/standings.js';
+import { loadExpectedPoints } from '../core/expected-points-store.js';
+import { updatePlayerStats } from '../core/player-stats-store.js';
+import { summarizeGameEpa } from '../models/expected-points.js';
+import { parseGameRecord, aggregateStats, calculateRankings, getGameContext, extractLines } from '../utils/stats-parser.js';
+import { parsePlays } from '../utils/play-parser.js';
+import { parsePlayerStats } from '../utils/player-parser.js';
+import { isValidTeam } from '../utils/validator.js';
+import { createRandom } from '../utils/math.js';
+import { getSeason, getSeed } from '../utils/cli.js';
 import { logger } from '../utils/logger.js';
 
-async function updateData() {
-  const startTime = logger.start('Data update');
+async function updateData(season = CURRENT_SEASON, { seed = season } = {}) {
+  const startTime = logger.start('Data update', { season });
 
   try {
-    // Step 1: Fetch all completed games
+    await dataManager.migrateSeasonFiles();
+
+    // Archive raw ESPN responses so backtests can replay them offline
+    const config = await loadConfig();
+    apiClient.setRecording(config.archive.record);
+
+    // Step 1: Fetch all completed games (regular season + postseason)
     logger.info('Fetching all completed games...');
-    const summaries = await apiClient.getAllBoxscores(1, 18);
+    const summaries = await apiClient.getSeasonBoxscores(season);
+
+    // Step 2: Load the expected points model for EPA (fitted by `npm run fit-ep`)
+    const expectedPoints = await loadExpectedPoints();
 
-    // Step 2: Parse game statistics
+    // Step 3: Parse game statistics
     logger.info('Parsing game statistics...');
     const gameStats = [];
+    const playerLines = [];
     let successfulParses = 0;
     let failedParses = 0;
 
     for (const summary of summaries) {
-      const stats = extractTeamStats(summary);
-
-      if (stats) {
-        // Get game info
-        const gameInfo = summary.header?.competitions?.[0];
-        if (!gameInfo) continue;
-
-        const teams = gameInfo.competitors;
-        if (!teams || teams.length !== 2) continue;
-
-        const homeTeam = teams.find(t => t.homeAway === 'home');
-        const awayTeam = teams.find(t => t.homeAway === 'away');
-
-        if (!homeTeam || !awayTeam) continue;
-
-        gameStats.push({
-          id: summary.header.id,
-          date: gameInfo.date,
-          week: summary.header.week,
-          homeTeam: homeTeam.team.displayName,
-          awayTeam: awayTeam.team.displayName,
-          scores: {
-            [homeTeam.team.displayName]: parseInt(homeTeam.score) || 0,
-            [awayTeam.team.displayName]: parseInt(awayTeam.score) || 0
-          },
-          stats
-        });
+      // Skips incomplete summaries, preseason and exhibition (Pro Bowl) games
+      const plays = parsePlays(summary);
+      const game = parseGameRecord(summary, { plays, epa: summarizeGameEpa(plays, expectedPoints) });
 
+      if (game) {
+        gameStats.push(game);
+        playerLines.push(...parsePlayerStats(summary));
         successfulParses++;
       } else {
         failedParses++;
@@ -65,17 +64,24 @@ async function updateData() {
       failed: failedParses
     });
 
-    // Step 3: Aggregate team statistics
+    // Step 4: Aggregate team statistics
     logger.info('Aggregating team statistics...');
-    const teamAggregates = aggregateStats(gameStats);
+    const teamAggregates = aggregateStats(gameStats, { recency: config.recency });
 
-    // Step 4: Calculate rankings
-    logger.info('Calculating rankings...');
+    // Step 5: Calculate rankings and standings (regular season only); the
+    // coin toss is seeded so reruns write the same standings
+    logger.info('Calculating rankings and standings...');
     const rankings = calculateRankings(teamAggregates);
-
-    // Step 5: Fetch injury data
-    logger.info('Fetching injury data...');
-    const injuries = await apiClient.getInjuryData();
+    const standings = calculateStandings(gameStats, { random: createRandom(seed) });
+
+    // Step 6: Fetch injury data (Sleeper only reports current injuries)
+    let injuries = [];
+    if (season === CURRENT_SEASON) {
+      logger.info('Fetching injury data...');
+      injuries = await apiClient.getInjuryData();
+    } else {
+      logger.info('Skipping injury data for past season', { season });
+    }
 
     // Group injuries by team
     const injuriesByTeam = {};
@@ -86,12 +92,14 @@ async function updateData() {
       injuriesByTeam[injury.team].push(injury);
     });
 
-    // Step 6: Load manual injury overrides (if they exist)
+    // Step 7: Load manual injury overrides (if they exist)
     let manualInjuries = {};
-    try {
-      manualInjuries = await dataManager.readJSON(DATA_PATHS.MANUAL_INJURIES) || {};
-    } catch (error) {
-      logger.debug('No manual injuries file found');
+    if (season === CURRENT_SEASON) {
+      try {
+        manualInjuries = await dataManager.readJSON(DATA_PATHS.MANUAL_INJURIES) || {};
+      } catch (error) {
+        logger.debug('No manual injuries file found');
+      }
     }
 
       // Merge manual injuries
@@ -105,13 +113,13 @@ async function updateData() {
       if (!injuriesByTeam[team]) {
         injuriesByTeam[team] = [];
       }
-      injuriesByTeam[team].push(...teamInjuries);
+      injuriesByTeam[team].push(...teamInjuries.map(injury => ({ ...injury, source: 'manual' })));
     });
 
 
-    // Step 7: Get current week's games (upcoming)
+    // Step 8: Get current week's games (upcoming, regular season or playoffs)
     logger.info('Fetching current week games...');
-    const currentGames = await apiClient.getScoreboard();
+    const currentGames = await apiClient.getCurrentGames(season);
 
     // Parse current games
     const upcomingGames = currentGames
@@ -131,25 +139,37 @@ async function updateData() {
 
         if (!homeTeam || !awayTeam) return null;
 
+        // Playoff matchups may not be set yet (TBD) and the Pro Bowl is not an NFL game
+        if (!isValidTeam(homeTeam.team.displayName) || !isValidTeam(awayTeam.team.displayName)) return null;
+
+        const context = getGameContext(game);
+        if (context.seasonType === SEASON_TYPES.PRESEASON) return null;
+
         return {
           id: game.id,
           date: comp.date,
           status: game.status?.type?.state,
+          week: context.week,
+          seasonType: context.seasonType,
+          round: context.round,
+          neutralSite: context.neutralSite,
           homeTeam: homeTeam.team.displayName,
           awayTeam: awayTeam.team.displayName,
           homeScore: parseInt(homeTeam.score) || 0,
-          awayScore: parseInt(awayTeam.score) || 0
+          awayScore: parseInt(awayTeam.score) || 0,
+          lines: extractLines(game)
         };
       })
       .filter(g => g !== null);
 
-    // Step 8: Prepare cached data object
+    // Step 9: Prepare cached data object
     const cachedData = {
       lastUpdated: new Date().toISOString(),
-      season: CURRENT_SEASON,
+      season,
       gameStats,
       teamStats: teamAggregates,
       rankings,
+      standings,
       injuries: injuriesByTeam,
       upcomingGames,
       summary: {
@@ -160,9 +180,13 @@ async function updateData() {
       }
     };
 
-    // Step 9: Save cached data atomically
+    // Step 10: Save cached data atomically
     logger.info('Saving cached data...');
-    await dataManager.writeJSON(DATA_PATHS.CACHED_DATA, cachedData);
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.CACHED_DATA, season), cachedData);
+
+    // Step 11: Aggregate and save player stats (linked to Sleeper ids), only
+    // when the set of final games changed so game-day runs don't rewrite them
+    const { players: playerStats } = await updatePlayerStats(season, gameStats.map(game => game.id), playerLines);
 
     // Clear API cache for next run
     apiClient.clearCache();
@@ -172,7 +196,8 @@ async function updateData() {
     logger.info('✅ Data update complete', {
       games: gameStats.length,
       upcoming: upcomingGames.length,
-      injuries: injuries.length
+      injuries: injuries.length,
+      players: Object.keys(playerStats).length
     });
 
     return cachedData;
@@ -184,7 +209,11 @@ async function updateData() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  updateData()
+  Promise.resolve()
+    .then(() => {
+      const season = getSeason();
+      return updateData(season, { seed: getSeed(undefined, season) });
+    })
     .then(() => {
       logger.info('Data update workflow completed successfully');
       process.exit(0);
@@ -0,0 +1,179 @@
+/**
+ * NFLv2 - Archive & Offline Mode Tests
+ * Raw ESPN responses round-trip through the archive and offline replays never
+ * touch the network
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { archive } from '../src/core/archive.js';
+import { apiClient } from '../src/core/api-client.js';
+import { loadSeasonGames } from '../src/core/backtest-engine.js';
+import { dataManager } from '../src/core/data-manager.js';
+import { fitArchivedExpectedPoints } from '../src/core/expected-points-store.js';
+import { API_ENDPOINTS } from '../src/core/constants.js';
+import { getDefaultExpectedPoints } from '../src/models/expected-points.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const EVENT_ID = '401547353';
+
+let rootPath;
+let summary;
+let scoreboard;
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nflv2-archive-'));
+  archive.rootPath = rootPath;
+  archive.summaryIndex = null;
+  summary = await loadFixture('espn-summary.json');
+  scoreboard = await loadFixture('espn-scoreboard.json');
+});
+
+afterEach(async () => {
+  apiClient.setOffline(false);
+  apiClient.setRecording(false);
+  apiClient.clearCache();
+  await fs.rm(rootPath, { recursive: true, force: true });
+});
+
+describe('archive', () => {
+  test('stores summaries under the season, type and week in their header', async () => {
+    assert.equal(await archive.saveSummary(summary), true);
+
+    const filePath = path.join(rootPath, '2023', '2', 'week-1', `${EVENT_ID}.json`);
+    assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf-8')), summary);
+    assert.deepEqual(await archive.readSummary(EVENT_ID), summary);
+  });
+
+  test('keeps the first copy of a completed game', async () => {
+    await archive.saveSummary(summary);
+    const edited = structuredClone(summary);
+    edited.header.competitions[0].competitors[0].score = '99';
+
+    assert.equal(await archive.saveSummary(edited), false);
+    assert.equal((await archive.readSummary(EVENT_ID)).header.competitions[0].competitors[0].score, '20');
+
+    assert.equal(await archive.saveSummary(edited, { overwrite: true }), true);
+    assert.equal((await archive.readSummary(EVENT_ID)).header.competitions[0].competitors[0].score, '99');
+  });
+
+  test('skips summaries without a week', async () => {
+    delete summary.header.week;
+
+    assert.equal(await archive.saveSummary(summary), false);
+    assert.equal(await archive.readSummary(EVENT_ID), null);
+  });
+
+  test('reads a scoreboard by week, or the latest archived week', async () => {
+    await archive.saveScoreboard(2023, 2, 2, { events: [], week: { number: 2 } });
+    await archive.saveScoreboard(2023, 2, 10, { events: [], week: { number: 10 } });
+    await archive.saveScoreboard(2023, 2, 1, scoreboard);
+
+    assert.deepEqual(await archive.listWeeks(2023, 2), [1, 2, 10]);
+    assert.deepEqual(await archive.readScoreboard(2023, 2, 1), scoreboard);
+    assert.equal((await archive.readScoreboard(2023, 2)).week.number, 10);
+    assert.equal(await archive.readScoreboard(2023, 3, 1), null);
+  });
+
+  test('lists archived seasons and their summaries', async () => {
+    const earlier = structuredClone(summary);
+    earlier.header.id = '401437654';
+    earlier.header.season.year = 2022;
+    await archive.saveSummary(earlier);
+    await archive.saveSummary(summary);
+
+    assert.deepEqual(await archive.listSeasons(), [2022, 2023]);
+    assert.deepEqual(await archive.listSummaries(2023), [[EVENT_ID, path.join(rootPath, '2023', '2', 'week-1', `${EVENT_ID}.json`)]]);
+    assert.deepEqual([...(await archive.getSummaryIndex()).keys()].sort(), ['401437654', EVENT_ID]);
+  });
+});
+
+describe('expected points store', () => {
+  test('fits a backtest model only on seasons before the replayed one', async (t) => {
+    const earlier = structuredClone(summary);
+    earlier.header.id = '401437654';
+    earlier.header.season.year = 2022;
+    await archive.saveSummary(earlier);
+    await archive.saveSummary(summary);
+    const readJSON = t.mock.method(dataManager, 'readJSON');
+
+    const model = await fitArchivedExpectedPoints({ beforeSeason: 2023 });
+
+    const read = readJSON.mock.calls.map(call => path.basename(call.arguments[0], '.json'));
+    assert.deepEqual(read, ['401437654']);
+    assert.equal(model.fitted, false);
+  });
+});
+
+describe('api client', () => {
+  test('records fetched scoreboards and summaries when recording', async () => {
+    const params = new URLSearchParams({ dates: '2023', seasontype: '2', limit: '100', week: '1' });
+    apiClient.requestCache.set(`${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SCOREBOARD}?${params}`, scoreboard);
+    apiClient.requestCache.set(`${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SUMMARY}?event=${EVENT_ID}`, summary);
+    apiClient.setRecording(true);
+
+    await apiClient.getScoreboard(1, 2, 2023);
+    await apiClient.getGameSummary(EVENT_ID);
+
+    assert.deepEqual(await archive.readScoreboard(2023, 2, 1), scoreboard);
+    assert.deepEqual(await archive.readSummary(EVENT_ID), summary);
+  });
+
+  test('does not record by default', async () => {
+    apiClient.requestCache.set(`${API_ENDPOINTS.ESPN_BASE}${API_ENDPOINTS.ESPN_SUMMARY}?event=${EVENT_ID}`, summary);
+
+    await apiClient.getGameSummary(EVENT_ID);
+
+    assert.equal(await archive.readSummary(EVENT_ID), null);
+  });
+
+  test('serves only archived data when offline', async () => {
+    await archive.saveScoreboard(2023, 2, 1, scoreboard);
+    await archive.saveSummary(summary);
+    apiClient.setOffline(true);
+
+    assert.deepEqual(await apiClient.getScoreboard(1, 2, 2023), scoreboard.events);
+    assert.deepEqual(await apiClient.getGameSummary(EVENT_ID), summary);
+    assert.deepEqual(await apiClient.getGameSummaries([EVENT_ID, '1']), [summary, null]);
+    assert.deepEqual(await apiClient.getScoreboard(2, 2, 2023), []);
+    await assert.rejects(apiClient.cachedFetch(API_ENDPOINTS.SLEEPER_PLAYERS), /offline mode/);
+  });
+});
+
+describe('offline backtest loading', () => {
+  test('builds slots with parsed boxscores and lines from the archive', async () => {
+    await archive.saveScoreboard(2023, 2, 1, scoreboard);
+    await archive.saveSummary(summary);
+    apiClient.setOffline(true);
+
+    const slots = await loadSeasonGames(2023, { endWeek: 1, expectedPoints: getDefaultExpectedPoints() });
+
+    assert.equal(slots.length, 1);
+    const [game] = slots[0].games;
+    assert.equal(game.id, EVENT_ID);
+    assert.equal(game.homeTeam, 'Kansas City Chiefs');
+    assert.equal(game.awayTeam, 'Detroit Lions');
+    assert.equal(game.actualHomeScore, 20);
+    assert.equal(game.actualAwayScore, 21);
+    assert.equal(game.record.stats['Detroit Lions'].totalYards, 368);
+    assert.equal(game.lines.spread, -6.5);
+  });
+
+  test('skips games whose summary is not archived', async () => {
+    await archive.saveScoreboard(2023, 2, 1, scoreboard);
+    apiClient.setOffline(true);
+
+    const slots = await loadSeasonGames(2023, { endWeek: 1, expectedPoints: getDefaultExpectedPoints() });
+
+    assert.equal(slots[0].games.length, 1);
+    assert.equal(slots[0].games[0].record, null);
+  });
+});
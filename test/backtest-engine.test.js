@@ -0,0 +1,96 @@
+/**
+ * NFLv2 - Backtest Engine Tests
+ * Week-by-week replay with point-in-time team stats
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { runBacktest } from '../src/core/backtest-engine.js';
+import { parseGameRecord } from '../src/utils/stats-parser.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+// Team pairs for the synthetic schedule (the fixture's game, renamed)
+const MATCHUPS = [
+  ['Kansas City Chiefs', 'Detroit Lions'],
+  ['Denver Broncos', 'Chicago Bears'],
+  ['Buffalo Bills', 'Miami Dolphins']
+];
+
+let record;
+
+/**
+ * A completed backtest game built from the fixture's record
+ */
+function makeGame(week, [homeTeam, awayTeam], index) {
+  const renamed = JSON.parse(JSON.stringify(record)
+    .replaceAll('Kansas City Chiefs', homeTeam)
+    .replaceAll('Detroit Lions', awayTeam));
+  const id = `${week}0${index}`;
+
+  return {
+    id,
+    date: `2023-09-${String(week * 7).padStart(2, '0')}T17:00Z`,
+    week,
+    seasonType: 2,
+    neutralSite: false,
+    homeTeam,
+    awayTeam,
+    actualHomeScore: renamed.scores[homeTeam],
+    actualAwayScore: renamed.scores[awayTeam],
+    record: { ...renamed, id, week },
+    lines: null
+  };
+}
+
+/**
+ * Week slots with every matchup played each week
+ */
+function makeSlots(weeks) {
+  return Array.from({ length: weeks }, (_, i) => ({
+    seasonType: 2,
+    week: i + 1,
+    label: `week ${i + 1}`,
+    games: MATCHUPS.map((teams, index) => makeGame(i + 1, teams, index))
+  }));
+}
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  record = parseGameRecord(await loadFixture('espn-summary.json'));
+});
+
+describe('runBacktest', () => {
+  test('predicts week 1 from league averages when no team has played', (t) => {
+    const errors = t.mock.method(logger, 'error', () => {});
+
+    const { results, weeks } = runBacktest(makeSlots(3), { startWeek: 1 });
+
+    assert.deepEqual(weeks.map(w => w.games), [3, 3, 3]);
+    assert.equal(results.length, 9);
+    assert.equal(errors.mock.calls.length, 0);
+
+    const week1 = results.filter(r => r.week === 1);
+    week1.forEach(result => {
+      assert.ok(Number.isFinite(result.spread));
+      assert.ok(Number.isFinite(result.homeWinProbability));
+    });
+  });
+
+  test('only warms up weeks before startWeek', () => {
+    const { weeks } = runBacktest(makeSlots(3), { startWeek: 2 });
+
+    assert.deepEqual(weeks.map(w => w.week), [2, 3]);
+  });
+
+  test('rejects a slot whose game is already in team stats', () => {
+    const slots = makeSlots(2);
+    slots[1].games[0] = slots[0].games[0];
+
+    assert.throws(() => runBacktest(slots, { startWeek: 1 }), /Point-in-time violation/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * NFLv2 - CLI Tests
+ * Argument parsing and how workflows report bad arguments
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { getSeason, getSeasons, getSeed } from '../src/utils/cli.js';
+import { CURRENT_SEASON } from '../src/core/constants.js';
+
+const WORKFLOWS = ['update-data', 'generate-predictions', 'check-results', 'backtest', 'tune', 'simulate', 'fit-expected-points'];
+
+/**
+ * Run a workflow script with arguments (returns spawnSync's result)
+ */
+function runWorkflow(name, args) {
+  const script = fileURLToPath(new URL(`../src/workflows/${name}.js`, import.meta.url));
+  return spawnSync(process.execPath, [script, ...args], { encoding: 'utf-8', timeout: 30000 });
+}
+
+describe('argument parsing', () => {
+  test('reads --season, --seasons and --seed', () => {
+    assert.equal(getSeason([]), CURRENT_SEASON);
+    assert.equal(getSeason(['--season', '2023']), 2023);
+    assert.deepEqual(getSeasons(['--seasons', '2023,2021,2023']), [2021, 2023]);
+    assert.equal(getSeed(['--seed=0']), 0);
+    assert.equal(getSeed([], 2024), 2024);
+  });
+
+  test('throws on invalid values', () => {
+    assert.throws(() => getSeason(['--season', 'abc']), /Invalid --season/);
+    assert.throws(() => getSeasons(['--seasons', '2023,x']), /Invalid --seasons/);
+    assert.throws(() => getSeed(['--seed', 'nope']), /Invalid --seed/);
+  });
+});
+
+describe('workflows', () => {
+  WORKFLOWS.forEach(name => {
+    test(`${name} logs a bad argument and exits non-zero`, () => {
+      const { status, stdout, stderr } = runWorkflow(name, ['--season', 'abc', '--seasons', 'abc']);
+      const output = stdout + stderr;
+
+      assert.equal(status, 1);
+      assert.match(output, /ERROR .*workflow failed .*Invalid --seasons?/);
+      assert.doesNotMatch(output, /^\s+at /m);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * NFLv2 - Data Manager Tests
+ * Season-suffixed data files, legacy migration and the dashboard's latest copies
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { dataManager } from '../src/core/data-manager.js';
+import { CURRENT_SEASON, DATA_PATHS } from '../src/core/constants.js';
+import { logger } from '../src/utils/logger.js';
+
+const PROJECT_ROOT = dataManager.rootPath;
+
+let rootPath;
+
+/**
+ * Data paths the dashboard fetches (public/index.html, published with
+ * data/latest copied under public/data/latest)
+ */
+async function getDashboardPaths() {
+  const html = await fs.readFile(path.join(PROJECT_ROOT, 'public', 'index.html'), 'utf-8');
+  return [...html.matchAll(/fetch\('\.\/(data\/[^']+)'\)/g)].map(match => match[1]);
+}
+
+const write = (filePath, data) => fs.writeFile(path.join(rootPath, filePath), JSON.stringify(data));
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nflv2-data-'));
+  await fs.mkdir(path.join(rootPath, 'data'));
+  dataManager.rootPath = rootPath;
+  dataManager.migration = null;
+});
+
+afterEach(async () => {
+  dataManager.rootPath = PROJECT_ROOT;
+  dataManager.migration = null;
+  await fs.rm(rootPath, { recursive: true, force: true });
+});
+
+describe('season files', () => {
+  test('suffixes every season, the current one included', () => {
+    assert.equal(dataManager.seasonPath(DATA_PATHS.PREDICTIONS, 2023), './data/predictions-2023.json');
+    assert.equal(dataManager.seasonPath(DATA_PATHS.PREDICTIONS), `./data/predictions-${CURRENT_SEASON}.json`);
+  });
+
+  test('moves legacy files to their season and never overwrites', async () => {
+    await write('data/predictions.json', { season: 2023, predictions: [] });
+    await write('data/results.json', { lastUpdated: '2024-02-01T00:00:00Z', results: [] });
+    await write('data/cached-data.json', { season: 2022, gameStats: ['legacy'] });
+    await write('data/cached-data-2022.json', { season: 2022, gameStats: ['kept'] });
+
+    await dataManager.migrateSeasonFiles();
+
+    assert.equal((await dataManager.readJSON('./data/predictions-2023.json')).season, 2023);
+    assert.deepEqual((await dataManager.readJSON('./data/results-2023.json')).results, []);
+    assert.deepEqual((await dataManager.readJSON('./data/cached-data-2022.json')).gameStats, ['kept']);
+    assert.equal(await dataManager.exists(DATA_PATHS.CACHED_DATA), true);
+  });
+});
+
+describe('dashboard', () => {
+  test('fetches only the latest copies', async () => {
+    const paths = await getDashboardPaths();
+
+    assert.deepEqual(paths, ['data/latest/predictions.json', 'data/latest/results.json', 'data/latest/cached-data.json']);
+  });
+
+  test('paths resolve after migrating legacy current-season files', async () => {
+    await write('data/predictions.json', { season: CURRENT_SEASON, predictions: [{ id: '1' }] });
+    await write('data/results.json', { season: CURRENT_SEASON, results: [] });
+    await write('data/cached-data.json', { season: CURRENT_SEASON, gameStats: [] });
+
+    await dataManager.migrateSeasonFiles();
+
+    for (const filePath of await getDashboardPaths()) {
+      assert.equal(await dataManager.exists(filePath), true, filePath);
+    }
+    assert.deepEqual((await dataManager.readJSON('./data/latest/predictions.json')).predictions, [{ id: '1' }]);
+    assert.equal(await dataManager.exists(DATA_PATHS.PREDICTIONS), false);
+  });
+
+  test('paths follow current-season writes but not past seasons', async () => {
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.PREDICTIONS), { season: CURRENT_SEASON, predictions: [] });
+    await dataManager.updateJSON(dataManager.seasonPath(DATA_PATHS.RESULTS), () => ({ season: CURRENT_SEASON, results: [] }));
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.CACHED_DATA), { season: CURRENT_SEASON, gameStats: [] });
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.PREDICTIONS, CURRENT_SEASON - 1), { season: CURRENT_SEASON - 1 });
+    await dataManager.writeJSON(dataManager.seasonPath(DATA_PATHS.SIMULATION), { season: CURRENT_SEASON });
+
+    for (const filePath of await getDashboardPaths()) {
+      assert.equal(await dataManager.exists(filePath), true, filePath);
+    }
+    assert.equal((await dataManager.readJSON('./data/latest/predictions.json')).season, CURRENT_SEASON);
+    assert.deepEqual((await fs.readdir(path.join(rootPath, 'data', 'latest'))).sort(), ['cached-data.json', 'predictions.json', 'results.json']);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * NFLv2 - Drive Parser Tests
+ * Drive results and per-team drive efficiency from ESPN drives
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { classifyDriveResult, parseDrives, summarizeGameDrives } from '../src/utils/drive-parser.js';
+import { parseGameRecord, aggregateStats } from '../src/utils/stats-parser.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const DET = 'Detroit Lions';
+const KC = 'Kansas City Chiefs';
+
+let summary;
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  summary = await loadFixture('espn-summary-first-quarter.json');
+});
+
+describe('classifyDriveResult', () => {
+  const cases = [
+    ['TD', 'touchdown'],
+    ['FG', 'fieldGoal'],
+    ['MISSED FG', 'missedFieldGoal'],
+    ['PUNT', 'punt'],
+    ['INT', 'interception'],
+    ['FUMBLE', 'fumble'],
+    ['DOWNS', 'downs'],
+    ['END OF HALF', 'endOfHalf'],
+    ['', 'other']
+  ];
+
+  cases.forEach(([result, expected]) => {
+    test(`"${result}" is ${expected}`, () => {
+      assert.equal(classifyDriveResult({ result }), expected);
+    });
+  });
+});
+
+describe('parseDrives', () => {
+  test('parses results, points and starting field position in game order', () => {
+    const drives = parseDrives(summary);
+
+    assert.deepEqual(drives.map(d => d.offense), [DET, KC, DET, KC]);
+    assert.deepEqual(drives.map(d => d.result), ['punt', 'touchdown', 'interception', 'fieldGoal']);
+    assert.deepEqual(drives.map(d => d.points), [0, 7, 0, 3]);
+    assert.deepEqual(drives.map(d => d.startYardLine), [25, 30, 25, 60]);
+    assert.deepEqual(drives.map(d => d.snaps), [4, 6, 3, 4]);
+  });
+
+  test('flags three-and-outs, red zone trips and turnovers', () => {
+    const [punt, touchdown, interception, fieldGoal] = parseDrives(summary);
+
+    assert.equal(punt.threeAndOut, true);
+    assert.equal(touchdown.redZoneTrip, true);
+    assert.equal(touchdown.redZoneTouchdown, true);
+    assert.equal(interception.turnover, true);
+    assert.equal(fieldGoal.redZoneTrip, false);
+  });
+
+  test('falls back to the start text without snap field positions', () => {
+    summary.drives.previous[3].plays.forEach(play => delete play.start.yardsToEndzone);
+
+    assert.equal(parseDrives(summary)[3].startYardLine, 60);
+  });
+
+  test('returns [] without drives', () => {
+    delete summary.drives;
+
+    assert.deepEqual(parseDrives(summary), []);
+  });
+});
+
+describe('summarizeGameDrives', () => {
+  test('totals drives for the team with the ball', () => {
+    const totals = summarizeGameDrives(parseDrives(summary));
+
+    assert.deepEqual(totals[KC], {
+      drives: 2,
+      drivePoints: 10,
+      driveStarts: 2,
+      driveStartYardLine: 90,
+      redZoneTrips: 1,
+      redZoneTouchdowns: 1,
+      threeAndOuts: 0,
+      driveTurnovers: 0
+    });
+    assert.equal(totals[DET].threeAndOuts, 1);
+    assert.equal(totals[DET].driveTurnovers, 1);
+  });
+
+  test('becomes per-drive rates for offense and defense in aggregateStats', async () => {
+    const game = await loadFixture('espn-summary.json');
+    game.drives = summary.drives;
+
+    const stats = aggregateStats([parseGameRecord(game)]);
+
+    assert.equal(stats[KC].pointsPerDrive, 5);
+    assert.equal(stats[KC].avgDriveStart, 45);
+    assert.equal(stats[KC].redZoneTdPct, 100);
+    assert.equal(stats[DET].threeAndOutPct, 50);
+    assert.equal(stats[DET].driveTurnoverPct, 50);
+    assert.equal(stats[DET].pointsPerDriveAllowed, 5);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * NFLv2 - Play-by-Play and Expected Points Tests
+ * Plays from ESPN drives, EPA per play and per-team EPA totals
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { parsePlays, hasGameState } from '../src/utils/play-parser.js';
+import { parseGameRecord } from '../src/utils/stats-parser.js';
+import { getDefaultExpectedPoints, getExpectedPoints, addPlayEpa, summarizeGameEpa } from '../src/models/expected-points.js';
+import { round } from '../src/utils/math.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const DET = 'Detroit Lions';
+const KC = 'Kansas City Chiefs';
+const model = getDefaultExpectedPoints();
+
+let plays;
+
+/**
+ * A parsed play by ESPN sequence number
+ */
+const playAt = (list, sequence) => list.find(play => play.sequence === sequence);
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  plays = parsePlays(await loadFixture('espn-summary-first-quarter.json'));
+});
+
+describe('parsePlays', () => {
+  test('normalizes down, distance, field position and result', () => {
+    assert.equal(plays.length, 19);
+
+    const pass = playAt(plays, 800);
+    assert.equal(pass.offense, KC);
+    assert.equal(pass.defense, DET);
+    assert.equal(pass.down, 2);
+    assert.equal(pass.distance, 5);
+    assert.equal(pass.yardsToGoal, 53);
+    assert.equal(pass.playType, 'pass');
+    assert.equal(pass.yards, 18);
+    assert.equal(pass.result, 'firstDown');
+    assert.equal(pass.clock, 12 * 60 + 20);
+
+    assert.equal(playAt(plays, 1500).result, 'turnover');
+    assert.equal(playAt(plays, 1700).playType, 'sack');
+    assert.equal(hasGameState(playAt(plays, 100)), false);
+  });
+
+  test('credits scoring plays to the team whose score went up', () => {
+    const touchdown = playAt(plays, 1100);
+    const fieldGoal = playAt(plays, 1900);
+
+    assert.equal(touchdown.result, 'touchdown');
+    assert.equal(touchdown.scoringTeam, KC);
+    assert.equal(fieldGoal.result, 'fieldGoal');
+    assert.equal(fieldGoal.scoringTeam, KC);
+    assert.deepEqual([fieldGoal.homeScore, fieldGoal.awayScore], [10, 0]);
+  });
+});
+
+describe('addPlayEpa', () => {
+  let valued;
+
+  beforeEach(() => {
+    valued = addPlayEpa(plays, model);
+  });
+
+  test('values a play by the EP of the next snap', () => {
+    const rush = playAt(plays, 700);
+    const next = playAt(plays, 800);
+
+    assert.equal(playAt(valued, 700).epa, round(getExpectedPoints(model, next) - getExpectedPoints(model, rush), 3));
+    assert.equal(playAt(valued, 800).success, true);
+    assert.equal(playAt(valued, 300).success, false);
+  });
+
+  test('values scores by their points and turnovers by the other side\'s EP', () => {
+    const touchdown = playAt(plays, 1100);
+    const interception = playAt(plays, 1500);
+    const takeover = playAt(plays, 1600);
+
+    assert.equal(playAt(valued, 1100).epa, round(7 - getExpectedPoints(model, touchdown), 3));
+    assert.equal(
+      playAt(valued, 1500).epa,
+      round(-getExpectedPoints(model, takeover) - getExpectedPoints(model, interception), 3)
+    );
+    assert.equal(playAt(valued, 100).epa, null);
+  });
+});
+
+describe('summarizeGameEpa', () => {
+  test('totals offensive snaps per team, with sacks as dropbacks', () => {
+    const epa = summarizeGameEpa(plays, model);
+    const valued = addPlayEpa(plays, model);
+    const snaps = (team, types) => valued.filter(play => play.offense === team && types.includes(play.playType));
+
+    assert.equal(epa[KC].epaPlays, 9);
+    assert.equal(epa[KC].epaPassPlays, 6);
+    assert.equal(epa[KC].epaRushPlays, 3);
+    assert.equal(epa[DET].epaPlays, 6);
+    assert.equal(epa[DET].successfulPlays, 3);
+
+    const passEpa = snaps(KC, ['pass', 'sack']).reduce((sum, play) => sum + play.epa, 0);
+    assert.equal(round(epa[KC].passEpa, 3), round(passEpa, 3));
+  });
+
+  test('is merged into the game record with play-by-play touchdowns', async () => {
+    const summary = await loadFixture('espn-summary.json');
+    const firstQuarter = await loadFixture('espn-summary-first-quarter.json');
+    summary.drives = firstQuarter.drives;
+
+    const record = parseGameRecord(summary, { plays, epa: summarizeGameEpa(plays, model) });
+
+    assert.equal(record.stats[KC].epaPlays, 9);
+    assert.equal(record.stats[DET].epaPlays, 6);
+    assert.equal(record.stats[KC].touchdowns, 1);
+    assert.equal(record.stats[DET].touchdowns, 0);
+  });
+});
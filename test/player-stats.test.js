@@ -0,0 +1,153 @@
+/**
+ * NFLv2 - Player Stats Tests
+ * Per-player boxscore lines, season aggregates and the saved player stats
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parsePlayerStats, aggregatePlayerStats } from '../src/utils/player-parser.js';
+import { updatePlayerStats } from '../src/core/player-stats-store.js';
+import { apiClient } from '../src/core/api-client.js';
+import { dataManager } from '../src/core/data-manager.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const DET = 'Detroit Lions';
+const KC = 'Kansas City Chiefs';
+const GOFF = '3046779';
+const ST_BROWN = '4374302';
+const REYNOLDS = '4241802';
+const BRANCH = '4685720';
+
+let summary;
+
+/**
+ * The fixture's game under another id and date
+ */
+function replay(id, date) {
+  const copy = structuredClone(summary);
+  copy.header.id = id;
+  copy.header.competitions[0].date = date;
+  return copy;
+}
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  summary = await loadFixture('espn-summary.json');
+});
+
+describe('parsePlayerStats', () => {
+  test('builds one line per athlete with game context', () => {
+    const lines = parsePlayerStats(summary);
+
+    assert.equal(lines.length, 12);
+    assert.deepEqual(new Set(lines.map(line => line.team)), new Set([DET, KC]));
+    lines.forEach(line => {
+      assert.equal(line.gameId, '401547353');
+      assert.equal(line.week, 1);
+      assert.equal(line.opponent, line.team === DET ? KC : DET);
+    });
+  });
+
+  test('parses receiving and defensive categories', () => {
+    const lines = parsePlayerStats(summary);
+    const reynolds = lines.find(line => line.playerId === REYNOLDS);
+    const branch = lines.find(line => line.playerId === BRANCH);
+
+    assert.equal(reynolds.stats.receptions, 3);
+    assert.equal(reynolds.stats.targets, 6);
+    assert.equal(reynolds.stats.receivingYards, 80);
+    assert.equal(reynolds.stats.receivingTouchdowns, 1);
+    assert.equal(branch.stats.interceptions, 1);
+    assert.equal(branch.stats.interceptionYards, 50);
+    assert.equal(branch.stats.interceptionTouchdowns, 1);
+  });
+
+  test('returns [] without boxscore players', () => {
+    delete summary.boxscore.players;
+
+    assert.deepEqual(parsePlayerStats(summary), []);
+  });
+});
+
+describe('aggregatePlayerStats', () => {
+  test('totals games, keeps a per-game log and links Sleeper ids', () => {
+    const lines = [summary, replay('401547500', '2023-09-17T17:00Z')].flatMap(parsePlayerStats);
+    const players = aggregatePlayerStats(lines, { sleeperIds: { [GOFF]: '6904' } });
+    const goff = players[GOFF];
+
+    assert.equal(goff.sleeperId, '6904');
+    assert.equal(goff.games, 2);
+    assert.equal(goff.totals.passingAttempts, 68);
+    assert.equal(goff.totals.passingYards, 542);
+    assert.deepEqual(goff.gameLog.map(game => game.gameId), ['401547353', '401547500']);
+    assert.equal(goff.gameLog[0].passingTouchdowns, 1);
+    assert.equal('receptions' in goff.gameLog[0], false);
+    assert.equal(goff.rates.completionPct, (22 / 34) * 100);
+    assert.equal(players[ST_BROWN].sleeperId, null);
+    assert.equal(players[ST_BROWN].rates.catchRate, (6 / 9) * 100);
+  });
+});
+
+describe('updatePlayerStats', () => {
+  const PROJECT_ROOT = dataManager.rootPath;
+  const filePath = () => path.join(dataManager.rootPath, 'data', 'player-stats-2023.json');
+  let idMap;
+
+  beforeEach(async (t) => {
+    dataManager.rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'nflv2-players-'));
+    await fs.mkdir(path.join(dataManager.rootPath, 'data'));
+    idMap = t.mock.method(apiClient, 'getPlayerIdMap', async () => ({ [GOFF]: '6904' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataManager.rootPath, { recursive: true, force: true });
+    dataManager.rootPath = PROJECT_ROOT;
+  });
+
+  test('writes the season\'s players with the games they cover', async () => {
+    const { players, updated } = await updatePlayerStats(2023, ['401547353'], parsePlayerStats(summary));
+    const saved = JSON.parse(await fs.readFile(filePath(), 'utf-8'));
+
+    assert.equal(updated, true);
+    assert.deepEqual(saved.gameIds, ['401547353']);
+    assert.equal(saved.season, 2023);
+    assert.equal(saved.players[GOFF].sleeperId, '6904');
+    assert.deepEqual(saved.players, players);
+  });
+
+  test('keeps the saved file when no new game has gone final', async () => {
+    const lines = parsePlayerStats(summary);
+    await updatePlayerStats(2023, ['401547353'], lines);
+    const before = await fs.readFile(filePath(), 'utf-8');
+
+    const { players, updated } = await updatePlayerStats(2023, ['401547353'], lines);
+
+    assert.equal(updated, false);
+    assert.equal(await fs.readFile(filePath(), 'utf-8'), before);
+    assert.deepEqual(players, JSON.parse(before).players);
+    assert.equal(idMap.mock.calls.length, 1);
+  });
+
+  test('rewrites the file when a new game goes final', async () => {
+    const next = replay('401547500', '2023-09-17T17:00Z');
+    await updatePlayerStats(2023, ['401547353'], parsePlayerStats(summary));
+
+    const { players, updated } = await updatePlayerStats(
+      2023,
+      ['401547500', '401547353'],
+      [summary, next].flatMap(parsePlayerStats)
+    );
+    const saved = JSON.parse(await fs.readFile(filePath(), 'utf-8'));
+
+    assert.equal(updated, true);
+    assert.deepEqual(saved.gameIds, ['401547353', '401547500']);
+    assert.equal(players[GOFF].games, 2);
+  });
+});
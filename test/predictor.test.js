@@ -0,0 +1,50 @@
+/**
+ * NFLv2 - Predictor Tests
+ * Per-model summaries in the blended prediction record
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { predict } from '../src/models/predictor.js';
+import { registerModel, unregisterModel } from '../src/models/registry.js';
+import { logger } from '../src/utils/logger.js';
+
+const GAME = { id: '1', date: '2025-09-07T17:00Z', week: 1, homeTeam: 'Kansas City Chiefs', awayTeam: 'Detroit Lions' };
+const CONFIG = { models: { stub: { enabled: true, weight: 1 } } };
+
+let output;
+
+/**
+ * Predict GAME with a single model returning the given output
+ */
+function predictWith(modelOutput) {
+  output = modelOutput;
+  return predict(GAME, { config: CONFIG });
+}
+
+beforeEach(() => {
+  logger.setLevel('error');
+  registerModel({ name: 'stub', predictGame: () => output });
+});
+
+afterEach(() => {
+  unregisterModel('stub');
+});
+
+describe('predict', () => {
+  test('records each model\'s winner from its scores', () => {
+    const prediction = predictWith({ homeScore: 20, awayScore: 24, homeWinProb: 0.6 });
+
+    assert.equal(prediction.models.stub.winner, GAME.awayTeam);
+    assert.equal(prediction.models.stub.score, '20-24');
+  });
+
+  test('picks a tied model score\'s winner from its win probability', () => {
+    const home = predictWith({ homeScore: 21, awayScore: 21, homeWinProb: 0.55 });
+    const away = predictWith({ homeScore: 21, awayScore: 21, homeWinProb: 0.45 });
+
+    assert.equal(home.models.stub.winner, GAME.homeTeam);
+    assert.equal(away.models.stub.winner, GAME.awayTeam);
+    assert.equal(home.predictedWinner, GAME.homeTeam);
+  });
+});
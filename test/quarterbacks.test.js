@@ -0,0 +1,94 @@
+/**
+ * NFLv2 - Quarterback Model Tests
+ * Starters from boxscore passing lines (athletes without positions)
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { getTeamStarts, calculateQbAdjustments, calculateQbGameValue } from '../src/models/quarterbacks.js';
+import { parsePlayerStats, aggregatePlayerStats } from '../src/utils/player-parser.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const DET = 'Detroit Lions';
+const KC = 'Kansas City Chiefs';
+const GOFF = '3046779';
+const ST_BROWN = '4374302';
+const MAHOMES = '3139477';
+
+let summary;
+
+/**
+ * The fixture's game under another id and date
+ */
+function replay(id, date) {
+  const copy = structuredClone(summary);
+  copy.header.id = id;
+  copy.header.competitions[0].date = date;
+  return copy;
+}
+
+/**
+ * Detroit's passing category in a summary
+ */
+function detroitPassing(game) {
+  const group = game.boxscore.players.find(g => g.team.displayName === DET);
+  return group.statistics.find(category => category.name === 'passing');
+}
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  summary = await loadFixture('espn-summary.json');
+});
+
+describe('parsePlayerStats', () => {
+  test('merges a player\'s categories into one line', () => {
+    const goff = parsePlayerStats(summary).find(line => line.playerId === GOFF);
+
+    assert.equal(goff.name, 'Jared Goff');
+    assert.equal(goff.position, null);
+    assert.equal(goff.team, DET);
+    assert.equal(goff.opponent, KC);
+    assert.equal(goff.stats.completions, 22);
+    assert.equal(goff.stats.passingAttempts, 34);
+    assert.equal(goff.stats.passingYards, 271);
+    assert.equal(goff.stats.interceptionsThrown, 1);
+    assert.equal(goff.stats.sacksTaken, 3);
+    assert.equal(goff.stats.sackYardsLost, 21);
+    assert.equal(goff.stats.rushingAttempts, 3);
+    assert.equal(goff.stats.rushingYards, 2);
+  });
+});
+
+describe('getTeamStarts', () => {
+  test('takes the passer with the most attempts when athletes have no position', () => {
+    const players = aggregatePlayerStats(parsePlayerStats(summary));
+    const starts = getTeamStarts([players]);
+
+    assert.deepEqual(starts[DET].map(start => start.playerId), [GOFF]);
+    assert.deepEqual(starts[KC].map(start => start.playerId), [MAHOMES]);
+    assert.equal(starts[DET][0].value, calculateQbGameValue(players[GOFF].gameLog[0]));
+  });
+});
+
+describe('calculateQbAdjustments', () => {
+  test('adjusts a team whose last game was started by a backup', () => {
+    const backup = replay('401547999', '2023-09-24T17:00Z');
+    const passing = detroitPassing(backup);
+    passing.athletes = passing.athletes.filter(({ athlete }) => athlete.id !== GOFF);
+    passing.athletes[0].stats = ['12/25', '118', '4.7', '0', '2', '4-30', '10.4', '38.1'];
+
+    const games = [summary, replay('401547500', '2023-09-17T17:00Z'), backup];
+    const adjustments = calculateQbAdjustments([aggregatePlayerStats(games.flatMap(parsePlayerStats))]);
+
+    assert.equal(adjustments[DET].usualStarter.playerId, GOFF);
+    assert.equal(adjustments[DET].expectedStarter.playerId, ST_BROWN);
+    assert.equal(adjustments[DET].source, 'boxscore');
+    assert.ok(adjustments[DET].eloAdjustment < 0);
+    assert.equal(adjustments[KC].eloAdjustment, 0);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * NFLv2 - Season Simulator Tests
+ * Seeded simulations, finished seasons and games priced with predict()
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateSeason } from '../src/core/season-simulator.js';
+import { NFL_TEAMS } from '../src/core/constants.js';
+import { initializeRatings } from '../src/models/elo.js';
+import { logger } from '../src/utils/logger.js';
+
+const TEAMS = Object.keys(NFL_TEAMS);
+
+/**
+ * Every pair of teams plays once; the team listed earlier in NFL_TEAMS wins,
+ * so no two teams share a record. Games after lastCompletedWeek are unplayed.
+ */
+function makeSchedule(lastCompletedWeek = Infinity) {
+  const games = [];
+
+  TEAMS.forEach((stronger, i) => {
+    TEAMS.slice(i + 1).forEach((weaker, offset) => {
+      const j = i + 1 + offset;
+      const week = 1 + ((i + j) % 18);
+      const strongerHome = (i + j) % 2 === 1;
+      const completed = week <= lastCompletedWeek;
+
+      games.push({
+        id: `${i}-${j}`,
+        date: new Date(Date.UTC(2025, 8, 4 + week * 7)).toISOString(),
+        week,
+        neutralSite: false,
+        homeTeam: strongerHome ? stronger : weaker,
+        awayTeam: strongerHome ? weaker : stronger,
+        completed,
+        homeScore: completed ? (strongerHome ? 24 : 10) : null,
+        awayScore: completed ? (strongerHome ? 10 : 24) : null
+      });
+    });
+  });
+
+  return games;
+}
+
+/**
+ * A finished schedule with one game between two teams left to play
+ */
+function oneGameLeft(homeTeam, awayTeam) {
+  const schedule = makeSchedule();
+  const game = schedule.find(g => [g.homeTeam, g.awayTeam].sort().join() === [homeTeam, awayTeam].sort().join());
+  Object.assign(game, { homeTeam, awayTeam, completed: false, homeScore: null, awayScore: null });
+  return schedule;
+}
+
+const byTeam = (result) => Object.fromEntries(result.teams.map(team => [team.team, team]));
+
+beforeEach(() => {
+  logger.setLevel('error');
+});
+
+describe('simulateSeason', () => {
+  test('repeats the same projections for the same seed', () => {
+    const schedule = makeSchedule(12);
+    const options = { ratings: initializeRatings(), iterations: 200, seed: 7 };
+
+    const first = simulateSeason(schedule, options);
+    const second = simulateSeason(schedule, options);
+
+    assert.ok(first.remainingGames > 0);
+    assert.deepEqual(second, first);
+  });
+
+  test('gives 100% or 0% playoff and division odds once every game is final', () => {
+    const result = simulateSeason(makeSchedule(), { iterations: 50, seed: 1 });
+
+    assert.equal(result.remainingGames, 0);
+    result.teams.forEach(team => {
+      assert.ok([0, 100].includes(team.playoffOdds), `${team.team} playoff odds ${team.playoffOdds}`);
+      assert.ok([0, 100].includes(team.divisionOdds), `${team.team} division odds ${team.divisionOdds}`);
+      assert.ok([0, 100].includes(team.byeOdds), `${team.team} bye odds ${team.byeOdds}`);
+      assert.equal(team.projectedTies, 0);
+    });
+
+    ['AFC', 'NFC'].forEach(conference => {
+      const teams = result.teams.filter(team => team.conference === conference);
+      assert.equal(teams.filter(team => team.playoffOdds === 100).length, 7);
+      assert.equal(teams.filter(team => team.divisionOdds === 100).length, 4);
+      assert.equal(teams.filter(team => team.byeOdds === 100).length, 1);
+    });
+
+    const superBowl = result.teams.reduce((sum, team) => sum + team.superBowlOdds, 0);
+    assert.ok(Math.abs(superBowl - 100) < 0.5);
+  });
+
+  test('prices games with predict() when given a context', () => {
+    const [homeTeam, awayTeam] = [TEAMS[31], TEAMS[30]];
+    const schedule = oneGameLeft(homeTeam, awayTeam);
+    const ratings = initializeRatings();
+    const options = { ratings, iterations: 1000, seed: 3 };
+
+    const eloOnly = byTeam(simulateSeason(schedule, options));
+    const benched = byTeam(simulateSeason(schedule, {
+      ...options,
+      context: {
+        config: { models: { elo: { enabled: true, weight: 1 } } },
+        injuries: {},
+        qbAdjustments: { [homeTeam]: { eloAdjustment: -150, usualStarter: null } }
+      }
+    }));
+
+    const wins = (teams) => teams[homeTeam].projectedWins - (TEAMS.length - 1 - 31);
+    assert.ok(wins(eloOnly) > 0.5, `home win share ${wins(eloOnly)}`);
+    assert.ok(wins(benched) < 0.5, `home win share ${wins(benched)}`);
+  });
+
+  test('lets regular-season games end tied', () => {
+    const result = simulateSeason(makeSchedule(0), { iterations: 200, seed: 11 });
+    const ties = result.teams.reduce((sum, team) => sum + team.projectedTies, 0);
+
+    assert.equal(result.completedGames, 0);
+    assert.ok(ties > 0, `projected ties ${ties}`);
+  });
+});
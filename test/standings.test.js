@@ -0,0 +1,129 @@
+/**
+ * NFLv2 - Standings Tests
+ * Division and wild card tiebreakers on small hand-built seasons
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTeamRecords, calculateStandings, orderTeams } from '../src/core/standings.js';
+import { ABBREV_TO_NAME } from '../src/core/constants.js';
+import { createRandom } from '../src/utils/math.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * A final game by team abbreviation; touchdowns ([home, away]) stand in for
+ * play-by-play counts
+ */
+function game(home, away, homeScore, awayScore, touchdowns = null) {
+  const homeTeam = ABBREV_TO_NAME[home];
+  const awayTeam = ABBREV_TO_NAME[away];
+
+  return {
+    homeTeam,
+    awayTeam,
+    homeScore,
+    awayScore,
+    ...(touchdowns ? { stats: { [homeTeam]: { touchdowns: touchdowns[0] }, [awayTeam]: { touchdowns: touchdowns[1] } } } : {})
+  };
+}
+
+// Game lists, tied clubs (listed worst first so input order never decides)
+// and the expected order
+const CASES = [
+  {
+    name: 'two-club division tie goes to head-to-head',
+    division: true,
+    games: [
+      game('BUF', 'MIA', 24, 17),
+      game('MIA', 'KC', 20, 10),
+      game('KC', 'BUF', 27, 13)
+    ],
+    teams: ['MIA', 'BUF'],
+    expected: ['BUF', 'MIA']
+  },
+  {
+    name: 'three-club division tie split head-to-head goes to division record',
+    division: true,
+    games: [
+      // BAL, CIN and CLE beat each other once; BAL's third win is over PIT
+      game('BAL', 'CIN', 21, 14),
+      game('CIN', 'CLE', 21, 14),
+      game('CLE', 'BAL', 21, 14),
+      game('BAL', 'PIT', 21, 14),
+      game('CIN', 'KC', 21, 14),
+      game('CLE', 'DEN', 21, 14)
+    ],
+    teams: ['PIT', 'CLE', 'CIN', 'BAL'],
+    // CIN then beats CLE head-to-head in the two-club restart
+    expected: ['BAL', 'CIN', 'CLE', 'PIT']
+  },
+  {
+    name: 'wild card tie goes to the club that swept the others',
+    division: false,
+    games: [
+      // KC is 2-2 in the conference; BUF and HOU lost to NFC clubs, so
+      // conference record alone would rank KC last
+      game('KC', 'BUF', 24, 20),
+      game('HOU', 'KC', 17, 23),
+      game('DEN', 'KC', 30, 10),
+      game('KC', 'LV', 13, 16),
+      game('BUF', 'NE', 28, 7),
+      game('NYJ', 'BUF', 3, 20),
+      game('DAL', 'BUF', 31, 24),
+      game('HOU', 'IND', 20, 19),
+      game('TEN', 'HOU', 10, 16),
+      game('NYG', 'HOU', 24, 21)
+    ],
+    teams: ['HOU', 'BUF', 'KC'],
+    first: 'KC'
+  },
+  {
+    name: 'division tie level on points goes to net touchdowns',
+    division: true,
+    games: [
+      // Same score, but DET's 17 came from two touchdowns and GB's from one
+      game('GB', 'DET', 17, 17, [1, 2])
+    ],
+    teams: ['GB', 'DET'],
+    expected: ['DET', 'GB']
+  }
+];
+
+beforeEach(() => {
+  logger.setLevel('error');
+});
+
+describe('orderTeams', () => {
+  CASES.forEach(({ name, division, games, teams, expected, first }) => {
+    test(name, () => {
+      const records = buildTeamRecords(games);
+      const random = () => assert.fail('coin toss reached');
+
+      const order = orderTeams(teams.map(team => ABBREV_TO_NAME[team]), records, { division, random })
+        .map(team => Object.keys(ABBREV_TO_NAME).find(abbrev => ABBREV_TO_NAME[abbrev] === team));
+
+      if (expected) assert.deepEqual(order, expected);
+      if (first) assert.equal(order[0], first);
+    });
+  });
+
+  test('leaves net touchdowns out when a game has no play-by-play', () => {
+    const records = buildTeamRecords([game('GB', 'DET', 17, 17)]);
+    const teams = [ABBREV_TO_NAME.GB, ABBREV_TO_NAME.DET];
+
+    assert.equal(records[ABBREV_TO_NAME.DET].touchdowns, null);
+    assert.deepEqual(orderTeams(teams, records, { division: true, random: () => 0.99 }), [ABBREV_TO_NAME.DET, ABBREV_TO_NAME.GB]);
+    assert.deepEqual(orderTeams(teams, records, { division: true, random: () => 0 }), teams);
+  });
+});
+
+describe('calculateStandings', () => {
+  test('repeats a coin toss for the same seed', () => {
+    const games = [game('GB', 'DET', 17, 17), game('KC', 'BUF', 20, 20)];
+    const order = (seed) => calculateStandings(games, { random: createRandom(seed) }).divisions;
+
+    [1, 2, 3, 4].forEach(seed => {
+      assert.deepEqual(order(seed), order(seed));
+    });
+  });
+});
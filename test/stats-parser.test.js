@@ -0,0 +1,120 @@
+/**
+ * NFLv2 - Boxscore Schema Tests
+ * ESPN boxscore team statistics map onto the TEAM_STAT_SCHEMA fields
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { extractTeamStats, parseGameRecord } from '../src/utils/stats-parser.js';
+import { logger } from '../src/utils/logger.js';
+
+const loadFixture = async (name) => JSON.parse(
+  await fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8')
+);
+
+const DET = 'Detroit Lions';
+const KC = 'Kansas City Chiefs';
+
+let summary;
+
+/**
+ * Drop ESPN stats from one team's boxscore
+ */
+function removeStats(teamName, names) {
+  const team = summary.boxscore.teams.find(t => t.team.displayName === teamName);
+  team.statistics = team.statistics.filter(stat => !names.includes(stat.name));
+}
+
+beforeEach(async () => {
+  logger.setLevel('error');
+  summary = await loadFixture('espn-summary.json');
+});
+
+describe('extractTeamStats', () => {
+  test('parses "made-attempts" pairs and ratios', () => {
+    const stats = extractTeamStats(summary)[DET];
+
+    assert.equal(stats.sacks, 3);
+    assert.equal(stats.sackYards, 21);
+    assert.equal(stats.completions, 22);
+    assert.equal(stats.passingAttempts, 35);
+    assert.equal(stats.penalties, 6);
+    assert.equal(stats.penaltyYards, 43);
+    assert.deepEqual(stats.redZoneEff, { made: 2, attempts: 4, percentage: 50 });
+    assert.equal(stats.thirdDownEff.made, 4);
+    assert.equal(stats.thirdDownEff.attempts, 13);
+  });
+
+  test('parses possession time "mm:ss" into seconds', () => {
+    const stats = extractTeamStats(summary);
+
+    assert.equal(stats[DET].possessionTime, 31 * 60 + 22);
+    assert.equal(stats[KC].possessionTime, 28 * 60 + 38);
+  });
+
+  test('maps ESPN names onto schema fields for both teams', () => {
+    const stats = extractTeamStats(summary);
+
+    assert.deepEqual(Object.keys(stats).sort(), [DET, KC]);
+    assert.equal(stats[DET].totalYards, 368);
+    assert.equal(stats[DET].totalPlays, 67);
+    assert.equal(stats[DET].passingYards, 250);
+    assert.equal(stats[DET].rushingYards, 118);
+    assert.equal(stats[KC].sacks, 2);
+    assert.equal(stats[KC].sackYards, 14);
+    assert.equal(stats[KC].penaltyYards, 74);
+  });
+
+  test('matches stats by label when the name is missing', () => {
+    summary.boxscore.teams.forEach(team => {
+      team.statistics.forEach(stat => delete stat.name);
+    });
+
+    const stats = extractTeamStats(summary)[DET];
+
+    assert.equal(stats.sacks, 3);
+    assert.equal(stats.penaltyYards, 43);
+    assert.equal(stats.possessionTime, 1882);
+  });
+
+  test('falls back to fumbles lost plus interceptions without a turnover total', () => {
+    removeStats(DET, ['turnovers']);
+
+    assert.equal(extractTeamStats(summary)[DET].turnovers, 1);
+  });
+
+  test('warns about missing stats and fills in defaults', (t) => {
+    const warn = t.mock.method(logger, 'warn', () => {});
+    removeStats(KC, ['sacksYardsLost', 'redZoneAttempts']);
+
+    const stats = extractTeamStats(summary)[KC];
+
+    assert.equal(stats.sacks, 0);
+    assert.equal(stats.sackYards, 0);
+    assert.equal(stats.redZoneEff, null);
+
+    const calls = warn.mock.calls.filter(call => call.arguments[0] === 'Missing boxscore stats');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].arguments[1], { gameId: '401547353', team: KC, missing: ['sacksYardsLost', 'redZoneAttempts'] });
+  });
+
+  test('returns null without a boxscore', () => {
+    delete summary.boxscore;
+
+    assert.equal(extractTeamStats(summary), null);
+  });
+});
+
+describe('parseGameRecord', () => {
+  test('builds teams, scores and context from the summary header', () => {
+    const record = parseGameRecord(summary);
+
+    assert.equal(record.id, '401547353');
+    assert.equal(record.week, 1);
+    assert.equal(record.homeTeam, KC);
+    assert.equal(record.awayTeam, DET);
+    assert.deepEqual(record.scores, { [KC]: 20, [DET]: 21 });
+    assert.equal(record.stats[DET].sackYards, 21);
+  });
+});